@@ -0,0 +1,293 @@
+// BMP encoder/decoder
+//
+// Browsers can't encode BMP through toDataURL and decode it inconsistently,
+// so BMP mode does both ends in JS. Variants: 24-bit BGR, 32-bit BGRX,
+// 8-bit palettized and RLE8, each either bottom-up (the BMP default) or
+// top-down. The decoder is tolerant: truncated data, bad palette indices and
+// broken RLE runs leave black pixels instead of failing the frame.
+
+const FILE_HEADER_SIZE = 14;
+const INFO_HEADER_SIZE = 40;
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+
+// Corrupted headers can claim absurd sizes - refuse rather than allocate them
+const MAX_PIXELS = 4096 * 4096;
+
+export class BmpCodec {
+    static get VARIANTS() {
+        return ['24', '32', '8', 'rle8'];
+    }
+
+    static encode(imageData, { variant = '24', topDown = false } = {}) {
+        const { width, height, data } = imageData;
+        const bitsPerPixel = { '24': 24, '32': 32, '8': 8, 'rle8': 8 }[variant];
+        if (!bitsPerPixel) {
+            throw new Error(`Unknown BMP variant: ${variant}`);
+        }
+
+        const paletted = bitsPerPixel === 8;
+        const paletteSize = paletted ? 256 * 4 : 0;
+        const stride = BmpCodec.rowStride(width, bitsPerPixel);
+
+        // Rows in file order
+        const rowOrder = [];
+        for (let i = 0; i < height; i++) {
+            rowOrder.push(topDown ? i : height - 1 - i);
+        }
+
+        let pixelData;
+        if (variant === 'rle8') {
+            pixelData = BmpCodec.encodeRle8(imageData, rowOrder);
+        } else {
+            pixelData = new Uint8Array(stride * height);
+            rowOrder.forEach((y, fileRow) => {
+                let p = fileRow * stride;
+                for (let x = 0; x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    if (paletted) {
+                        pixelData[p++] = BmpCodec.paletteIndex(data[i], data[i + 1], data[i + 2]);
+                    } else {
+                        pixelData[p++] = data[i + 2];
+                        pixelData[p++] = data[i + 1];
+                        pixelData[p++] = data[i];
+                        if (bitsPerPixel === 32) pixelData[p++] = 0;
+                    }
+                }
+            });
+        }
+
+        const dataOffset = FILE_HEADER_SIZE + INFO_HEADER_SIZE + paletteSize;
+        const bytes = new Uint8Array(dataOffset + pixelData.length);
+        const view = new DataView(bytes.buffer);
+
+        // BITMAPFILEHEADER
+        bytes[0] = 0x42; // 'B'
+        bytes[1] = 0x4D; // 'M'
+        view.setUint32(2, bytes.length, true);
+        view.setUint32(10, dataOffset, true);
+
+        // BITMAPINFOHEADER - negative height means top-down rows
+        view.setUint32(14, INFO_HEADER_SIZE, true);
+        view.setInt32(18, width, true);
+        view.setInt32(22, topDown ? -height : height, true);
+        view.setUint16(26, 1, true);
+        view.setUint16(28, bitsPerPixel, true);
+        view.setUint32(30, variant === 'rle8' ? BI_RLE8 : BI_RGB, true);
+        view.setUint32(34, pixelData.length, true);
+        view.setInt32(38, 2835, true); // 72 DPI
+        view.setInt32(42, 2835, true);
+        view.setUint32(46, paletted ? 256 : 0, true);
+
+        if (paletted) {
+            BmpCodec.writePalette(bytes, FILE_HEADER_SIZE + INFO_HEADER_SIZE);
+        }
+        bytes.set(pixelData, dataOffset);
+        return bytes;
+    }
+
+    static encodeRle8(imageData, rowOrder) {
+        const { width, data } = imageData;
+        const output = [];
+
+        for (const y of rowOrder) {
+            const row = new Uint8Array(width);
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                row[x] = BmpCodec.paletteIndex(data[i], data[i + 1], data[i + 2]);
+            }
+
+            let x = 0;
+            while (x < width) {
+                // Length of the run starting at x
+                let run = 1;
+                while (x + run < width && run < 255 && row[x + run] === row[x]) run++;
+
+                if (run >= 3 || width - x < 3) {
+                    output.push(run, row[x]);
+                    x += run;
+                    continue;
+                }
+
+                // Absolute mode: copy literals until the next run of 3 or more
+                let count = 0;
+                while (x + count < width && count < 255) {
+                    const next = x + count;
+                    if (next + 2 < width && row[next] === row[next + 1] && row[next] === row[next + 2]) break;
+                    count++;
+                }
+                if (count < 3) {
+                    // Absolute mode needs at least 3 literals - emit short runs instead
+                    output.push(1, row[x]);
+                    x++;
+                    continue;
+                }
+                output.push(0, count);
+                for (let k = 0; k < count; k++) output.push(row[x + k]);
+                if (count & 1) output.push(0); // word alignment
+                x += count;
+            }
+            output.push(0, 0); // end of line
+        }
+        output.push(0, 1); // end of bitmap
+        return new Uint8Array(output);
+    }
+
+    static decode(bytes) {
+        if (bytes.length < FILE_HEADER_SIZE + INFO_HEADER_SIZE || bytes[0] !== 0x42 || bytes[1] !== 0x4D) {
+            throw new Error('Not a BMP stream: missing BM header');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const dataOffset = view.getUint32(10, true);
+        const headerSize = view.getUint32(14, true);
+        const width = view.getInt32(18, true);
+        const rawHeight = view.getInt32(22, true);
+        const bitsPerPixel = view.getUint16(28, true);
+        const compression = view.getUint32(30, true);
+        const topDown = rawHeight < 0;
+        const height = Math.abs(rawHeight);
+
+        if (width <= 0 || height <= 0 || width * height > MAX_PIXELS) {
+            throw new Error(`Invalid BMP dimensions: ${width}x${rawHeight}`);
+        }
+        if (![8, 24, 32].includes(bitsPerPixel)) {
+            throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+        }
+
+        // Palette follows the info header; a short palette leaves black entries
+        let palette = null;
+        if (bitsPerPixel === 8) {
+            const paletteStart = FILE_HEADER_SIZE + headerSize;
+            const colorsUsed = view.getUint32(46, true) || 256;
+            palette = new Uint8Array(256 * 3);
+            for (let i = 0; i < Math.min(colorsUsed, 256); i++) {
+                const p = paletteStart + i * 4;
+                if (p + 2 >= bytes.length) break;
+                palette[i * 3] = bytes[p + 2];
+                palette[i * 3 + 1] = bytes[p + 1];
+                palette[i * 3 + 2] = bytes[p];
+            }
+        }
+
+        const result = new ImageData(width, height);
+        const out = result.data;
+        for (let i = 3; i < out.length; i += 4) out[i] = 255;
+
+        const pixelStart = Math.min(dataOffset, bytes.length);
+        const rowToY = (fileRow) => (topDown ? fileRow : height - 1 - fileRow);
+
+        if (compression === BI_RLE8 && bitsPerPixel === 8) {
+            BmpCodec.decodeRle8(bytes, pixelStart, width, height, palette, out, rowToY);
+            return result;
+        }
+
+        const stride = BmpCodec.rowStride(width, bitsPerPixel);
+        const bytesPerPixel = bitsPerPixel / 8;
+        for (let fileRow = 0; fileRow < height; fileRow++) {
+            const rowStart = pixelStart + fileRow * stride;
+            if (rowStart >= bytes.length) break; // truncated - rest stays black
+            const y = rowToY(fileRow);
+
+            for (let x = 0; x < width; x++) {
+                const p = rowStart + x * bytesPerPixel;
+                if (p + bytesPerPixel > bytes.length) break;
+                const i = (y * width + x) * 4;
+                if (palette) {
+                    const index = bytes[p] * 3;
+                    out[i] = palette[index];
+                    out[i + 1] = palette[index + 1];
+                    out[i + 2] = palette[index + 2];
+                } else {
+                    out[i] = bytes[p + 2];
+                    out[i + 1] = bytes[p + 1];
+                    out[i + 2] = bytes[p];
+                }
+            }
+        }
+        return result;
+    }
+
+    static decodeRle8(bytes, start, width, height, palette, out, rowToY) {
+        let p = start;
+        let x = 0;
+        let fileRow = 0;
+
+        const put = (index) => {
+            // Pixels past the row end or below the last row are dropped
+            if (x < width && fileRow < height) {
+                const i = (rowToY(fileRow) * width + x) * 4;
+                out[i] = palette[index * 3];
+                out[i + 1] = palette[index * 3 + 1];
+                out[i + 2] = palette[index * 3 + 2];
+            }
+            x++;
+        };
+
+        while (p + 1 < bytes.length && fileRow < height) {
+            const count = bytes[p];
+            const value = bytes[p + 1];
+            p += 2;
+
+            if (count > 0) {
+                for (let k = 0; k < count; k++) put(value);
+            } else if (value === 0) {
+                // End of line
+                x = 0;
+                fileRow++;
+            } else if (value === 1) {
+                // End of bitmap
+                break;
+            } else if (value === 2) {
+                // Delta: move right and down
+                if (p + 1 >= bytes.length) break;
+                x += bytes[p];
+                fileRow += bytes[p + 1];
+                p += 2;
+            } else {
+                // Absolute mode: literal indices, padded to a word
+                for (let k = 0; k < value && p < bytes.length; k++) put(bytes[p++]);
+                if (value & 1) p++;
+            }
+        }
+    }
+
+    static isComplete(bytes) {
+        // Both headers present - the length fields live in them
+        return bytes.length >= FILE_HEADER_SIZE + INFO_HEADER_SIZE && bytes[0] === 0x42 && bytes[1] === 0x4D;
+    }
+
+    static readDataOffset(bytes) {
+        return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(10, true);
+    }
+
+    static fixLengths(bytes, dataOffset) {
+        // After a splice: file size, pixel data offset and image size written to match the stream
+        if (!BmpCodec.isComplete(bytes)) return bytes;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        view.setUint32(2, bytes.length, true);
+        view.setUint32(10, dataOffset, true);
+        view.setUint32(34, Math.max(bytes.length - dataOffset, 0), true);
+        return bytes;
+    }
+
+    static rowStride(width, bitsPerPixel) {
+        // Rows are padded to a multiple of 4 bytes
+        return Math.ceil(width * bitsPerPixel / 32) * 4;
+    }
+
+    static paletteIndex(r, g, b) {
+        // Fixed 3-3-2 palette: deterministic and cheap, no per-frame quantization
+        return (r & 0xE0) | ((g & 0xE0) >> 3) | (b >> 6);
+    }
+
+    static writePalette(bytes, offset) {
+        for (let i = 0; i < 256; i++) {
+            const p = offset + i * 4;
+            bytes[p] = Math.round((i & 0x03) * 255 / 3);            // B
+            bytes[p + 1] = Math.round(((i >> 2) & 0x07) * 255 / 7); // G
+            bytes[p + 2] = Math.round((i >> 5) * 255 / 7);          // R
+            bytes[p + 3] = 0;
+        }
+    }
+}
\ No newline at end of file
@@ -6,6 +6,8 @@ export class CameraController {
         this.stream = null;
         this.isActive = false;
         this.animationId = null;
+        this.hasFrame = false; // Something was drawn since the camera started
+        this.frameCanvas = null; // Scratch canvas for frames smaller than the display
     }
     
     async start() {
@@ -30,6 +32,7 @@ export class CameraController {
             });
             
             this.isActive = true;
+            this.hasFrame = false;
             
             return true;
         } catch (error) {
@@ -53,6 +56,7 @@ export class CameraController {
         
         this.video.srcObject = null;
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.hasFrame = false;
     }
     
     render() {
@@ -68,6 +72,17 @@ export class CameraController {
     }
     
     putFrame(imageData) {
+        this.hasFrame = true;
+        if (imageData && (imageData.width !== this.canvas.width || imageData.height !== this.canvas.height)) {
+            // Frames processed at a lower resolution are scaled up without smoothing - blocky, not blurred
+            if (!this.frameCanvas) this.frameCanvas = document.createElement('canvas');
+            this.frameCanvas.width = imageData.width;
+            this.frameCanvas.height = imageData.height;
+            this.frameCanvas.getContext('2d').putImageData(imageData, 0, 0);
+            this.ctx.imageSmoothingEnabled = false;
+            this.ctx.drawImage(this.frameCanvas, 0, 0, this.canvas.width, this.canvas.height);
+            return;
+        }
         this.ctx.putImageData(imageData, 0, 0);
     }
     
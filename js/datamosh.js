@@ -0,0 +1,248 @@
+// Datamosh - video mode that corrupts WebCodecs chunks
+//
+// Still-image codecs start every frame from scratch, so they can't smear
+// motion. Video mode encodes the camera stream with a WebCodecs VideoEncoder,
+// runs the rule chain on every EncodedVideoChunk and decodes the result with
+// a VideoDecoder that keeps its reference frames from chunk to chunk. Delta
+// frames then move and refine a picture that is already broken.
+//
+//   keyframes keep   every key frame reaches the decoder and cleans the picture
+//   keyframes drop   only the first one does; later key frames are thrown away,
+//                    so the delta frames after them paint over the old picture
+//   repeat           each delta frame is decoded this many times (motion bloom)
+//   keyframeRepeat   each key frame that gets through is decoded this many times
+//
+// requestKeyframe() lets the next key frame through in either mode.
+
+const CODECS = { vp8: 'vp8', av1: 'av01.0.04M.08' };
+const KEYFRAME_MODES = ['keep', 'drop'];
+const MAX_REPEAT = 8;
+const FRAME_DURATION = 1000000 / 30; // Chunk timestamps in microseconds, as if at 30 FPS
+const BITS_PER_PIXEL = 3; // Bitrate per pixel of the frame - about 0.9 Mbit/s at 640x480
+const OUTPUT_WAIT = 1000; // ms to wait for a decoded frame before giving up on it
+
+export class Datamosh {
+    constructor(glitchEngine, { codec = 'vp8', keyframes = 'drop', repeat = 1, keyframeRepeat = 1, keyframeInterval = 60 } = {}) {
+        this.glitchEngine = glitchEngine;
+        this.encoder = null;
+        this.decoder = null;
+        this.size = null; // Frame size the codecs are configured for
+        this.frameCount = 0;
+        this.decodeCount = 0; // Decoded chunks get their own timestamps, repeats included
+        this.keyframeRequested = true; // The decoder has to start from a key frame
+        this.encoded = []; // Chunks the encoder put out for the current frame
+        this.waiting = new Map(); // Decode timestamp -> resolve, for the frame a chunk decodes to
+        this.decodeError = null;
+        this.setOptions({ codec, keyframes, repeat, keyframeRepeat, keyframeInterval });
+    }
+    
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoDecoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+    
+    static get CODECS() {
+        return Object.keys(CODECS);
+    }
+    
+    static get KEYFRAME_MODES() {
+        return [...KEYFRAME_MODES];
+    }
+    
+    setOptions({ codec = this.codec, keyframes = this.keyframes, repeat = this.repeat, keyframeRepeat = this.keyframeRepeat, keyframeInterval = this.keyframeInterval }) {
+        if (!CODECS[codec]) {
+            throw new Error(`Unknown video codec: ${codec}`);
+        }
+        if (!KEYFRAME_MODES.includes(keyframes)) {
+            throw new Error(`Unknown key frame mode: ${keyframes}`);
+        }
+        if (!Number.isInteger(repeat) || repeat < 1 || repeat > MAX_REPEAT) {
+            throw new Error(`Repeat must be an integer from 1 to ${MAX_REPEAT}: ${repeat}`);
+        }
+        if (!Number.isInteger(keyframeRepeat) || keyframeRepeat < 1 || keyframeRepeat > MAX_REPEAT) {
+            throw new Error(`Key frame repeat must be an integer from 1 to ${MAX_REPEAT}: ${keyframeRepeat}`);
+        }
+        if (!Number.isInteger(keyframeInterval) || keyframeInterval < 1) {
+            throw new Error(`Key frame interval must be a positive integer: ${keyframeInterval}`);
+        }
+        // Another codec needs new encoder and decoder - they are set up again with the next frame
+        if (codec !== this.codec) this.close();
+        Object.assign(this, { codec, keyframes, repeat, keyframeRepeat, keyframeInterval });
+    }
+    
+    requestKeyframe() {
+        this.keyframeRequested = true;
+    }
+    
+    close() {
+        for (const codec of [this.encoder, this.decoder]) {
+            if (codec && codec.state !== 'closed') codec.close();
+        }
+        this.encoder = null;
+        this.decoder = null;
+        this.size = null;
+        this.encoded = [];
+        this.keyframeRequested = true;
+        this.waiting.forEach(resolve => resolve(null));
+        this.waiting.clear();
+    }
+    
+    async configure(width, height) {
+        if (!Datamosh.isSupported()) {
+            throw new Error('Video mode needs WebCodecs, which this browser lacks');
+        }
+        const codec = CODECS[this.codec];
+        const config = {
+            codec,
+            width,
+            height,
+            bitrate: width * height * BITS_PER_PIXEL,
+            framerate: 30,
+            latencyMode: 'realtime',
+            hardwareAcceleration: 'prefer-software'
+        };
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (!supported) {
+            throw new Error(`${this.codec.toUpperCase()} encoding at ${width}x${height} is not supported in this browser`);
+        }
+        
+        this.close();
+        this.encoder = new VideoEncoder({
+            output: chunk => this.encoded.push(chunk),
+            error: error => {
+                // The encoder is closed now; the next frame sets everything up again
+                console.error('Video encoder error:', error);
+                this.close();
+            }
+        });
+        this.encoder.configure(config);
+        this.decoderConfig = { codec, codedWidth: width, codedHeight: height, hardwareAcceleration: 'prefer-software' };
+        this.createDecoder();
+        this.size = { width, height };
+    }
+    
+    createDecoder() {
+        this.decoder = new VideoDecoder({
+            output: frame => this.settle(frame.timestamp, frame),
+            error: error => {
+                // Corrupted chunks can break the decoder for good - start again from a clean key frame
+                this.decodeError = error.message;
+                this.decoder = null;
+                this.keyframeRequested = true;
+                this.waiting.forEach(resolve => resolve(null));
+                this.waiting.clear();
+            }
+        });
+        this.decoder.configure(this.decoderConfig);
+    }
+    
+    async processFrame(frame) {
+        // Resolves to { imageData, report } like GlitchPipeline.processFrame(); imageData is null
+        // when no picture came out (a dropped key frame, a frame the encoder skipped)
+        const { width, height } = frame;
+        const report = this.glitchEngine.createReport({ width, height });
+        Object.assign(report, { format: this.codec, decoder: 'webcodecs', chunks: [] });
+        const start = performance.now();
+        
+        if (!this.encoder || this.size.width !== width || this.size.height !== height) {
+            await this.configure(width, height);
+        }
+        let imageData = null;
+        for (const chunk of await this.encode(frame, report)) {
+            imageData = await this.decodeChunk(chunk, report) || imageData;
+        }
+        
+        report.timings.total = performance.now() - start;
+        this.glitchEngine.lastReport = report;
+        return { imageData, report };
+    }
+    
+    async encode(frame, report) {
+        const start = performance.now();
+        const timestamp = Math.round(this.frameCount * FRAME_DURATION);
+        const videoFrame = frame instanceof ImageData
+            ? new VideoFrame(frame.data, { format: 'RGBA', codedWidth: frame.width, codedHeight: frame.height, timestamp })
+            : new VideoFrame(frame, { timestamp });
+        if (typeof frame.close === 'function') frame.close();
+        
+        const keyFrame = this.keyframeRequested || this.frameCount % this.keyframeInterval === 0;
+        this.encoder.encode(videoFrame, { keyFrame });
+        videoFrame.close();
+        this.frameCount++;
+        // Realtime encoders keep nothing back, so flushing costs no frames
+        await this.encoder.flush();
+        report.timings.encode = performance.now() - start;
+        return this.encoded.splice(0);
+    }
+    
+    async decodeChunk(chunk, report) {
+        // Returns the decoded ImageData, or null when the chunk was dropped or decoded to nothing
+        const bytes = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(bytes);
+        const entry = { type: chunk.type, size: bytes.length, dropped: false };
+        report.chunks.push(entry);
+        report.encodedSize += bytes.length;
+        
+        if (chunk.type === 'key') {
+            if (this.keyframes === 'drop' && !this.keyframeRequested) {
+                entry.dropped = true;
+                return null;
+            }
+            this.keyframeRequested = false;
+        } else if (this.keyframeRequested) {
+            // Until a key frame gets through the decoder has nothing to predict from
+            entry.dropped = true;
+            return null;
+        }
+        
+        let corrupted = bytes;
+        if (this.glitchEngine.isActive) {
+            const start = performance.now();
+            corrupted = this.glitchEngine.corruptImageBytes(bytes.slice(), null, report, 'video');
+            report.timings.corrupt += performance.now() - start;
+            this.glitchEngine.recordChanges(report, bytes, corrupted);
+        }
+        report.corruptedSize += corrupted.length;
+        
+        const start = performance.now();
+        if (!this.decoder) this.createDecoder();
+        const repeats = chunk.type === 'key' ? this.keyframeRepeat : this.repeat;
+        let output = null;
+        for (let n = 0; n < repeats && this.decoder; n++) {
+            const timestamp = this.decodeCount++;
+            // Earlier repeats only build up the decoder's reference frame
+            if (n === repeats - 1) output = this.waitForOutput(timestamp);
+            this.decoder.decode(new EncodedVideoChunk({ type: chunk.type, timestamp, data: corrupted }));
+        }
+        const videoFrame = await output;
+        report.timings.decode += performance.now() - start;
+        if (!videoFrame) {
+            report.decodeError = this.decodeError || 'No frame decoded';
+            this.decodeError = null;
+            return null;
+        }
+        const imageData = this.glitchEngine.readBitmap(videoFrame, report.width, report.height);
+        videoFrame.close();
+        return imageData;
+    }
+    
+    waitForOutput(timestamp) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => this.settle(timestamp, null), OUTPUT_WAIT);
+            this.waiting.set(timestamp, frame => {
+                clearTimeout(timer);
+                resolve(frame);
+            });
+        });
+    }
+    
+    settle(timestamp, frame) {
+        const resolve = this.waiting.get(timestamp);
+        if (!resolve) {
+            // A repeat nobody waits for, or a frame that arrived too late
+            if (frame) frame.close();
+            return;
+        }
+        this.waiting.delete(timestamp);
+        resolve(frame);
+    }
+}
\ No newline at end of file
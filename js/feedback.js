@@ -0,0 +1,111 @@
+// Temporal feedback - carries the previous output into the next camera frame
+//
+// The app keeps the last corrupted frame and mixes it into the next capture
+// before that is encoded, so damage builds up and smears over time instead
+// of starting clean every frame. Decay is the share of the camera let back
+// in each frame: low values keep the history for long, 1 forgets it at once.
+//
+//   off     frames are processed on their own
+//   blend   every pixel is a weighted mix of camera and previous output
+//   swap    16x16 blocks are taken whole from either one, picked at random
+
+import { ByteOperators } from './operators.js';
+
+const MODES = ['off', 'blend', 'swap'];
+const BLOCK_SIZE = 16;
+
+export class FrameFeedback {
+    constructor({ mode = 'off', decay = 0.5, seed = 1 } = {}) {
+        this.setMode(mode);
+        this.setDecay(decay);
+        this.seed = seed;
+        this.frame = 0; // Frames mixed so far - swap picks different blocks every frame
+    }
+    
+    static get MODES() {
+        return [...MODES];
+    }
+    
+    get active() {
+        return this.mode !== 'off' && this.decay < 1;
+    }
+    
+    setMode(mode) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown feedback mode: ${mode}`);
+        }
+        this.mode = mode;
+    }
+    
+    setDecay(decay) {
+        // 0 would freeze the picture on the first frame
+        if (typeof decay !== 'number' || !(decay > 0 && decay <= 1)) {
+            throw new Error(`Feedback decay must be above 0 and at most 1: ${decay}`);
+        }
+        this.decay = decay;
+    }
+    
+    reset() {
+        this.frame = 0;
+    }
+    
+    mix(input, previous) {
+        // Returns a new frame; the input is returned as is when there is nothing to mix
+        if (!this.active || !previous) return input;
+        
+        const { width, height } = input;
+        const result = new ImageData(width, height);
+        const offsetOf = this.createSampler(previous, width, height);
+        if (this.mode === 'blend') {
+            this.blend(input, previous.data, offsetOf, result.data);
+        } else {
+            this.swap(input, previous.data, offsetOf, result.data);
+        }
+        this.frame++;
+        return result;
+    }
+    
+    createSampler(previous, width, height) {
+        // Byte offset of the previous frame's pixel under (x, y); the resolution may have changed since
+        if (previous.width === width && previous.height === height) {
+            return (x, y) => (y * width + x) * 4;
+        }
+        const columns = Array.from({ length: width }, (_, x) => Math.floor(x * previous.width / width));
+        return (x, y) => (Math.floor(y * previous.height / height) * previous.width + columns[x]) * 4;
+    }
+    
+    blend({ width, height, data }, previous, offsetOf, output) {
+        // Fixed point, 8 fractional bits
+        const weight = Math.round(this.decay * 256);
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i += 4) {
+                const p = offsetOf(x, y);
+                output[i] = (data[i] * weight + previous[p] * (256 - weight)) >> 8;
+                output[i + 1] = (data[i + 1] * weight + previous[p + 1] * (256 - weight)) >> 8;
+                output[i + 2] = (data[i + 2] * weight + previous[p + 2] * (256 - weight)) >> 8;
+                output[i + 3] = 255;
+            }
+        }
+    }
+    
+    swap({ width, height, data }, previous, offsetOf, output) {
+        // Seeded per frame, so the same camera frames always give the same blocks
+        const random = ByteOperators.createRandom(this.seed + this.frame);
+        for (let by = 0; by < height; by += BLOCK_SIZE) {
+            for (let bx = 0; bx < width; bx += BLOCK_SIZE) {
+                const fresh = random() < this.decay;
+                for (let y = by; y < Math.min(by + BLOCK_SIZE, height); y++) {
+                    for (let x = bx; x < Math.min(bx + BLOCK_SIZE, width); x++) {
+                        const i = (y * width + x) * 4;
+                        const source = fresh ? data : previous;
+                        const p = fresh ? i : offsetOf(x, y);
+                        output[i] = source[p];
+                        output[i + 1] = source[p + 1];
+                        output[i + 2] = source[p + 2];
+                        output[i + 3] = 255;
+                    }
+                }
+            }
+        }
+    }
+}
\ No newline at end of file
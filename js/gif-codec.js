@@ -0,0 +1,451 @@
+// GIF89a encoder/decoder
+//
+// The encoder quantizes each frame to a 256-color global palette with a
+// deterministic median cut, then LZW-compresses the indices. The decoder is
+// built for corrupted data: invalid LZW codes are treated as the
+// not-yet-defined next code, out-of-range indices wrap into the palette, and
+// pixels the data never reaches stay black.
+
+const MAX_CODES = 4096;
+
+// Corrupted headers can claim absurd sizes - refuse rather than allocate them
+const MAX_PIXELS = 4096 * 4096;
+
+export class GifCodec {
+    static encode(imageData) {
+        const { width, height } = imageData;
+        const { palette, indices } = GifCodec.quantize(imageData);
+        const lzw = GifCodec.lzwEncode(indices, 8);
+        const output = [];
+
+        // Header + logical screen descriptor: global color table of 256 entries
+        output.push(...new TextEncoder().encode('GIF89a'));
+        GifCodec.pushUint16(output, width);
+        GifCodec.pushUint16(output, height);
+        output.push(0xF7, 0x00, 0x00);
+        for (let i = 0; i < palette.length; i++) output.push(palette[i]);
+
+        // Image descriptor: full frame, no local table, not interlaced
+        output.push(0x2C);
+        GifCodec.pushUint16(output, 0);
+        GifCodec.pushUint16(output, 0);
+        GifCodec.pushUint16(output, width);
+        GifCodec.pushUint16(output, height);
+        output.push(0x00);
+
+        // LZW minimum code size, then the data in sub-blocks of up to 255 bytes
+        output.push(8);
+        for (let i = 0; i < lzw.length; i += 255) {
+            const size = Math.min(255, lzw.length - i);
+            output.push(size);
+            for (let k = 0; k < size; k++) output.push(lzw[i + k]);
+        }
+        output.push(0x00, 0x3B); // block terminator, trailer
+
+        return new Uint8Array(output);
+    }
+
+    static quantize(imageData) {
+        // Median cut over a 5-bit-per-channel histogram
+        const data = imageData.data;
+        const histogram = new Uint32Array(32768);
+        for (let i = 0; i < data.length; i += 4) {
+            histogram[GifCodec.binIndex(data[i], data[i + 1], data[i + 2])]++;
+        }
+
+        const bins = [];
+        for (let bin = 0; bin < histogram.length; bin++) {
+            if (histogram[bin] > 0) bins.push(bin);
+        }
+
+        let boxes = [GifCodec.createBox(bins, histogram)];
+        while (boxes.length < 256) {
+            // Split the box with the most pixels that still spans more than one bin
+            let target = -1;
+            boxes.forEach((box, i) => {
+                if (box.bins.length > 1 && (target === -1 || box.count > boxes[target].count)) target = i;
+            });
+            if (target === -1) break;
+
+            const [first, second] = GifCodec.splitBox(boxes[target], histogram);
+            boxes.splice(target, 1, first, second);
+        }
+
+        const palette = new Uint8Array(256 * 3);
+        const lookup = new Uint8Array(32768);
+        boxes.forEach((box, index) => {
+            let r = 0, g = 0, b = 0;
+            for (const bin of box.bins) {
+                const count = histogram[bin];
+                r += ((bin >> 10) & 31) * count;
+                g += ((bin >> 5) & 31) * count;
+                b += (bin & 31) * count;
+                lookup[bin] = index;
+            }
+            palette[index * 3] = Math.round(r / box.count * 255 / 31);
+            palette[index * 3 + 1] = Math.round(g / box.count * 255 / 31);
+            palette[index * 3 + 2] = Math.round(b / box.count * 255 / 31);
+        });
+
+        const indices = new Uint8Array(data.length / 4);
+        for (let p = 0; p < indices.length; p++) {
+            const i = p * 4;
+            indices[p] = lookup[GifCodec.binIndex(data[i], data[i + 1], data[i + 2])];
+        }
+        return { palette, indices };
+    }
+
+    static binIndex(r, g, b) {
+        return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    }
+
+    static createBox(bins, histogram) {
+        let count = 0;
+        for (const bin of bins) count += histogram[bin];
+        return { bins, count };
+    }
+
+    static splitBox(box, histogram) {
+        // Split along the channel with the widest range, at the pixel-count median
+        const ranges = [10, 5, 0].map(shift => {
+            let min = 31, max = 0;
+            for (const bin of box.bins) {
+                const value = (bin >> shift) & 31;
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            return { shift, range: max - min };
+        });
+        const { shift } = ranges.reduce((widest, channel) => (channel.range > widest.range ? channel : widest));
+
+        const sorted = box.bins.slice().sort((a, b) => (((a >> shift) & 31) - ((b >> shift) & 31)) || (a - b));
+        let half = 0;
+        let split = 1;
+        for (let i = 0; i < sorted.length - 1; i++) {
+            half += histogram[sorted[i]];
+            split = i + 1;
+            if (half * 2 >= box.count) break;
+        }
+        return [
+            GifCodec.createBox(sorted.slice(0, split), histogram),
+            GifCodec.createBox(sorted.slice(split), histogram)
+        ];
+    }
+
+    static lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        if (indices.length === 0) {
+            emit(endCode);
+        } else {
+            let prefix = indices[0];
+            for (let i = 1; i < indices.length; i++) {
+                const k = indices[i];
+                const key = (prefix << 8) | k;
+                const code = table.get(key);
+                if (code !== undefined) {
+                    prefix = code;
+                    continue;
+                }
+
+                emit(prefix);
+                if (nextCode === MAX_CODES) {
+                    // Table full - start over
+                    emit(clearCode);
+                    nextCode = endCode + 1;
+                    codeSize = minCodeSize + 1;
+                    table = new Map();
+                } else {
+                    if (nextCode >= (1 << codeSize)) codeSize++;
+                    table.set(key, nextCode++);
+                }
+                prefix = k;
+            }
+            emit(prefix);
+            emit(endCode);
+        }
+
+        if (bitCount > 0) output.push(bitBuffer & 0xFF);
+        return new Uint8Array(output);
+    }
+
+    static lzwDecode(data, minCodeSize, pixelCount) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = new Uint8Array(pixelCount);
+        const prefix = new Int16Array(MAX_CODES);
+        const suffix = new Uint8Array(MAX_CODES);
+        const length = new Uint16Array(MAX_CODES);
+        for (let code = 0; code < clearCode; code++) {
+            suffix[code] = code;
+            length[code] = 1;
+        }
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let previous = -1;
+        let position = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let p = 0;
+        let errors = 0;
+
+        const firstOf = (code) => {
+            while (length[code] > 1) code = prefix[code];
+            return suffix[code];
+        };
+        const write = (code) => {
+            // Strings are stored back to front, so write from the end
+            const size = length[code];
+            let end = position + size - 1;
+            while (code >= 0 && length[code] > 0) {
+                if (end < pixelCount) output[end] = suffix[code];
+                end--;
+                code = length[code] > 1 ? prefix[code] : -1;
+            }
+            position += size;
+        };
+
+        while (position < pixelCount) {
+            while (bitCount < codeSize && p < data.length) {
+                bitBuffer |= data[p++] << bitCount;
+                bitCount += 8;
+            }
+            if (bitCount < codeSize) break; // out of data
+
+            let code = bitBuffer & ((1 << codeSize) - 1);
+            bitBuffer >>>= codeSize;
+            bitCount -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+                previous = -1;
+                continue;
+            }
+            if (code === endCode) break;
+
+            if (previous === -1) {
+                // First code after a clear must be a literal - fold anything else into one
+                if (code >= clearCode) {
+                    errors++;
+                    code %= clearCode;
+                }
+                write(code);
+                previous = code;
+                continue;
+            }
+
+            if (code > nextCode || (code > endCode && code < nextCode && length[code] === 0)) {
+                // Undefined code: keep going as if it were the next code
+                errors++;
+                code = nextCode;
+            }
+
+            let first;
+            if (code < nextCode) {
+                first = firstOf(code);
+                write(code);
+            } else {
+                first = firstOf(previous);
+                write(previous);
+                if (position < pixelCount) output[position] = first;
+                position++;
+            }
+
+            if (nextCode < MAX_CODES) {
+                prefix[nextCode] = previous;
+                suffix[nextCode] = first;
+                length[nextCode] = length[previous] + 1;
+                nextCode++;
+                if (nextCode >= (1 << codeSize) && codeSize < 12) codeSize++;
+            }
+            previous = code < MAX_CODES ? code : previous;
+        }
+
+        return { indices: output, decoded: Math.min(position, pixelCount), errors };
+    }
+
+    static parse(bytes) {
+        // Locates the structures rules can target; tolerates truncation
+        const signature = String.fromCharCode(...bytes.subarray(0, 6));
+        if (signature !== 'GIF89a' && signature !== 'GIF87a') {
+            throw new Error('Not a GIF stream: bad signature');
+        }
+
+        const packed = bytes[10];
+        const layout = {
+            width: bytes[6] | (bytes[7] << 8),
+            height: bytes[8] | (bytes[9] << 8),
+            globalTable: null,
+            images: []
+        };
+
+        let p = 13;
+        if (packed & 0x80) {
+            const size = 3 * (1 << ((packed & 0x07) + 1));
+            layout.globalTable = { start: p, end: Math.min(p + size, bytes.length) };
+            p += size;
+        }
+
+        while (p < bytes.length) {
+            const introducer = bytes[p];
+            if (introducer === 0x3B) break;
+
+            if (introducer === 0x21) {
+                // Extension: label then sub-blocks
+                p = GifCodec.skipSubBlocks(bytes, p + 2).end;
+            } else if (introducer === 0x2C) {
+                const imagePacked = bytes[p + 9];
+                const image = {
+                    descriptor: p,
+                    left: bytes[p + 1] | (bytes[p + 2] << 8),
+                    top: bytes[p + 3] | (bytes[p + 4] << 8),
+                    width: bytes[p + 5] | (bytes[p + 6] << 8),
+                    height: bytes[p + 7] | (bytes[p + 8] << 8),
+                    interlaced: (imagePacked & 0x40) !== 0,
+                    localTable: null
+                };
+                p += 10;
+                if (imagePacked & 0x80) {
+                    const size = 3 * (1 << ((imagePacked & 0x07) + 1));
+                    image.localTable = { start: p, end: Math.min(p + size, bytes.length) };
+                    p += size;
+                }
+                image.minCodeSizeOffset = p;
+                image.minCodeSize = bytes[p];
+                const { blocks, end } = GifCodec.skipSubBlocks(bytes, p + 1);
+                image.blocks = blocks;
+                layout.images.push(image);
+                p = end;
+            } else {
+                break; // unknown block - the rest is unreadable
+            }
+        }
+
+        return layout;
+    }
+
+    static skipSubBlocks(bytes, p) {
+        const blocks = [];
+        while (p < bytes.length) {
+            const size = bytes[p];
+            if (size === 0) return { blocks, end: p + 1 };
+            blocks.push({ start: p + 1, end: Math.min(p + 1 + size, bytes.length) });
+            p += 1 + size;
+        }
+        return { blocks, end: bytes.length };
+    }
+
+    static buildMask(bytes, layout, target) {
+        // 1 = the byte may be corrupted by a rule with this target
+        const mask = new Uint8Array(bytes.length);
+        switch (target) {
+            case 'palette':
+                if (layout.globalTable) mask.fill(1, layout.globalTable.start, layout.globalTable.end);
+                break;
+            case 'lzw':
+                // Sub-block data only, never the block sizes or the minimum code size
+                for (const image of layout.images) {
+                    for (const block of image.blocks) mask.fill(1, block.start, block.end);
+                }
+                break;
+            default:
+                throw new Error(`Unknown GIF target: ${target}`);
+        }
+        return mask;
+    }
+
+    static decode(bytes) {
+        const layout = GifCodec.parse(bytes);
+        const { width, height } = layout;
+        if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+            throw new Error(`Invalid GIF dimensions: ${width}x${height}`);
+        }
+        const image = layout.images[0];
+        if (!image) {
+            throw new Error('GIF stream has no image data');
+        }
+
+        const result = new ImageData(width, height);
+        const out = result.data;
+        for (let i = 3; i < out.length; i += 4) out[i] = 255;
+
+        // A missing color table - or one cut off before its first color - decodes as a gray ramp rather than failing
+        const table = image.localTable || layout.globalTable;
+        const palette = table && table.end - table.start >= 3 ? bytes.subarray(table.start, table.end) : null;
+        const colors = palette ? Math.floor(palette.length / 3) : 256;
+
+        const minCodeSize = Math.min(Math.max(image.minCodeSize, 2), 11);
+        const data = GifCodec.joinBlocks(bytes, image.blocks);
+        const frameWidth = Math.min(image.width, MAX_PIXELS);
+        const frameHeight = Math.min(image.height, Math.floor(MAX_PIXELS / Math.max(frameWidth, 1)));
+        const { indices, decoded } = GifCodec.lzwDecode(data, minCodeSize, frameWidth * frameHeight);
+        const rows = GifCodec.rowOrder(frameHeight, image.interlaced);
+
+        for (let row = 0; row < frameHeight; row++) {
+            const y = image.top + rows[row];
+            if (y >= height) continue;
+            for (let x = 0; x < frameWidth; x++) {
+                const px = image.left + x;
+                if (px >= width || row * frameWidth + x >= decoded) break;
+                const index = indices[row * frameWidth + x] % colors;
+                const i = (y * width + px) * 4;
+                if (palette) {
+                    out[i] = palette[index * 3];
+                    out[i + 1] = palette[index * 3 + 1];
+                    out[i + 2] = palette[index * 3 + 2];
+                } else {
+                    out[i] = out[i + 1] = out[i + 2] = index;
+                }
+            }
+        }
+        return result;
+    }
+
+    static joinBlocks(bytes, blocks) {
+        const total = blocks.reduce((sum, block) => sum + block.end - block.start, 0);
+        const data = new Uint8Array(total);
+        let offset = 0;
+        for (const block of blocks) {
+            data.set(bytes.subarray(block.start, block.end), offset);
+            offset += block.end - block.start;
+        }
+        return data;
+    }
+
+    static rowOrder(height, interlaced) {
+        // Image row for each stored row
+        const rows = [];
+        if (!interlaced) {
+            for (let y = 0; y < height; y++) rows.push(y);
+            return rows;
+        }
+        for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+            for (let y = start; y < height; y += step) rows.push(y);
+        }
+        return rows;
+    }
+
+    static pushUint16(output, value) {
+        output.push(value & 0xFF, (value >> 8) & 0xFF);
+    }
+}
\ No newline at end of file
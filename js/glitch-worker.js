@@ -0,0 +1,26 @@
+// Pipeline worker - runs GlitchEngine off the main thread
+//
+// Each message carries a frame (an ImageBitmap, or ImageData) and the main
+// thread engine's settings; the reply carries the corrupted ImageData and the
+// frame report. Pixel buffers are transferred both ways, never copied.
+
+import { GlitchEngine } from './glitch.js';
+
+const engine = new GlitchEngine(new OffscreenCanvas(1, 1));
+
+function readFrame(frame) {
+    if (frame instanceof ImageData) return frame;
+    const imageData = engine.readBitmap(frame, frame.width, frame.height);
+    frame.close();
+    return imageData;
+}
+
+self.onmessage = async ({ data: { id, settings, frame } }) => {
+    try {
+        engine.applySettings(settings);
+        const { imageData, report } = await engine.processFrame(readFrame(frame));
+        self.postMessage({ id, imageData, report }, [imageData.data.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
\ No newline at end of file
@@ -1,3 +1,28 @@
+import { BytePattern } from './pattern.js';
+import { JpegParser } from './jpeg-parser.js';
+import { PngStream } from './png-stream.js';
+import { WebpStream } from './webp-stream.js';
+import { BmpCodec } from './bmp-codec.js';
+import { GifCodec } from './gif-codec.js';
+import { TiffCodec } from './tiff-codec.js';
+import { JpegEncoder } from './jpeg-encoder.js';
+import { JpegDecoder } from './jpeg-decoder.js';
+import { ProtectionProfile } from './protection.js';
+import { ByteOperators } from './operators.js';
+import { RawView } from './raw-view.js';
+import { RawPixels } from './raw-pixels.js';
+
+// Changed offsets kept per frame report - the count is always exact
+const MAX_REPORTED_OFFSETS = 1024;
+
+// Generations a frame can be put through, and the formats they can switch between
+const MAX_GENERATIONS = 16;
+const CORRUPTION_MODES = ['jpeg', 'png', 'webp', 'bmp', 'gif', 'tiff', 'raw'];
+
+// Tile grid limits per side; chain = every tile runs the whole chain, cycle = one enabled rule per tile in turn
+const MAX_TILES = 8;
+const TILE_RULES = ['chain', 'cycle'];
+
 export class GlitchEngine {
     constructor(canvas) {
         this.canvas = canvas;
@@ -8,224 +33,685 @@ export class GlitchEngine {
         this.destChars = 'b';
         this.sourceBytes = new TextEncoder().encode(this.sourceChars);
         this.destBytes = new TextEncoder().encode(this.destChars);
+        // Ordered replacement chain - each enabled rule runs on the output of the previous one
+        this.rules = [this.createRule({ sourceChars: this.sourceChars, destChars: this.destChars })];
         this.corruptionMode = 'jpeg'; // Default to JPEG stream corruption
         this.headerProtection = true; // Default to protect headers
+        this.protectionProfiles = ProtectionProfile.defaults(); // Protected ranges per format
+        this.jpegOptions = { quality: 95, subsampling: '420', progressive: false, restartInterval: 0, quantTables: null, fill: 'gray' };
+        this.bmpOptions = { variant: '24', topDown: false };
+        this.tiffOptions = { compression: 'none', exposeIfd: false };
+        this.rawOptions = { layout: 'rgba' }; // Pixel memory layout the rules see in RAW mode
+        this.spliceFixups = true; // Rewrite container lengths after splice rules resize the stream
+        // How undecodable bytes are shown; always = skip decoding and show every frame raw
+        this.rawView = { renderer: 'smear', rowWidth: 0, offset: 0, always: false };
+        this.generations = { count: 1, formats: [] }; // formats cycle per generation; empty = corruptionMode
+        this.tiles = { columns: 1, rows: 1, formats: [], rules: 'chain', varySeeds: false }; // 1x1 = no tiling
+        this.decodeTimeout = null; // Browser decode limit in ms; null waits for every decode to finish
+        this.lastReport = null; // Report of the last frame run through processFrame()
     }
     
-    async applyEffect(imageData) {
+    async processFrame(imageData) {
+        // applyEffect() plus a report of what happened to this frame
+        const report = this.createReport(imageData);
+        const start = performance.now();
+        const result = await this.applyEffect(imageData, report);
+        report.timings.total = performance.now() - start;
+        this.lastReport = report;
+        return { imageData: result, report };
+    }
+    
+    async applyEffect(imageData, report = this.createReport(imageData)) {
+        if (this.tiles.columns * this.tiles.rows > 1) {
+            return await this.corruptTiles(imageData, report);
+        }
+        
+        // Each generation encodes, corrupts and decodes the previous generation's output
+        let result = imageData;
+        for (let generation = 0; generation < this.generations.count; generation++) {
+            const format = this.getGenerationFormat(generation);
+            const matches = report.matches;
+            this.startGeneration(report, format);
+            result = await this.corruptGeneration(result, format, report);
+            const { encodedSize, corruptedSize, changedBytes, decoder, decodeError } = report;
+            report.generations.push({ format, encodedSize, corruptedSize, changedBytes, matches: report.matches - matches, decoder, decodeError });
+        }
+        return result;
+    }
+    
+    async corruptGeneration(imageData, format, report) {
         // Always process through JPEG/PNG stream, corruption controlled by isActive
         
-        switch (this.corruptionMode) {
+        switch (format) {
             case 'jpeg':
-                return await this.corruptImageStream(imageData, 'jpeg');
+                return await this.corruptImageStream(imageData, 'jpeg', report);
             case 'png':
-                return await this.corruptImageStream(imageData, 'png');
+                return await this.corruptImageStream(imageData, 'png', report);
             case 'webp':
-                return await this.corruptImageStream(imageData, 'webp');
+                return await this.corruptImageStream(imageData, 'webp', report);
             case 'bmp':
-                return await this.corruptImageStream(imageData, 'bmp');
+                return await this.corruptImageStream(imageData, 'bmp', report);
+            case 'gif':
+                return await this.corruptImageStream(imageData, 'gif', report);
+            case 'tiff':
+                return await this.corruptImageStream(imageData, 'tiff', report);
+            case 'raw':
+                return await this.corruptRawPixels(imageData, report);
+            case 'video':
+                // Video frames depend on the frames before them, so Datamosh keeps the codec state
+                throw new Error('Video mode frames go through Datamosh, not applyEffect()');
             default:
-                throw new Error(`Unknown corruption mode: ${this.corruptionMode}`);
+                throw new Error(`Unknown corruption mode: ${format}`);
         }
     }
     
-    corruptRawPixels(imageData) {
-        // Work directly on the pixel data array
-        const data = imageData.data;
-        this.corruptByteReplace(data, this.sourceByte, this.destByte);
-        return imageData;
+    async corruptTiles(imageData, report) {
+        // Every cell is a frame of its own for a 1x1 engine; a tile that fails keeps its clean pixels
+        const { width, height } = imageData;
+        const columns = Math.min(this.tiles.columns, width);
+        const rows = Math.min(this.tiles.rows, height);
+        const settings = this.getSettings();
+        const result = new ImageData(width, height);
+        result.data.set(imageData.data);
+        report.format = 'tiles';
+        
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const index = row * columns + column;
+                const x = Math.floor(column * width / columns);
+                const y = Math.floor(row * height / rows);
+                const tile = GlitchEngine.cropImageData(imageData, x, y, Math.floor((column + 1) * width / columns) - x, Math.floor((row + 1) * height / rows) - y);
+                const entry = { column, row, x, y, width: tile.width, height: tile.height, format: this.getTileFormat(index), error: null };
+                try {
+                    const { imageData: output, report: tileReport } = await this.createTileEngine(settings, index).processFrame(tile);
+                    GlitchEngine.pasteImageData(result, output, x, y);
+                    this.recordTile(report, entry, tileReport);
+                } catch (error) {
+                    entry.error = error.message;
+                    report.decodeError = report.decodeError || `tile ${column},${row}: ${error.message}`;
+                }
+                report.tiles.push(entry);
+            }
+        }
+        const decoders = [...new Set(report.tiles.map(entry => entry.decoder).filter(Boolean))];
+        report.decoder = decoders.length > 0 ? decoders.join('/') : null;
+        return result;
     }
     
-    corruptImageStream(imageData, format) {
-        // Convert canvas to image format, corrupt the binary data, then reconstruct
-        const canvas = document.createElement('canvas');
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
-        const ctx = canvas.getContext('2d');
-        ctx.putImageData(imageData, 0, 0);
+    createTileEngine(settings, index) {
+        // A copy of this engine with the tile's format, rule set and seeds
+        const { formats, rules: ruleSet, varySeeds } = this.tiles;
+        const enabled = settings.rules.filter(rule => rule.enabled);
+        const chosen = enabled[index % enabled.length];
+        const rules = settings.rules.map(rule => ({
+            ...rule,
+            // Disabled instead of removed, so the tile report's rules line up with this chain
+            enabled: ruleSet === 'cycle' ? rule === chosen : rule.enabled,
+            ...(varySeeds && rule.seed !== undefined ? { seed: (rule.seed + index) >>> 0 } : {})
+        }));
+        const generations = formats.length > 0
+            ? { ...settings.generations, formats: [formats[index % formats.length]] }
+            : settings.generations;
         
-        // Convert to image format
-        let mimeType, quality;
+        const engine = new GlitchEngine(this.canvas);
+        engine.applySettings({ ...settings, rules, generations, tiles: { ...settings.tiles, columns: 1, rows: 1 } });
+        return engine;
+    }
+    
+    getTileFormat(index) {
+        const { formats } = this.tiles;
+        return formats.length > 0 ? formats[index % formats.length] : this.corruptionMode;
+    }
+    
+    recordTile(report, entry, tileReport) {
+        // Sizes, matches, changes and timings add up over tiles; offsets stay per tile, each tile is its own stream
+        const { format, encodedSize, corruptedSize, changedBytes, matches, decoder, decodeError } = tileReport;
+        Object.assign(entry, { format, encodedSize, corruptedSize, changedBytes, matches, decoder, decodeError });
+        report.encodedSize += encodedSize;
+        report.corruptedSize += corruptedSize;
+        report.changedBytes += changedBytes;
+        report.matches += matches;
+        tileReport.rules.forEach((rule, i) => {
+            if (!report.rules[i]) return;
+            report.rules[i].matches += rule.matches;
+            report.rules[i].skipped = report.rules[i].skipped || rule.skipped;
+        });
+        for (const step of ['encode', 'corrupt', 'decode']) {
+            report.timings[step] += tileReport.timings[step];
+        }
+        if (tileReport.jpegErrors !== null) {
+            report.jpegErrors = (report.jpegErrors || 0) + tileReport.jpegErrors;
+            report.missingUnits = (report.missingUnits || 0) + tileReport.missingUnits;
+        }
+        if (decodeError && !report.decodeError) {
+            report.decodeError = `tile ${entry.column},${entry.row}: ${decodeError}`;
+        }
+    }
+    
+    static cropImageData(imageData, x, y, width, height) {
+        const result = new ImageData(width, height);
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * imageData.width + x) * 4;
+            result.data.set(imageData.data.subarray(start, start + width * 4), row * width * 4);
+        }
+        return result;
+    }
+    
+    static pasteImageData(target, tile, x, y) {
+        // Clipped to the target, in case a decoder returned a different size
+        const width = Math.min(tile.width, target.width - x);
+        const height = Math.min(tile.height, target.height - y);
+        for (let row = 0; row < height; row++) {
+            const start = row * tile.width * 4;
+            target.data.set(tile.data.subarray(start, start + width * 4), ((y + row) * target.width + x) * 4);
+        }
+    }
+    
+    getGenerationFormat(generation) {
+        const { formats } = this.generations;
+        return formats.length > 0 ? formats[generation % formats.length] : this.corruptionMode;
+    }
+    
+    createReport(imageData) {
+        // Filled in as the frame goes through encode, corruption and decode; times in milliseconds
+        return {
+            format: this.corruptionMode,
+            width: imageData.width,
+            height: imageData.height,
+            active: this.isActive,
+            encodedSize: 0,
+            corruptedSize: 0,
+            rules: this.rules.map(rule => ({ type: rule.type, enabled: rule.enabled, splice: rule.splice, matches: 0, skipped: null })), // skipped = why a rule couldn't run
+            matches: 0,
+            changedBytes: 0,
+            changedOffsets: [],
+            decoder: null, // 'js', 'browser' or 'fallback' (raw bytes drawn as pixels)
+            decodeError: null,
+            jpegErrors: null, // JPEG only: broken restart intervals and MCUs that had to be filled
+            missingUnits: null,
+            timings: { encode: 0, corrupt: 0, decode: 0, total: 0 }, // Summed over generations
+            generations: [], // Per generation: format, sizes, changedBytes, matches, decoder
+            tiles: [] // Tile mode only - per tile: position, size, format, sizes, matches, decoder, error
+        };
+    }
+    
+    startGeneration(report, format) {
+        // Matches and timings add up over generations; everything else describes the latest one
+        Object.assign(report, {
+            format,
+            encodedSize: 0,
+            corruptedSize: 0,
+            changedBytes: 0,
+            changedOffsets: [],
+            decoder: null,
+            decodeError: null,
+            jpegErrors: null,
+            missingUnits: null
+        });
+    }
+    
+    recordMatches(report, rule, count) {
+        // The chain can be replaced while a PNG frame is inflating - those rules aren't in the report
+        const entry = report && report.rules[this.rules.indexOf(rule)];
+        if (!entry) return;
+        entry.matches += count;
+        report.matches += count;
+    }
+    
+    recordSkip(report, rule, reason) {
+        // A rule that couldn't run on this frame, e.g. because the structure it needs no longer parses
+        const entry = report && report.rules[this.rules.indexOf(rule)];
+        if (entry) entry.skipped = reason;
+    }
+    
+    recordChanges(report, original, corrupted) {
+        // Check if any corruption actually happened - after a splice every later byte counts as changed
+        const length = Math.max(corrupted.length, original.length);
+        for (let i = 0; i < length; i++) {
+            if (corrupted[i] === original[i]) continue;
+            if (report.changedOffsets.length < MAX_REPORTED_OFFSETS) report.changedOffsets.push(i);
+            report.changedBytes++;
+        }
+    }
+    
+    corruptRawPixels(imageData, report = this.createReport(imageData)) {
+        // No codec: pixel memory in the chosen layout stands in for the encoded stream
+        return this.corruptImageStream(imageData, 'raw', report);
+    }
+    
+    async corruptImageStream(imageData, format, report = this.createReport(imageData)) {
+        // Encode to the image format, corrupt the binary data, then reconstruct
+        let start = performance.now();
+        const originalBytes = await this.encodeImage(imageData, format);
+        report.timings.encode += performance.now() - start;
+        report.encodedSize = originalBytes.length;
+        
+        // Apply corruption only if glitch is active
+        let bytes = originalBytes;
+        if (this.isActive) {
+            start = performance.now();
+            if (format === 'png') {
+                // PNG rules run on the inflated scanlines; the container is rebuilt afterwards
+                bytes = await this.corruptPngStream(originalBytes, report);
+            } else {
+                // Structure parsed before any rule runs, for formats whose targets need it
+                const layout = this.parseLayout(originalBytes, format);
+                
+                if (format === 'webp') {
+                    bytes = this.corruptWebpStream(originalBytes, report);
+                } else {
+                    // Apply only the specific character replacement - no additional effects
+                    // (splice rules return a resized copy)
+                    bytes = this.corruptImageBytes(originalBytes.slice(), layout, report, format);
+                }
+            }
+            report.timings.corrupt += performance.now() - start;
+            this.recordChanges(report, originalBytes, bytes);
+        }
+        report.corruptedSize = bytes.length;
+        
+        start = performance.now();
+        const result = await this.decodeImage(bytes, format, imageData, report);
+        report.timings.decode += performance.now() - start;
+        return result;
+    }
+    
+    encodeImage(imageData, format) {
+        // JPEG is encoded in JS so tables, subsampling, scans and restart markers can be chosen
+        if (format === 'jpeg') {
+            return JpegEncoder.encode(imageData, this.jpegOptions);
+        }
+        // BMP is encoded in JS - toDataURL('image/bmp') silently falls back to PNG in most browsers
+        if (format === 'bmp') {
+            return BmpCodec.encode(imageData, this.bmpOptions);
+        }
+        // Canvas has no GIF or TIFF encoder at all
+        if (format === 'gif') {
+            return GifCodec.encode(imageData);
+        }
+        if (format === 'tiff') {
+            return TiffCodec.encode(imageData, this.tiffOptions);
+        }
+        if (format === 'raw') {
+            return RawPixels.pack(imageData, this.rawOptions.layout);
+        }
+        
+        // PNG and WebP come from the browser's encoder, which only works asynchronously
+        return this.encodeWithCanvas(imageData, format);
+    }
+    
+    async encodeWithCanvas(imageData, format) {
+        const mimeType = this.getMimeType(format);
+        let quality;
         switch (format) {
-            case 'jpeg':
-                mimeType = 'image/jpeg';
-                quality = 0.95;
-                break;
             case 'png':
-                mimeType = 'image/png';
                 quality = undefined;
                 break;
             case 'webp':
-                mimeType = 'image/webp';
                 quality = 0.95;
                 break;
-            case 'bmp':
-                mimeType = 'image/bmp';
-                quality = undefined;
-                break;
             default:
                 throw new Error(`Unsupported image format: ${format}`);
         }
         
-        let dataURL = canvas.toDataURL(mimeType, quality);
+        const canvas = this.createCanvas(imageData.width, imageData.height);
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
         
-        // Check if BMP is supported, throw error if not
-        if (format === 'bmp' && dataURL.startsWith('data:image/png')) {
-            throw new Error('BMP format not supported by this browser');
+        // Straight to binary - no data URL and base64 round trip
+        const blob = canvas.convertToBlob
+            ? await canvas.convertToBlob({ type: mimeType, quality })
+            : await new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+    
+    createCanvas(width, height) {
+        // OffscreenCanvas also works inside the pipeline worker, which has no document
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
         }
-        
-        // Extract base64 data and convert to byte array
-        const base64Data = dataURL.split(',')[1];
-        const binaryString = atob(base64Data);
-        const bytes = new Uint8Array(binaryString.length);
-        
-        for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    
+    getMimeType(format) {
+        switch (format) {
+            case 'jpeg':
+                return 'image/jpeg';
+            case 'png':
+                return 'image/png';
+            case 'webp':
+                return 'image/webp';
+            case 'bmp':
+                return 'image/bmp';
+            case 'gif':
+                return 'image/gif';
+            case 'tiff':
+                return 'image/tiff';
+            default:
+                throw new Error(`Unsupported image format: ${format}`);
         }
-        
-        
-        // Apply corruption only if glitch is active
-        let changedBytes = 0;
-        if (this.isActive) {
-            // Different formats need different header protection levels
-            let skipBytes = 0; // Default: no protection
-            
-            if (this.headerProtection) {
-                switch (format) {
-                    case 'jpeg':
-                        skipBytes = 50;  // JPEG is more resilient
-                        break;
-                    case 'png':
-                        skipBytes = 200; // PNG has strict validation
-                        break;
-                    case 'webp':
-                        skipBytes = 100; // WebP needs moderate protection
-                        break;
-                    case 'bmp':
-                        skipBytes = 30;  // BMP has simple header structure
-                        break;
-                    default:
-                        throw new Error(`Unknown format for header protection: ${format}`);
-                }
+    }
+    
+    decodeImage(bytes, format, imageData, report = {}) {
+        // report.decoder says which path produced the frame; decodeError why the fallback ran
+        if (this.rawView.always) {
+            report.decoder = 'raw';
+            return Promise.resolve(this.useCorruptedBytes(bytes, imageData));
+        }
+        if (format === 'raw') {
+            // Any bytes read back as pixels - there is no header to break
+            report.decoder = 'js';
+            return Promise.resolve(RawPixels.unpack(bytes, imageData.width, imageData.height, this.rawOptions.layout));
+        }
+        if (format === 'bmp') {
+            // The JS decoder tolerates broken pixel data; only a wrecked header falls back
+            try {
+                report.decoder = 'js';
+                return Promise.resolve(this.fitImageData(BmpCodec.decode(bytes), imageData.width, imageData.height));
+            } catch (error) {
+                return Promise.resolve(this.useFallback(bytes, imageData, report, error.message));
             }
-            const beforeCorruption = bytes.slice(); // Copy for comparison
-            
-            // Apply only the specific character replacement - no additional effects
-            this.corruptImageBytes(bytes, skipBytes);
-            
-            // Check if any corruption actually happened
-            for (let i = 0; i < bytes.length; i++) {
-                if (bytes[i] !== beforeCorruption[i]) changedBytes++;
+        }
+        if (format === 'gif') {
+            // Broken LZW codes are decoded through; only a wrecked header falls back
+            try {
+                report.decoder = 'js';
+                return Promise.resolve(this.fitImageData(GifCodec.decode(bytes), imageData.width, imageData.height));
+            } catch (error) {
+                return Promise.resolve(this.useFallback(bytes, imageData, report, error.message));
             }
         }
-        
-        // Convert back to data URL
-        let corruptedBinaryString = '';
-        for (let i = 0; i < bytes.length; i++) {
-            corruptedBinaryString += String.fromCharCode(bytes[i]);
+        if (format === 'tiff') {
+            // Damaged strips decode as black rows; only unreadable tags fall back
+            try {
+                report.decoder = 'js';
+                return Promise.resolve(this.fitImageData(TiffCodec.decode(bytes), imageData.width, imageData.height));
+            } catch (error) {
+                return Promise.resolve(this.useFallback(bytes, imageData, report, error.message));
+            }
         }
-        const corruptedBase64 = btoa(corruptedBinaryString);
-        const corruptedDataURL = `data:${mimeType};base64,${corruptedBase64}`;
-        
-        // Always try to use the corrupted binary data directly
-        return new Promise((resolve) => {
-            
+        if (format === 'jpeg') {
+            // Broken scans resync on restart markers, so the artifacts don't depend on the browser
             try {
-                // Convert corrupted binary back to ImageData by attempting canvas operations
-                const img = new Image();
-                let resolved = false;
-                
-                // Set timeout - if image doesn't load, use raw corrupted bytes
-                const timeout = setTimeout(() => {
-                    if (!resolved) {
-                        resolved = true;
-                        resolve(this.useCorruptedBytes(bytes, imageData));
-                    }
-                }, 50); // Very short timeout to prefer raw bytes
-                
-                img.onload = () => {
-                    if (!resolved) {
-                        resolved = true;
-                        clearTimeout(timeout);
-                        
-                        const tempCanvas = document.createElement('canvas');
-                        tempCanvas.width = imageData.width;
-                        tempCanvas.height = imageData.height;
-                        const tempCtx = tempCanvas.getContext('2d');
-                        
-                        try {
-                            tempCtx.drawImage(img, 0, 0);
-                            const corruptedImageData = tempCtx.getImageData(0, 0, imageData.width, imageData.height);
-                            resolve(corruptedImageData);
-                        } catch (error) {
-                            resolve(this.useCorruptedBytes(bytes, imageData));
-                        }
-                    }
-                };
-                
-                img.onerror = () => {
-                    if (!resolved) {
-                        resolved = true;
-                        clearTimeout(timeout);
-                        resolve(this.useCorruptedBytes(bytes, imageData));
-                    }
-                };
-                
-                img.src = corruptedDataURL;
-                
+                const { frame, errors, missingUnits } = JpegDecoder.read(bytes, { fill: this.jpegOptions.fill });
+                report.decoder = 'js';
+                report.jpegErrors = errors;
+                report.missingUnits = missingUnits;
+                return Promise.resolve(this.fitImageData(JpegDecoder.render(frame), imageData.width, imageData.height));
             } catch (error) {
-                resolve(this.useCorruptedBytes(bytes, imageData));
+                return Promise.resolve(this.useFallback(bytes, imageData, report, error.message));
             }
+        }
+        
+        return this.decodeWithBrowser(bytes, format, imageData, report);
+    }
+    
+    async decodeWithBrowser(bytes, format, imageData, report) {
+        // Awaited to the end, so the outcome depends on the bytes only - not on how busy the machine is
+        const blob = new Blob([bytes], { type: this.getMimeType(format) });
+        let bitmap;
+        try {
+            bitmap = await this.waitForDecode(this.loadBitmap(blob));
+        } catch (error) {
+            return this.useFallback(bytes, imageData, report, error.message);
+        }
+        try {
+            const result = this.readBitmap(bitmap, imageData.width, imageData.height);
+            report.decoder = 'browser';
+            return result;
+        } catch (error) {
+            return this.useFallback(bytes, imageData, report, error.message);
+        } finally {
+            if (bitmap.close) bitmap.close();
+        }
+    }
+    
+    waitForDecode(decoding) {
+        // Without a timeout the decode always finishes; with one, slow frames fall back to the raw view
+        if (!this.decodeTimeout) return decoding;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`Browser decode timed out after ${this.decodeTimeout}ms`));
+                // Release the bitmap if it turns up after all
+                decoding.then(bitmap => bitmap.close && bitmap.close(), () => {});
+            }, this.decodeTimeout);
+            decoding.then(bitmap => {
+                clearTimeout(timer);
+                resolve(bitmap);
+            }, error => {
+                clearTimeout(timer);
+                reject(error);
+            });
         });
     }
     
-    useCorruptedBytes(corruptedBytes, originalImageData) {
-        // Use the actual corrupted binary data to create ImageData
+    readBitmap(bitmap, width, height) {
+        const ctx = this.createCanvas(width, height).getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(bitmap, 0, 0);
+        return ctx.getImageData(0, 0, width, height);
+    }
+    
+    loadBitmap(blob) {
+        // Either way the promise settles once the image is decoded or known to be undecodable
+        const failed = () => new Error('Browser could not decode the image');
+        if (typeof createImageBitmap === 'function') {
+            return createImageBitmap(blob).catch(() => { throw failed(); });
+        }
+        // Old browsers without createImageBitmap never get a worker, so Image is available
+        const img = new Image();
+        const url = URL.createObjectURL(blob);
+        img.src = url;
+        return img.decode().then(() => img, () => { throw failed(); }).finally(() => URL.revokeObjectURL(url));
+    }
+    
+    async corruptPngStream(bytes, report = null) {
+        const chunks = PngStream.parseChunks(bytes);
+        const header = PngStream.readHeader(bytes, chunks);
+        const scanlines = await PngStream.inflate(PngStream.joinData(bytes, chunks, 'IDAT'));
         
-        // Create new ImageData with same dimensions
-        const result = new ImageData(originalImageData.width, originalImageData.height);
+        let corrupted = this.corruptImageBytes(scanlines, header, report, 'png');
         
-        // Map corrupted bytes directly to pixel data
-        // This will create true data corruption visualization
-        const pixelCount = result.data.length / 4; // RGBA pixels
+        // Splices change the data length; IHDR dimensions say how much there should be
+        if (this.spliceFixups) {
+            corrupted = PngStream.fitData(corrupted, header);
+        }
         
-        for (let pixel = 0; pixel < pixelCount; pixel++) {
-            const baseIdx = pixel * 4;
-            const byteIdx = pixel % corruptedBytes.length;
-            
-            // Use corrupted bytes as pixel values, cycling through the corrupted data
-            const byte1 = corruptedBytes[byteIdx];
-            const byte2 = corruptedBytes[(byteIdx + 1) % corruptedBytes.length];
-            const byte3 = corruptedBytes[(byteIdx + 2) % corruptedBytes.length];
-            
-            result.data[baseIdx] = byte1;     // R
-            result.data[baseIdx + 1] = byte2; // G
-            result.data[baseIdx + 2] = byte3; // B
-            result.data[baseIdx + 3] = 255;   // A (always opaque)
+        // With protection on, keep every filter type valid so the file always decodes
+        if (this.headerProtection) {
+            PngStream.repairFilterTypes(corrupted, header);
         }
         
+        return PngStream.rebuild(bytes, chunks, await PngStream.deflate(corrupted));
+    }
+    
+    fitImageData(decoded, width, height) {
+        // Corrupted headers can decode to another size - crop or pad to the frame
+        if (decoded.width === width && decoded.height === height) {
+            return decoded;
+        }
+        
+        const result = new ImageData(width, height);
+        const copyWidth = Math.min(width, decoded.width);
+        const copyHeight = Math.min(height, decoded.height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                if (x < copyWidth && y < copyHeight) {
+                    const j = (y * decoded.width + x) * 4;
+                    result.data[i] = decoded.data[j];
+                    result.data[i + 1] = decoded.data[j + 1];
+                    result.data[i + 2] = decoded.data[j + 2];
+                }
+                result.data[i + 3] = 255;
+            }
+        }
         return result;
     }
     
+    useFallback(bytes, imageData, report, reason) {
+        report.decoder = 'fallback';
+        report.decodeError = reason;
+        return this.useCorruptedBytes(bytes, imageData);
+    }
     
+    useCorruptedBytes(corruptedBytes, originalImageData) {
+        // Use the actual corrupted binary data as pixels, read the way the raw view says
+        const { width, height } = originalImageData;
+        return RawView.render(corruptedBytes, width, height, this.rawView);
+    }
+    
+    getSettings() {
+        // Everything that shapes a frame, as plain data the pipeline worker can be sent
+        return {
+            isActive: this.isActive,
+            corruptionMode: this.corruptionMode,
+            rules: this.rules.map(rule => this.describeRule(rule)),
+            headerProtection: this.headerProtection,
+            protectionProfiles: this.protectionProfiles,
+            spliceFixups: this.spliceFixups,
+            jpegOptions: this.jpegOptions,
+            bmpOptions: this.bmpOptions,
+            tiffOptions: this.tiffOptions,
+            rawOptions: this.rawOptions,
+            rawView: this.rawView,
+            decodeTimeout: this.decodeTimeout,
+            generations: this.generations,
+            tiles: this.tiles
+        };
+    }
+    
+    applySettings(settings) {
+        // Settings come from another engine that already validated them, but rules still have to be compiled
+        const { rules, ...rest } = settings;
+        Object.assign(this, rest);
+        this.rules = rules.map(rule => this.createRule(rule));
+    }
+    
+    describeRule(rule) {
+        // The options createRule() was called with, without the compiled patterns
+        const { type, sourceChars, destChars, enabled, syntax, target, splice, windowStart, windowEnd, every, firstMatch, lastMatch, maxReplacements } = rule;
+        const description = { type, sourceChars, destChars, enabled, syntax, target, splice, windowStart, windowEnd, every, firstMatch, lastMatch, maxReplacements };
+        if (type !== 'replace') {
+            description.seed = rule.seed;
+            description.params = rule.params;
+        }
+        return description;
+    }
     
     setActive(active) {
         this.isActive = active;
     }
     
     setReplacementChars(sourceChars, destChars) {
+        // Single-pair API: replaces the whole chain with one rule
         this.sourceChars = sourceChars;
         this.destChars = destChars;
         this.sourceBytes = new TextEncoder().encode(sourceChars);
         this.destBytes = new TextEncoder().encode(destChars);
+        this.rules = [this.createRule({ sourceChars, destChars })];
         
         console.log(`Updated replacement: "${sourceChars}" → "${destChars}"`);
     }
     
-    setReplacementBytes(sourceByte, destByte) {
-        // Legacy method for backward compatibility
-        this.sourceByte = sourceByte;
-        this.destByte = destByte;
+    createRule({ type = 'replace', sourceChars, destChars, enabled = true, syntax = 'text', target = 'all', splice = false, seed = 1, params = {}, ...limits }) {
+        // Compile both sides up front so a bad pattern fails here, not mid-frame
+        const rule = { type, sourceChars, destChars, enabled, syntax, target, ...this.normalizeRuleLimits(limits) };
+        // Only replacement can splice - operators never resize the stream
+        rule.splice = type === 'replace' && Boolean(splice);
+        
+        if (type !== 'replace') {
+            // Seeded operators have no pattern, only their parameters
+            rule.seed = ByteOperators.normalizeSeed(seed);
+            rule.params = ByteOperators.normalize(type, params);
+            return rule;
+        }
+        
+        switch (syntax) {
+            case 'text':
+                rule.sourceBytes = new TextEncoder().encode(sourceChars);
+                rule.destBytes = new TextEncoder().encode(destChars);
+                rule.sourcePattern = BytePattern.fromText(sourceChars);
+                rule.destPattern = BytePattern.fromTextDest(destChars);
+                break;
+            case 'hex':
+                rule.sourcePattern = BytePattern.parseSource(sourceChars);
+                rule.destPattern = BytePattern.parseDest(destChars, BytePattern.countCaptures(rule.sourcePattern));
+                break;
+            default:
+                throw new Error(`Unknown rule syntax: ${syntax}`);
+        }
+        if (syntax === 'hex' && rule.destPattern.length === 0 && !rule.splice) {
+            // Overwriting has nothing to write; only a splice can delete the match
+            throw new Error('Empty hex destination: turn splice on to delete the match, or give bytes to write');
+        }
+        
+        return rule;
+    }
+    
+    normalizeRuleLimits({ windowStart = 0, windowEnd = null, every = 1, firstMatch = 1, lastMatch = null, maxReplacements = null } = {}) {
+        // Window offsets count in the buffer the rule runs on; match numbers start at 1
+        const atLeast = (value, min) => Number.isInteger(value) && value >= min;
+        if (!atLeast(windowStart, 0)) {
+            throw new Error(`Window start must be a byte offset: ${windowStart}`);
+        }
+        if (windowEnd !== null && !atLeast(windowEnd, windowStart + 1)) {
+            throw new Error(`Window end must be after its start: ${windowEnd}`);
+        }
+        if (!atLeast(every, 1)) {
+            throw new Error(`Every Nth match needs N of at least 1: ${every}`);
+        }
+        if (!atLeast(firstMatch, 1)) {
+            throw new Error(`First match must be 1 or more: ${firstMatch}`);
+        }
+        if (lastMatch !== null && !atLeast(lastMatch, firstMatch)) {
+            throw new Error(`Last match must not come before the first: ${lastMatch}`);
+        }
+        if (maxReplacements !== null && !atLeast(maxReplacements, 1)) {
+            throw new Error(`Replacement cap must be at least 1: ${maxReplacements}`);
+        }
+        return { windowStart, windowEnd, every, firstMatch, lastMatch, maxReplacements };
+    }
+    
+    setRules(rules) {
+        this.rules = rules.map(rule => this.createRule(rule));
+    }
+    
+    addRule(options) {
+        this.rules.push(this.createRule(options));
+        return this.rules.length - 1;
+    }
+    
+    updateRule(index, changes) {
+        const rule = this.getRule(index);
+        this.rules[index] = this.createRule({ ...rule, ...changes });
+    }
+    
+    removeRule(index) {
+        this.getRule(index);
+        this.rules.splice(index, 1);
+    }
+    
+    moveRule(fromIndex, toIndex) {
+        const rule = this.getRule(fromIndex);
+        if (toIndex < 0 || toIndex >= this.rules.length) {
+            throw new Error(`Rule index out of range: ${toIndex}`);
+        }
+        this.rules.splice(fromIndex, 1);
+        this.rules.splice(toIndex, 0, rule);
+    }
+    
+    setRuleEnabled(index, enabled) {
+        this.getRule(index).enabled = enabled;
+    }
+    
+    getRule(index) {
+        const rule = this.rules[index];
+        if (!rule) {
+            throw new Error(`Rule index out of range: ${index}`);
+        }
+        return rule;
     }
     
     setCorruptionMode(mode) {
@@ -236,74 +722,463 @@ export class GlitchEngine {
         this.headerProtection = enabled;
     }
     
-    corruptImageBytes(bytes, skipBytes = 0) {
-        let replacementCount = 0;
+    setSpliceFixups(enabled) {
+        this.spliceFixups = enabled;
+    }
+    
+    setProtectionProfile(format, entries) {
+        // Validated before anything changes, so a bad profile leaves the old one in place
+        this.protectionProfiles = { ...this.protectionProfiles, [format]: ProtectionProfile.validate(entries, format) };
+    }
+    
+    resetProtectionProfile(format) {
+        this.setProtectionProfile(format, ProtectionProfile.defaults()[format]);
+    }
+    
+    setJpegOptions(options) {
+        const jpegOptions = { ...this.jpegOptions, ...options };
+        const { quality, subsampling, restartInterval, quantTables, fill } = jpegOptions;
+        if (!JpegEncoder.SUBSAMPLINGS.includes(subsampling)) {
+            throw new Error(`Unknown JPEG subsampling: ${subsampling}`);
+        }
+        if (!JpegDecoder.FILLS.includes(fill)) {
+            throw new Error(`Unknown JPEG missing data fill: ${fill}`);
+        }
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            throw new Error(`JPEG quality must be an integer from 1 to 100: ${quality}`);
+        }
+        if (!Number.isInteger(restartInterval) || restartInterval < 0 || restartInterval > 65535) {
+            throw new Error(`JPEG restart interval must be an integer from 0 to 65535: ${restartInterval}`);
+        }
+        if (quantTables) {
+            // A missing table falls back to the standard one scaled by quality
+            if (quantTables.luma) JpegEncoder.validateQuantTable(quantTables.luma);
+            if (quantTables.chroma) JpegEncoder.validateQuantTable(quantTables.chroma);
+        }
+        this.jpegOptions = jpegOptions;
+    }
+    
+    setBmpOptions(options) {
+        const bmpOptions = { ...this.bmpOptions, ...options };
+        if (!BmpCodec.VARIANTS.includes(bmpOptions.variant)) {
+            throw new Error(`Unknown BMP variant: ${bmpOptions.variant}`);
+        }
+        this.bmpOptions = bmpOptions;
+    }
+    
+    setTiffOptions(options) {
+        const tiffOptions = { ...this.tiffOptions, ...options };
+        if (!TiffCodec.COMPRESSIONS.includes(tiffOptions.compression)) {
+            throw new Error(`Unknown TIFF compression: ${tiffOptions.compression}`);
+        }
+        this.tiffOptions = tiffOptions;
+    }
+    
+    setRawOptions(options) {
+        const rawOptions = { ...this.rawOptions, ...options };
+        if (!RawPixels.LAYOUTS.includes(rawOptions.layout)) {
+            throw new Error(`Unknown raw pixel layout: ${rawOptions.layout}`);
+        }
+        this.rawOptions = rawOptions;
+    }
+    
+    setGenerations({ count = this.generations.count, formats = this.generations.formats }) {
+        if (!Number.isInteger(count) || count < 1 || count > MAX_GENERATIONS) {
+            throw new Error(`Generations must be an integer from 1 to ${MAX_GENERATIONS}: ${count}`);
+        }
+        const unknown = formats.find(format => !CORRUPTION_MODES.includes(format));
+        if (unknown !== undefined) {
+            throw new Error(`Unknown generation format: ${unknown}`);
+        }
+        this.generations = { count, formats: [...formats] };
+    }
+    
+    setTiles(options) {
+        const tiles = { ...this.tiles, ...options };
+        for (const side of ['columns', 'rows']) {
+            if (!Number.isInteger(tiles[side]) || tiles[side] < 1 || tiles[side] > MAX_TILES) {
+                throw new Error(`Tile ${side} must be an integer from 1 to ${MAX_TILES}: ${tiles[side]}`);
+            }
+        }
+        const unknown = tiles.formats.find(format => !CORRUPTION_MODES.includes(format));
+        if (unknown !== undefined) {
+            throw new Error(`Unknown tile format: ${unknown}`);
+        }
+        if (!TILE_RULES.includes(tiles.rules)) {
+            throw new Error(`Unknown tile rule set: ${tiles.rules}`);
+        }
+        this.tiles = { ...tiles, formats: [...tiles.formats], varySeeds: Boolean(tiles.varySeeds) };
+    }
+    
+    setDecodeTimeout(timeout) {
+        if (timeout !== null && (!Number.isInteger(timeout) || timeout < 1)) {
+            throw new Error(`Decode timeout must be a positive number of milliseconds or null: ${timeout}`);
+        }
+        this.decodeTimeout = timeout;
+    }
+    
+    setRawView(options) {
+        const rawView = { ...this.rawView, ...options };
+        RawView.validate(rawView);
+        this.rawView = { ...rawView, always: Boolean(rawView.always) };
+    }
+    
+    ruleApplies(rule, format) {
+        // A generation in another format skips rules aimed at structures that format doesn't have;
+        // in the chosen mode an unknown target is still an error
+        return format === this.corruptionMode || rule.target === 'all' || this.getRuleTargets(format).includes(rule.target);
+    }
+    
+    getRuleTargets(mode = this.corruptionMode) {
+        // Structures a rule can be confined to in each format - 'all' is the whole stream
+        switch (mode) {
+            case 'jpeg':
+                return ['all', 'scan', 'dqt', 'dht', 'sof', 'app'];
+            case 'png':
+                return ['all', 'filter', 'pixels'];
+            case 'webp':
+                return ['all', 'vp8', 'vp8l', 'alph'];
+            case 'gif':
+                return ['all', 'palette', 'lzw'];
+            case 'tiff':
+                return ['all', 'ifd', 'strips'];
+            default:
+                return ['all'];
+        }
+    }
+    
+    buildTargetMask(bytes, target, cache, layout = null, format = this.corruptionMode) {
+        // Returns null when every byte is eligible
+        if (target === 'all') return null;
         
-        // Only replace target byte sequences - no random corruption
-        // If source and dest are the same, nothing should change
-        if (this.sourceChars !== this.destChars && this.sourceBytes.length > 0 && this.destBytes.length > 0) {
-            // Calculate start position based on header protection and format
-            let startByte = skipBytes; // Use the skipBytes passed from corruptImageStream
+        if (!this.getRuleTargets(format).includes(target)) {
+            throw new Error(`Unknown rule target for ${format}: ${target}`);
+        }
+        
+        // Structure is parsed once per frame, before any rule has touched the bytes
+        if (!cache.has(target)) {
+            switch (format) {
+                case 'jpeg':
+                    if (!cache.has('segments')) {
+                        cache.set('segments', JpegParser.parse(bytes));
+                    }
+                    cache.set(target, JpegParser.buildMask(bytes, cache.get('segments'), target));
+                    break;
+                case 'png':
+                    cache.set(target, PngStream.buildMask(bytes.length, layout, target));
+                    break;
+                case 'gif':
+                    cache.set(target, GifCodec.buildMask(bytes, layout, target));
+                    break;
+                case 'tiff':
+                    cache.set(target, TiffCodec.buildMask(bytes, layout, target));
+                    break;
+                default:
+                    // WebP targets are whole bitstreams, handled by corruptWebpStream()
+                    throw new Error(`Rule target ${target} is not a byte mask in ${format} mode`);
+            }
+        }
+        return cache.get(target);
+    }
+    
+    parseLayout(bytes, format) {
+        switch (format) {
+            case 'gif':
+                return GifCodec.parse(bytes);
+            case 'tiff':
+                return TiffCodec.parse(bytes);
+            default:
+                return null;
+        }
+    }
+    
+    corruptImageBytes(bytes, layout = null, report = null, format = this.corruptionMode) {
+        // layout carries structure parsed before any rule ran (the IHDR for PNG scanlines, GIF blocks, TIFF IFD)
+        // Returns the corrupted bytes: the same array, unless a splice rule resized it
+        const rules = this.rules.filter(rule => rule.enabled && this.ruleApplies(rule, format));
+        let protectedMask = this.buildProtectionMask(bytes, layout, format);
+        
+        // Every target is resolved up front, so splices can shift the masks along with the bytes
+        const maskCache = new Map();
+        rules.forEach(rule => this.buildTargetMask(bytes, rule.target, maskCache, layout, format));
+        const container = rules.some(rule => rule.splice) ? this.parseContainer(bytes, format) : null;
+        const edits = [];
+        
+        // Apply the chain in order - each rule sees the result of the previous one
+        for (const rule of rules) {
+            const mask = this.excludeProtected(this.buildTargetMask(bytes, rule.target, maskCache, layout, format), protectedMask);
+            if (!rule.splice) {
+                this.recordMatches(report, rule, this.applyRule(bytes, rule, mask));
+                continue;
+            }
+            
+            const result = this.applySplice(bytes, rule, mask);
+            this.recordMatches(report, rule, result.edits.length);
+            if (result.edits.length === 0) continue;
+            bytes = result.bytes;
+            edits.push(result.edits);
+            // Spliced-in bytes replaced eligible, unprotected ones
+            if (protectedMask) protectedMask = this.spliceMask(protectedMask, result.edits, 0);
+            maskCache.forEach((value, key) => {
+                if (value instanceof Uint8Array) maskCache.set(key, this.spliceMask(value, result.edits, 1));
+            });
+        }
+        
+        return container && edits.length > 0 ? this.fixSpliceLengths(bytes, container, edits) : bytes;
+    }
+    
+    corruptWebpStream(bytes, report = null) {
+        // Chunk-targeted rules run on that chunk's bitstream alone and the container
+        // is rebuilt around the result, so chunk and RIFF sizes always stay correct
+        let output = bytes.slice();
+        
+        for (const rule of this.rules) {
+            if (!rule.enabled || !this.ruleApplies(rule, 'webp')) continue;
             
-            // If header protection is enabled, apply additional conservative measures for strict formats
-            if (this.headerProtection) {
-                switch (this.corruptionMode) {
-                    case 'png':
-                        // PNG needs very conservative corruption
-                        startByte = Math.max(skipBytes, Math.floor(bytes.length * 0.5));
-                        break;
-                    case 'webp':
-                        // WebP needs moderate protection
-                        startByte = Math.max(skipBytes, Math.floor(bytes.length * 0.3));
-                        break;
-                    case 'bmp':
-                        // BMP is uncompressed, corruption is very visible - moderate protection
-                        startByte = Math.max(skipBytes, Math.floor(bytes.length * 0.2));
-                        break;
-                    case 'jpeg':
-                        // JPEG can handle more corruption
-                        startByte = skipBytes;
-                        break;
-                    default:
-                        throw new Error(`Unknown corruption mode for header protection: ${this.corruptionMode}`);
+            if (rule.target === 'all') {
+                // Profile ranges are resolved on the current file - earlier rules may have resized chunks
+                let protectedMask;
+                let container;
+                try {
+                    protectedMask = this.buildProtectionMask(output, null, 'webp');
+                    container = rule.splice ? this.parseContainer(output, 'webp') : null;
+                } catch (error) {
+                    // Earlier rules can leave chunk sizes that no longer parse - the rule sits this frame out
+                    this.recordSkip(report, rule, error.message);
+                    continue;
+                }
+                const mask = this.excludeProtected(null, protectedMask);
+                if (rule.splice) {
+                    const { bytes: spliced, edits } = this.applySplice(output, rule, mask);
+                    this.recordMatches(report, rule, edits.length);
+                    output = container && edits.length > 0 ? this.fixSpliceLengths(spliced, container, [edits]) : spliced;
+                } else {
+                    this.recordMatches(report, rule, this.applyRule(output, rule, mask));
                 }
+                continue;
+            }
+            if (!this.getRuleTargets('webp').includes(rule.target)) {
+                throw new Error(`Unknown rule target for webp: ${rule.target}`);
             }
             
-            // Find and replace byte sequences
-            for (let i = startByte; i <= bytes.length - this.sourceBytes.length; i++) {
-                // Check if current position matches source byte sequence
-                let matches = true;
-                for (let j = 0; j < this.sourceBytes.length; j++) {
-                    if (bytes[i + j] !== this.sourceBytes[j]) {
-                        matches = false;
-                        break;
-                    }
-                }
-                
-                if (matches) {
-                    // Replace with destination bytes
-                    const replaceLength = Math.min(this.destBytes.length, this.sourceBytes.length);
-                    for (let j = 0; j < replaceLength; j++) {
-                        bytes[i + j] = this.destBytes[j];
-                    }
-                    
-                    // If destination is shorter, fill remaining with the last dest byte
-                    if (this.destBytes.length < this.sourceBytes.length) {
-                        const lastDestByte = this.destBytes[this.destBytes.length - 1];
-                        for (let j = this.destBytes.length; j < this.sourceBytes.length; j++) {
-                            bytes[i + j] = lastDestByte;
-                        }
-                    }
-                    
-                    replacementCount++;
-                    // Skip ahead to avoid overlapping matches
-                    i += this.sourceBytes.length - 1;
+            // Re-parse for every rule - an earlier rule may have moved the chunks
+            let parsed;
+            try {
+                parsed = WebpStream.parse(output);
+            } catch (error) {
+                // A splice without length fix-ups can leave no chunk to find
+                this.recordSkip(report, rule, error.message);
+                continue;
+            }
+            const chunk = WebpStream.findChunk(parsed, rule.target);
+            if (!chunk) continue; // e.g. no ALPH chunk in an opaque image
+            
+            // The chunk is rebuilt around the bitstream, so spliced bitstreams always get correct sizes
+            let bitstream = output.slice(chunk.bitstreamStart, chunk.dataEnd);
+            if (rule.splice) {
+                const result = this.applySplice(bitstream, rule, null);
+                this.recordMatches(report, rule, result.edits.length);
+                bitstream = result.bytes;
+            } else {
+                this.recordMatches(report, rule, this.applyRule(bitstream, rule, null));
+            }
+            output = WebpStream.replaceBitstream(output, chunk, bitstream);
+        }
+        
+        return output;
+    }
+    
+    parseContainer(bytes, format = this.corruptionMode) {
+        // Length fields a splice has to keep in step, read before the rules run; null when there are none to fix
+        if (!this.spliceFixups) return null;
+        
+        switch (format) {
+            case 'bmp':
+                return BmpCodec.isComplete(bytes) ? { format: 'bmp', dataOffset: BmpCodec.readDataOffset(bytes) } : null;
+            case 'webp':
+                return { format: 'webp', chunks: WebpStream.parse(bytes).chunks };
+            default:
+                return null;
+        }
+    }
+    
+    fixSpliceLengths(bytes, container, edits) {
+        // Structure offsets from before the rules are mapped through every splice to where they are now
+        const map = offset => edits.reduce((mapped, ruleEdits) => this.mapSpliceOffset(ruleEdits, mapped), offset);
+        
+        if (container.format === 'bmp') {
+            return BmpCodec.fixLengths(bytes, map(container.dataOffset));
+        }
+        return WebpStream.rebuild(bytes, container.chunks.map(chunk => ({
+            fourcc: chunk.fourcc,
+            dataStart: map(chunk.dataStart),
+            dataEnd: map(chunk.dataEnd)
+        })));
+    }
+    
+    mapSpliceOffset(edits, offset) {
+        // Offsets inside a replaced range land inside what replaced it
+        let shift = 0;
+        for (const edit of edits) {
+            if (offset <= edit.offset) break;
+            if (offset < edit.offset + edit.removed) {
+                return edit.offset + shift + Math.min(offset - edit.offset, edit.inserted);
+            }
+            shift += edit.inserted - edit.removed;
+        }
+        return offset + shift;
+    }
+    
+    spliceMask(mask, edits, fill) {
+        // Resize a per-byte mask the way a splice resized the bytes, marking inserted bytes with fill
+        const length = edits.reduce((total, edit) => total + edit.inserted - edit.removed, mask.length);
+        const result = new Uint8Array(length);
+        let from = 0;
+        let to = 0;
+        for (const edit of edits) {
+            result.set(mask.subarray(from, edit.offset), to);
+            to += edit.offset - from;
+            result.fill(fill, to, to + edit.inserted);
+            to += edit.inserted;
+            from = edit.offset + edit.removed;
+        }
+        result.set(mask.subarray(from), to);
+        return result;
+    }
+    
+    buildProtectionMask(bytes, layout = null, format = this.corruptionMode) {
+        // 1 = protected by the format's profile; null when protection is off or the profile is empty
+        if (!this.headerProtection) return null;
+        
+        let entries = this.protectionProfiles[format];
+        if (!entries) {
+            throw new Error(`Unknown corruption mode for header protection: ${format}`);
+        }
+        if (format === 'tiff' && this.tiffOptions.exposeIfd) {
+            // Exposing the IFD drops it from the profile, whatever else is protected
+            entries = entries.filter(entry => entry.name !== 'ifd');
+        }
+        return ProtectionProfile.buildMask(bytes, format, entries, layout);
+    }
+    
+    excludeProtected(mask, protectedMask) {
+        // Target masks mark eligible bytes; protected bytes are taken out of them
+        if (!protectedMask) return mask;
+        
+        const result = mask ? mask.slice() : new Uint8Array(protectedMask.length).fill(1);
+        for (let i = 0; i < result.length; i++) {
+            if (protectedMask[i]) result[i] = 0;
+        }
+        return result;
+    }
+    
+    applyRule(bytes, rule, mask) {
+        if (rule.type !== 'replace') {
+            return ByteOperators.apply(bytes, rule, mask);
+        }
+        
+        return this.replaceSequence(bytes, rule, mask);
+    }
+    
+    applySplice(bytes, rule, mask) {
+        return this.spliceSequence(bytes, rule, mask);
+    }
+    
+    replaceSequence(bytes, rule, mask = null) {
+        // Overwrites in place - dest is cut or padded to the length of the match
+        const length = rule.sourcePattern.length;
+        let replacementCount = 0;
+        
+        this.forEachMatch(bytes, rule, mask, (offset, destBytes) => {
+            const replaceLength = Math.min(destBytes.length, length);
+            for (let j = 0; j < replaceLength; j++) {
+                bytes[offset + j] = destBytes[j];
+            }
+            
+            // If destination is shorter, fill remaining with the last dest byte
+            if (destBytes.length < length) {
+                const lastDestByte = destBytes[destBytes.length - 1];
+                for (let j = destBytes.length; j < length; j++) {
+                    bytes[offset + j] = lastDestByte;
                 }
             }
+            replacementCount++;
+        });
+        
+        return replacementCount;
+    }
+    
+    spliceSequence(bytes, rule, mask = null) {
+        // Writes dest at its own length, so the stream grows or shrinks and everything after it moves.
+        // Returns the new bytes and the edits, in the coordinates of the input.
+        const edits = [];
+        const parts = [];
+        let from = 0;
+        
+        this.forEachMatch(bytes, rule, mask, (offset, destBytes) => {
+            parts.push(bytes.subarray(from, offset), destBytes);
+            edits.push({ offset, removed: rule.sourcePattern.length, inserted: destBytes.length });
+            from = offset + rule.sourcePattern.length;
+        });
+        if (edits.length === 0) return { bytes, edits };
+        
+        parts.push(bytes.subarray(from));
+        const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return { bytes: output, edits };
+    }
+    
+    forEachMatch(bytes, rule, mask, callback) {
+        const { sourcePattern, destPattern } = rule;
+        
+        // Only replace target byte sequences - no random corruption
+        // If source and dest are the same, nothing should change; an empty dest only makes sense as a deletion
+        if (rule.sourceChars === rule.destChars || sourcePattern.length === 0 || (destPattern.length === 0 && !rule.splice)) {
+            return;
         }
         
-        if (replacementCount > 0) {
-            console.log(`Replaced ${replacementCount} instances: "${this.sourceChars}" → "${this.destChars}"`);
+        // Find byte sequences inside the rule's window
+        const end = rule.windowEnd === null ? bytes.length : Math.min(rule.windowEnd, bytes.length);
+        let matchCount = 0;
+        let replacementCount = 0;
+        for (let i = rule.windowStart; i <= end - sourcePattern.length; i++) {
+            // Matches must lie entirely inside the rule's target structure
+            if (mask && !this.isMaskedRange(mask, i, sourcePattern.length)) continue;
+            
+            // Check if current position matches the source pattern
+            const captures = BytePattern.matchAt(bytes, i, sourcePattern);
+            if (!captures) continue;
+            
+            // Unselected matches are still skipped over, so filters never change which matches are counted
+            matchCount++;
+            if (this.isSelectedMatch(rule, matchCount)) {
+                // Destination bytes with capture references resolved
+                callback(i, BytePattern.render(destPattern, captures));
+                replacementCount++;
+                if (rule.maxReplacements !== null && replacementCount >= rule.maxReplacements) break;
+            }
+            if (rule.lastMatch !== null && matchCount >= rule.lastMatch) break;
+            
+            // Skip ahead to avoid overlapping matches
+            i += sourcePattern.length - 1;
+        }
+    }
+    
+    isSelectedMatch(rule, matchNumber) {
+        // Matches firstMatch..lastMatch, then every Nth of those
+        if (matchNumber < rule.firstMatch) return false;
+        if (rule.lastMatch !== null && matchNumber > rule.lastMatch) return false;
+        return (matchNumber - rule.firstMatch + 1) % rule.every === 0;
+    }
+    
+    isMaskedRange(mask, offset, length) {
+        for (let j = 0; j < length; j++) {
+            if (!mask[offset + j]) return false;
         }
+        return true;
     }
 }
\ No newline at end of file
@@ -0,0 +1,610 @@
+// Corruption-tolerant JPEG decoder
+//
+// Browsers reject or silently truncate broken JPEGs, and how they do it
+// differs between engines. This decoder keeps going instead: a Huffman error
+// abandons the rest of its restart interval, decoding resyncs on the next RST
+// marker (its number tells how many intervals were lost), and every unit that
+// got no data is left gray or filled with the last good MCU. Baseline and
+// progressive (including successive approximation) frames are supported.
+
+import { JpegEncoder } from './jpeg-encoder.js';
+
+const ZIGZAG = JpegEncoder.ZIGZAG;
+
+// Corrupted headers can claim absurd sizes - refuse rather than allocate them
+const MAX_PIXELS = 4096 * 4096;
+
+const FILLS = ['gray', 'repeat'];
+
+let cosineTable = null;
+
+export class JpegDecoder {
+    static get FILLS() {
+        return FILLS;
+    }
+
+    static decode(bytes, options = {}) {
+        const { frame } = JpegDecoder.read(bytes, options);
+        return JpegDecoder.render(frame);
+    }
+
+    static read(bytes, { fill = 'gray' } = {}) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Not a JPEG stream: missing SOI marker');
+        }
+
+        const state = {
+            fill,
+            frame: null,
+            quantTables: [],
+            dcTables: [],
+            acTables: [],
+            restartInterval: 0,
+            errors: 0,
+            missingUnits: 0
+        };
+
+        let i = 2;
+        while (i < bytes.length - 1) {
+            // Skip anything that is not a marker - corruption can leave garbage between segments
+            if (bytes[i] !== 0xFF || bytes[i + 1] === 0xFF || bytes[i + 1] === 0x00) {
+                i++;
+                continue;
+            }
+            const marker = bytes[i + 1];
+            if (marker === 0xD9) break;
+            if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7)) {
+                i += 2; // stray SOI / RSTn carry no payload
+                continue;
+            }
+
+            const length = (bytes[i + 2] << 8) | bytes[i + 3];
+            const dataStart = i + 4;
+            const dataEnd = Math.min(i + 2 + Math.max(length, 2), bytes.length);
+            const data = bytes.subarray(dataStart, dataEnd);
+            i = dataEnd;
+
+            switch (marker) {
+                case 0xDB:
+                    JpegDecoder.readQuantTables(data, state.quantTables);
+                    break;
+                case 0xC4:
+                    JpegDecoder.readHuffmanTables(data, state);
+                    break;
+                case 0xDD:
+                    state.restartInterval = (data[0] << 8) | data[1];
+                    break;
+                case 0xC0:
+                case 0xC1:
+                case 0xC2:
+                    // Damaged scan data can fake a second frame header - only the first one counts
+                    if (!state.frame) {
+                        state.frame = JpegDecoder.readFrame(data, marker === 0xC2);
+                    }
+                    break;
+                case 0xDA: {
+                    const scanEnd = JpegDecoder.findScanEnd(bytes, i);
+                    if (state.frame) {
+                        JpegDecoder.decodeScan(bytes, i, scanEnd, data, state);
+                    } else {
+                        state.errors++; // scan before any frame header
+                    }
+                    i = scanEnd;
+                    break;
+                }
+                default:
+                    if (!state.frame && marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                        throw new Error(`Unsupported JPEG frame type: SOF${marker - 0xC0}`);
+                    }
+                    // APPn, COM and unknown segments are skipped
+            }
+        }
+
+        if (!state.frame) {
+            throw new Error('JPEG stream has no frame header');
+        }
+        state.frame.quantTables = state.quantTables;
+        return { frame: state.frame, errors: state.errors, missingUnits: state.missingUnits };
+    }
+
+    static readQuantTables(data, tables) {
+        let p = 0;
+        while (p < data.length) {
+            const precision = data[p] >> 4;
+            const id = data[p] & 3;
+            p++;
+            const table = new Uint16Array(64);
+            for (let k = 0; k < 64 && p < data.length; k++) {
+                table[ZIGZAG[k]] = precision ? (data[p] << 8) | data[p + 1] : data[p];
+                p += precision ? 2 : 1;
+            }
+            tables[id] = table;
+        }
+    }
+
+    static readHuffmanTables(data, state) {
+        let p = 0;
+        while (p + 17 <= data.length) {
+            const tableClass = data[p] >> 4;
+            const id = data[p] & 3;
+            const counts = Array.from(data.subarray(p + 1, p + 17));
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const symbols = data.subarray(p + 17, p + 17 + total);
+            p += 17 + total;
+            (tableClass ? state.acTables : state.dcTables)[id] = JpegDecoder.buildHuffmanTable(counts, symbols);
+        }
+    }
+
+    static buildHuffmanTable(counts, symbols) {
+        // Canonical decoding tables: largest code and symbol offset per length
+        const maxCode = new Int32Array(18).fill(-1);
+        const offset = new Int32Array(17);
+        let code = 0;
+        let k = 0;
+        for (let length = 1; length <= 16; length++) {
+            offset[length] = k - code;
+            if (counts[length - 1] > 0) {
+                code += counts[length - 1];
+                k += counts[length - 1];
+                maxCode[length] = code - 1;
+            }
+            code <<= 1;
+        }
+        return { maxCode, offset, symbols };
+    }
+
+    static readFrame(data, progressive) {
+        if (data.length < 6) {
+            throw new Error(`Truncated JPEG frame header: ${data.length} bytes`);
+        }
+        const height = (data[1] << 8) | data[2];
+        const width = (data[3] << 8) | data[4];
+        const count = data[5];
+        if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+            throw new Error(`Invalid JPEG dimensions: ${width}x${height}`);
+        }
+        if (count === 0 || 6 + count * 3 > data.length) {
+            throw new Error(`Invalid JPEG component count: ${count}`);
+        }
+        if (count === 2) {
+            // Rendering needs gray (1 component) or YCbCr (3, anything past them is ignored)
+            throw new Error(`Unsupported JPEG component count: ${count}`);
+        }
+
+        const components = [];
+        for (let c = 0; c < count; c++) {
+            const p = 6 + c * 3;
+            components.push({
+                id: data[p],
+                // Sampling factors outside 1-4 are clamped rather than rejected
+                h: Math.min(4, Math.max(1, data[p + 1] >> 4)),
+                v: Math.min(4, Math.max(1, data[p + 1] & 15)),
+                tableId: data[p + 2] & 3
+            });
+        }
+
+        const maxH = Math.max(...components.map(component => component.h));
+        const maxV = Math.max(...components.map(component => component.v));
+        const mcusX = Math.ceil(width / (8 * maxH));
+        const mcusY = Math.ceil(height / (8 * maxV));
+        for (const component of components) {
+            component.blocksPerLine = mcusX * component.h;
+            component.blocksPerColumn = mcusY * component.v;
+            component.scanBlocksPerLine = Math.ceil(Math.ceil(width * component.h / maxH) / 8);
+            component.scanBlocksPerColumn = Math.ceil(Math.ceil(height * component.v / maxV) / 8);
+            component.coefficients = new Int16Array(component.blocksPerLine * component.blocksPerColumn * 64);
+        }
+        return { width, height, progressive, maxH, maxV, mcusX, mcusY, components };
+    }
+
+    static findScanEnd(bytes, start) {
+        // Entropy-coded data runs until a marker that is neither stuffing nor RSTn
+        for (let j = start; j < bytes.length - 1; j++) {
+            if (bytes[j] === 0xFF && bytes[j + 1] !== 0x00 && bytes[j + 1] !== 0xFF && !(bytes[j + 1] >= 0xD0 && bytes[j + 1] <= 0xD7)) {
+                return j;
+            }
+        }
+        return bytes.length;
+    }
+
+    static decodeScan(bytes, start, end, header, state) {
+        const { frame } = state;
+        const count = header[0];
+        if (1 + count * 2 + 3 > header.length) {
+            state.errors++;
+            return; // more component selectors than the scan header holds
+        }
+        const components = [];
+        for (let c = 0; c < count; c++) {
+            const component = frame.components.find(candidate => candidate.id === header[1 + c * 2]);
+            if (!component) {
+                state.errors++;
+                return; // scan refers to a component the frame doesn't have
+            }
+            const tables = header[2 + c * 2];
+            components.push({ component, dc: state.dcTables[tables >> 4], ac: state.acTables[tables & 15] });
+        }
+        if (components.length === 0) return;
+
+        const p = 1 + count * 2;
+        const scan = {
+            start: Math.min(header[p], 63),
+            end: Math.min(header[p + 1], 63),
+            high: header[p + 2] >> 4,
+            low: header[p + 2] & 15
+        };
+        if (!frame.progressive) {
+            scan.start = 0;
+            scan.end = 63;
+            scan.high = 0;
+            scan.low = 0;
+        }
+
+        const reader = JpegDecoder.createReader(bytes, start, end);
+        const predictors = new Int32Array(components.length);
+        const eob = { run: 0 };
+        const decodeBlock = JpegDecoder.blockDecoder(frame.progressive, scan);
+
+        // Interleaved scans walk MCUs; a single-component scan walks that component's own blocks
+        const interleaved = components.length > 1;
+        const target = components[0].component;
+        const units = interleaved ? frame.mcusX * frame.mcusY : target.scanBlocksPerLine * target.scanBlocksPerColumn;
+        const single = [[components[0], 0, 0]];
+        const blocksOf = (unit) => {
+            if (!interleaved) {
+                // One reused entry - single-component scans visit every block of the component
+                const row = Math.floor(unit / target.scanBlocksPerLine);
+                const col = unit % target.scanBlocksPerLine;
+                single[0][2] = (row * target.blocksPerLine + col) * 64;
+                return single;
+            }
+            const blocks = [];
+            const mcuX = unit % frame.mcusX;
+            const mcuY = Math.floor(unit / frame.mcusX);
+            components.forEach((entry, c) => {
+                const { component } = entry;
+                for (let v = 0; v < component.v; v++) {
+                    for (let h = 0; h < component.h; h++) {
+                        const row = mcuY * component.v + v;
+                        const col = mcuX * component.h + h;
+                        blocks.push([entry, c, (row * component.blocksPerLine + col) * 64]);
+                    }
+                }
+            });
+            return blocks;
+        };
+
+        let lastGood = -1;
+        const fillMissing = (from, to) => {
+            // Units the data never reached: gray (nothing added) or a copy of the last good unit
+            state.missingUnits += Math.max(0, to - from);
+            if (state.fill !== 'repeat' || lastGood < 0) return;
+            const source = blocksOf(lastGood).map(block => block[2]);
+            for (let unit = from; unit < to; unit++) {
+                blocksOf(unit).forEach(([entry, , offset], b) => {
+                    const coefficients = entry.component.coefficients;
+                    const from = source[b];
+                    for (let k = scan.start; k <= scan.end; k++) {
+                        coefficients[offset + ZIGZAG[k]] = coefficients[from + ZIGZAG[k]];
+                    }
+                });
+            }
+        };
+
+        const interval = state.restartInterval > 0 ? state.restartInterval : units;
+        let unit = 0;
+        while (unit < units) {
+            const intervalEnd = Math.min(units, (Math.floor(unit / interval) + 1) * interval);
+            try {
+                for (; unit < intervalEnd; unit++) {
+                    for (const [entry, c, offset] of blocksOf(unit)) {
+                        decodeBlock(reader, entry, entry.component.coefficients, offset, predictors, c, eob);
+                    }
+                    lastGood = unit;
+                }
+            } catch (error) {
+                // Abandon the rest of this interval
+                state.errors++;
+                fillMissing(unit, intervalEnd);
+                unit = intervalEnd;
+            }
+            if (unit >= units) break;
+            if (state.restartInterval === 0) {
+                fillMissing(unit, units);
+                break;
+            }
+
+            // Resync on the next RSTn; its number says which interval comes next
+            const marker = JpegDecoder.findRestart(bytes, reader.position(), end);
+            if (marker < 0) {
+                fillMissing(unit, units);
+                break;
+            }
+            const finished = Math.floor((unit - 1) / interval);
+            const number = bytes[marker + 1] - 0xD0;
+            const next = finished + 1 + ((((number - finished) % 8) + 8) % 8);
+            const resume = Math.min(units, next * interval);
+            if (resume > unit) {
+                state.errors++;
+                fillMissing(unit, resume);
+            }
+            unit = resume;
+            reader.reset(marker + 2);
+            predictors.fill(0);
+            eob.run = 0;
+        }
+    }
+
+    static findRestart(bytes, start, end) {
+        for (let j = start; j < end - 1; j++) {
+            if (bytes[j] === 0xFF && bytes[j + 1] >= 0xD0 && bytes[j + 1] <= 0xD7) return j;
+        }
+        return -1;
+    }
+
+    static createReader(bytes, start, end) {
+        let position = start;
+        let buffer = 0;
+        let count = 0;
+        const reader = {
+            bit() {
+                if (count === 0) {
+                    if (position >= end) throw new Error('Out of scan data');
+                    buffer = bytes[position];
+                    if (buffer === 0xFF) {
+                        if (bytes[position + 1] !== 0x00) throw new Error('Unexpected marker in scan data');
+                        position += 2;
+                    } else {
+                        position++;
+                    }
+                    count = 8;
+                }
+                count--;
+                return (buffer >> count) & 1;
+            },
+            bits(length) {
+                let value = 0;
+                for (let i = 0; i < length; i++) value = (value << 1) | reader.bit();
+                return value;
+            },
+            receiveExtend(length) {
+                // Value with `length` bits; a leading 0 bit means negative
+                if (length === 0) return 0;
+                if (length > 16) throw new Error(`Invalid coefficient size: ${length}`);
+                const value = reader.bits(length);
+                return value < (1 << (length - 1)) ? value - (1 << length) + 1 : value;
+            },
+            decode(table) {
+                if (!table) throw new Error('Missing Huffman table');
+                let code = 0;
+                for (let length = 1; length <= 16; length++) {
+                    code = (code << 1) | reader.bit();
+                    if (code <= table.maxCode[length]) {
+                        return table.symbols[table.offset[length] + code];
+                    }
+                }
+                throw new Error('Invalid Huffman code');
+            },
+            position() {
+                return position;
+            },
+            reset(next) {
+                position = next;
+                count = 0;
+            }
+        };
+        return reader;
+    }
+
+    static blockDecoder(progressive, { start, end, high, low }) {
+        if (!progressive) {
+            return (reader, entry, coefficients, offset, predictors, c) => {
+                const size = reader.decode(entry.dc);
+                predictors[c] += reader.receiveExtend(size);
+                coefficients[offset] = predictors[c];
+                for (let k = 1; k <= 63;) {
+                    const symbol = reader.decode(entry.ac);
+                    const run = symbol >> 4;
+                    const length = symbol & 15;
+                    if (length === 0) {
+                        if (run < 15) break; // EOB
+                        k += 16;
+                        continue;
+                    }
+                    k += run;
+                    if (k > 63) throw new Error('Coefficient index out of range');
+                    coefficients[offset + ZIGZAG[k]] = reader.receiveExtend(length);
+                    k++;
+                }
+            };
+        }
+
+        if (start === 0) {
+            // DC scans carry no AC band
+            if (high === 0) {
+                return (reader, entry, coefficients, offset, predictors, c) => {
+                    const size = reader.decode(entry.dc);
+                    predictors[c] += reader.receiveExtend(size);
+                    coefficients[offset] = predictors[c] * (1 << low);
+                };
+            }
+            return (reader, entry, coefficients, offset) => {
+                if (reader.bit()) coefficients[offset] |= 1 << low;
+            };
+        }
+
+        if (high === 0) {
+            return (reader, entry, coefficients, offset, predictors, c, eob) => {
+                if (eob.run > 0) {
+                    eob.run--;
+                    return;
+                }
+                for (let k = start; k <= end;) {
+                    const symbol = reader.decode(entry.ac);
+                    const run = symbol >> 4;
+                    const length = symbol & 15;
+                    if (length === 0) {
+                        if (run < 15) {
+                            eob.run = (1 << run) - 1 + (run ? reader.bits(run) : 0);
+                            break;
+                        }
+                        k += 16;
+                        continue;
+                    }
+                    k += run;
+                    if (k > 63) throw new Error('Coefficient index out of range');
+                    coefficients[offset + ZIGZAG[k]] = reader.receiveExtend(length) * (1 << low);
+                    k++;
+                }
+            };
+        }
+
+        // AC refinement, following libjpeg's decode_mcu_AC_refine
+        const positive = 1 << low;
+        const negative = -1 << low;
+        return (reader, entry, coefficients, offset, predictors, c, eob) => {
+            const refine = (index) => {
+                const value = coefficients[index];
+                if (reader.bit() && (value & positive) === 0) {
+                    coefficients[index] = value >= 0 ? value + positive : value + negative;
+                }
+            };
+
+            let k = start;
+            if (eob.run === 0) {
+                for (; k <= end; k++) {
+                    const symbol = reader.decode(entry.ac);
+                    let run = symbol >> 4;
+                    const length = symbol & 15;
+                    let value = 0;
+                    if (length) {
+                        value = reader.bit() ? positive : negative;
+                    } else if (run !== 15) {
+                        eob.run = (1 << run) + (run ? reader.bits(run) : 0);
+                        break;
+                    }
+
+                    // Skip `run` zero coefficients, refining the nonzero ones passed on the way
+                    while (k <= end) {
+                        const index = offset + ZIGZAG[k];
+                        if (coefficients[index] !== 0) {
+                            refine(index);
+                        } else if (--run < 0) {
+                            break;
+                        }
+                        k++;
+                    }
+                    if (value) {
+                        if (k > 63) throw new Error('Coefficient index out of range');
+                        coefficients[offset + ZIGZAG[k]] = value;
+                    }
+                }
+            }
+            if (eob.run > 0) {
+                for (; k <= end; k++) {
+                    const index = offset + ZIGZAG[k];
+                    if (coefficients[index] !== 0) refine(index);
+                }
+                eob.run--;
+            }
+        };
+    }
+
+    static render(frame) {
+        const { width, height, maxH, maxV, components, quantTables } = frame;
+        const fallbackTable = quantTables.find(Boolean) || new Uint16Array(64).fill(1);
+
+        const planes = components.map(component => {
+            // A missing table (e.g. a corrupted DQT id) borrows whichever table exists
+            const table = quantTables[component.tableId] || fallbackTable;
+            return JpegDecoder.inversePlane(component, table);
+        });
+
+        const result = new ImageData(width, height);
+        const out = result.data;
+        const sample = (c, x, y) => {
+            const component = components[c];
+            const planeWidth = component.blocksPerLine * 8;
+            const px = Math.floor(x * component.h / maxH);
+            const py = Math.floor(y * component.v / maxV);
+            return planes[c][py * planeWidth + px];
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const luma = sample(0, x, y);
+                if (components.length < 3) {
+                    out[i] = out[i + 1] = out[i + 2] = luma;
+                } else {
+                    const cb = sample(1, x, y) - 128;
+                    const cr = sample(2, x, y) - 128;
+                    out[i] = luma + 1.402 * cr;
+                    out[i + 1] = luma - 0.344136 * cb - 0.714136 * cr;
+                    out[i + 2] = luma + 1.772 * cb;
+                }
+                out[i + 3] = 255;
+            }
+        }
+        return result;
+    }
+
+    static inversePlane(component, table) {
+        // Dequantize and inverse DCT every block into a component-resolution plane
+        const { blocksPerLine, blocksPerColumn, coefficients } = component;
+        const planeWidth = blocksPerLine * 8;
+        const plane = new Float32Array(planeWidth * blocksPerColumn * 8);
+        const cos = JpegDecoder.cosines();
+        const block = new Float32Array(64);
+        const temp = new Float32Array(64);
+
+        for (let by = 0; by < blocksPerColumn; by++) {
+            for (let bx = 0; bx < blocksPerLine; bx++) {
+                const offset = (by * blocksPerLine + bx) * 64;
+                let empty = true;
+                for (let n = 0; n < 64; n++) {
+                    block[n] = coefficients[offset + n] * table[n];
+                    if (block[n] !== 0) empty = false;
+                }
+
+                if (empty) {
+                    // Nothing decoded here - flat mid gray
+                    for (let y = 0; y < 8; y++) plane.fill(128, (by * 8 + y) * planeWidth + bx * 8, (by * 8 + y) * planeWidth + bx * 8 + 8);
+                    continue;
+                }
+
+                // Columns, then rows
+                for (let v = 0; v < 8; v++) {
+                    for (let x = 0; x < 8; x++) {
+                        let sum = 0;
+                        for (let u = 0; u < 8; u++) sum += cos[u * 8 + x] * block[v * 8 + u];
+                        temp[v * 8 + x] = sum;
+                    }
+                }
+                for (let y = 0; y < 8; y++) {
+                    const row = (by * 8 + y) * planeWidth + bx * 8;
+                    for (let x = 0; x < 8; x++) {
+                        let sum = 0;
+                        for (let v = 0; v < 8; v++) sum += cos[v * 8 + y] * temp[v * 8 + x];
+                        plane[row + x] = sum + 128;
+                    }
+                }
+            }
+        }
+        return plane;
+    }
+
+    static cosines() {
+        // Same orthonormal basis as the encoder's forward DCT
+        if (!cosineTable) {
+            cosineTable = new Float32Array(64);
+            for (let u = 0; u < 8; u++) {
+                const scale = u === 0 ? Math.SQRT1_2 / 2 : 0.5;
+                for (let x = 0; x < 8; x++) {
+                    cosineTable[u * 8 + x] = scale * Math.cos((2 * x + 1) * u * Math.PI / 16);
+                }
+            }
+        }
+        return cosineTable;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,449 @@
+// JPEG encoder
+//
+// canvas.toDataURL only exposes a quality number, but how a corrupted JPEG
+// breaks depends on how it was built: table values, chroma layout, scan
+// structure and restart markers. This encoder writes JFIF files with all of
+// those under control. Progressive files use spectral selection only (DC
+// scan, then AC bands per component) so the standard Huffman tables suffice.
+
+// Zigzag position -> natural (row-major) coefficient index
+const ZIGZAG = [
+    0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// ITU T.81 Annex K tables, natural order
+const STANDARD_LUMA = [
+    16, 11, 10, 16, 24, 40, 51, 61,
+    12, 12, 14, 19, 26, 58, 60, 55,
+    14, 13, 16, 24, 40, 57, 69, 56,
+    14, 17, 22, 29, 51, 87, 80, 62,
+    18, 22, 37, 56, 68, 109, 103, 77,
+    24, 35, 55, 64, 81, 104, 113, 92,
+    49, 64, 78, 87, 103, 121, 120, 101,
+    72, 92, 95, 98, 112, 100, 103, 99
+];
+
+const STANDARD_CHROMA = [
+    17, 18, 24, 47, 99, 99, 99, 99,
+    18, 21, 26, 66, 99, 99, 99, 99,
+    24, 26, 56, 99, 99, 99, 99, 99,
+    47, 66, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99,
+    99, 99, 99, 99, 99, 99, 99, 99
+];
+
+// Huffman tables as code counts per length (1-16) and symbols
+const HUFFMAN = {
+    dcLuma: {
+        counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+        symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+    },
+    dcChroma: {
+        counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+        symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+    },
+    acLuma: {
+        counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7D],
+        symbols: [
+            0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+            0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xA1, 0x08, 0x23, 0x42, 0xB1, 0xC1, 0x15, 0x52, 0xD1, 0xF0,
+            0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0A, 0x16, 0x17, 0x18, 0x19, 0x1A, 0x25, 0x26, 0x27, 0x28,
+            0x29, 0x2A, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+            0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+            0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+            0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5, 0xA6, 0xA7,
+            0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3, 0xC4, 0xC5,
+            0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA, 0xE1, 0xE2,
+            0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF1, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+            0xF9, 0xFA
+        ]
+    },
+    acChroma: {
+        counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+        symbols: [
+            0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+            0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xA1, 0xB1, 0xC1, 0x09, 0x23, 0x33, 0x52, 0xF0,
+            0x15, 0x62, 0x72, 0xD1, 0x0A, 0x16, 0x24, 0x34, 0xE1, 0x25, 0xF1, 0x17, 0x18, 0x19, 0x1A, 0x26,
+            0x27, 0x28, 0x29, 0x2A, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+            0x49, 0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+            0x69, 0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+            0x88, 0x89, 0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5,
+            0xA6, 0xA7, 0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3,
+            0xC4, 0xC5, 0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA,
+            0xE2, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+            0xF9, 0xFA
+        ]
+    }
+};
+
+// Luma sampling factors per subsampling mode; chroma is always 1x1
+const SAMPLING = { '444': [1, 1], '422': [2, 1], '420': [2, 2] };
+
+// Progressive AC bands after the DC scan: [component, Ss, Se]
+const PROGRESSIVE_BANDS = [[0, 1, 5], [1, 1, 63], [2, 1, 63], [0, 6, 63]];
+
+let cosineTable = null;
+
+export class JpegEncoder {
+    static get SUBSAMPLINGS() {
+        return Object.keys(SAMPLING);
+    }
+
+    static get ZIGZAG() {
+        return ZIGZAG;
+    }
+
+    static get STANDARD_TABLES() {
+        return { luma: STANDARD_LUMA, chroma: STANDARD_CHROMA };
+    }
+
+    static encode(imageData, { quality = 95, subsampling = '444', progressive = false, restartInterval = 0, quantTables = null } = {}) {
+        if (!SAMPLING[subsampling]) {
+            throw new Error(`Unknown JPEG subsampling: ${subsampling}`);
+        }
+
+        // Custom tables are used as given; quality only scales the standard ones
+        const tables = [
+            (quantTables && quantTables.luma) || JpegEncoder.scaleTable(STANDARD_LUMA, quality),
+            (quantTables && quantTables.chroma) || JpegEncoder.scaleTable(STANDARD_CHROMA, quality)
+        ];
+        const frame = JpegEncoder.createFrame(imageData, SAMPLING[subsampling], tables);
+        const codes = {
+            dc: [JpegEncoder.buildCodes(HUFFMAN.dcLuma), JpegEncoder.buildCodes(HUFFMAN.dcChroma)],
+            ac: [JpegEncoder.buildCodes(HUFFMAN.acLuma), JpegEncoder.buildCodes(HUFFMAN.acChroma)]
+        };
+
+        const output = [];
+        output.push(0xFF, 0xD8);
+        JpegEncoder.writeJfif(output);
+        JpegEncoder.writeQuantTables(output, tables);
+        JpegEncoder.writeFrameHeader(output, frame, progressive);
+        JpegEncoder.writeHuffmanTables(output);
+        if (restartInterval > 0) {
+            JpegEncoder.writeSegment(output, 0xDD, [restartInterval >> 8, restartInterval & 0xFF]);
+        }
+
+        if (progressive) {
+            JpegEncoder.writeScan(output, frame, codes, frame.components, 0, 0, restartInterval);
+            for (const [component, start, end] of PROGRESSIVE_BANDS) {
+                JpegEncoder.writeScan(output, frame, codes, [frame.components[component]], start, end, restartInterval);
+            }
+        } else {
+            JpegEncoder.writeScan(output, frame, codes, frame.components, 0, 63, restartInterval);
+        }
+
+        output.push(0xFF, 0xD9);
+        return new Uint8Array(output);
+    }
+
+    static scaleTable(table, quality) {
+        // IJG quality scaling: 50 is the table as printed, 100 is all ones
+        const q = Math.min(100, Math.max(1, Math.round(quality)));
+        const scale = q < 50 ? 5000 / q : 200 - q * 2;
+        return table.map(value => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+    }
+
+    static createFrame(imageData, [maxH, maxV], tables) {
+        const { width, height, data } = imageData;
+        const mcusX = Math.ceil(width / (8 * maxH));
+        const mcusY = Math.ceil(height / (8 * maxV));
+        const paddedWidth = mcusX * 8 * maxH;
+        const paddedHeight = mcusY * 8 * maxV;
+
+        // Full resolution YCbCr planes, edge pixels repeated into the padding
+        const planes = [0, 1, 2].map(() => new Float32Array(paddedWidth * paddedHeight));
+        for (let y = 0; y < paddedHeight; y++) {
+            const sy = Math.min(y, height - 1);
+            for (let x = 0; x < paddedWidth; x++) {
+                const i = (sy * width + Math.min(x, width - 1)) * 4;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                const p = y * paddedWidth + x;
+                planes[0][p] = 0.299 * r + 0.587 * g + 0.114 * b;
+                planes[1][p] = -0.168736 * r - 0.331264 * g + 0.5 * b + 128;
+                planes[2][p] = 0.5 * r - 0.418688 * g - 0.081312 * b + 128;
+            }
+        }
+
+        const components = [0, 1, 2].map(index => {
+            const h = index === 0 ? maxH : 1;
+            const v = index === 0 ? maxV : 1;
+            const planeWidth = paddedWidth * h / maxH;
+            const planeHeight = paddedHeight * v / maxV;
+            const plane = JpegEncoder.downsample(planes[index], paddedWidth, maxH / h, maxV / v, planeWidth, planeHeight);
+            const blocksPerLine = planeWidth / 8;
+            const blocksPerColumn = planeHeight / 8;
+            return {
+                id: index + 1,
+                h,
+                v,
+                tableIndex: index === 0 ? 0 : 1,
+                blocksPerLine,
+                blocksPerColumn,
+                // Blocks a non-interleaved scan covers: the component's own size, not the MCU padding
+                scanBlocksPerLine: Math.ceil(Math.ceil(width * h / maxH) / 8),
+                scanBlocksPerColumn: Math.ceil(Math.ceil(height * v / maxV) / 8),
+                coefficients: JpegEncoder.transformPlane(plane, planeWidth, blocksPerLine, blocksPerColumn, tables[index === 0 ? 0 : 1])
+            };
+        });
+
+        return { width, height, maxH, maxV, mcusX, mcusY, components };
+    }
+
+    static downsample(plane, width, factorX, factorY, outWidth, outHeight) {
+        // Box filter over factorX x factorY pixels
+        if (factorX === 1 && factorY === 1) return plane;
+        const output = new Float32Array(outWidth * outHeight);
+        const area = factorX * factorY;
+        for (let y = 0; y < outHeight; y++) {
+            for (let x = 0; x < outWidth; x++) {
+                let sum = 0;
+                for (let dy = 0; dy < factorY; dy++) {
+                    for (let dx = 0; dx < factorX; dx++) {
+                        sum += plane[(y * factorY + dy) * width + x * factorX + dx];
+                    }
+                }
+                output[y * outWidth + x] = sum / area;
+            }
+        }
+        return output;
+    }
+
+    static transformPlane(plane, width, blocksPerLine, blocksPerColumn, table) {
+        // Forward DCT and quantization of every block, stored in zigzag order
+        const coefficients = new Int16Array(blocksPerLine * blocksPerColumn * 64);
+        const block = new Float32Array(64);
+        const temp = new Float32Array(64);
+        const cos = JpegEncoder.cosines();
+
+        for (let by = 0; by < blocksPerColumn; by++) {
+            for (let bx = 0; bx < blocksPerLine; bx++) {
+                for (let y = 0; y < 8; y++) {
+                    const row = (by * 8 + y) * width + bx * 8;
+                    for (let x = 0; x < 8; x++) block[y * 8 + x] = plane[row + x] - 128;
+                }
+
+                // Rows, then columns
+                for (let y = 0; y < 8; y++) {
+                    for (let u = 0; u < 8; u++) {
+                        let sum = 0;
+                        for (let x = 0; x < 8; x++) sum += cos[u * 8 + x] * block[y * 8 + x];
+                        temp[y * 8 + u] = sum;
+                    }
+                }
+                const offset = (by * blocksPerLine + bx) * 64;
+                for (let k = 0; k < 64; k++) {
+                    const natural = ZIGZAG[k];
+                    const u = natural & 7;
+                    const v = natural >> 3;
+                    let sum = 0;
+                    for (let y = 0; y < 8; y++) sum += cos[v * 8 + y] * temp[y * 8 + u];
+                    // Baseline Huffman tables stop at 11-bit magnitudes
+                    coefficients[offset + k] = Math.max(-1023, Math.min(1023, Math.round(sum / table[natural])));
+                }
+            }
+        }
+        return coefficients;
+    }
+
+    static cosines() {
+        if (!cosineTable) {
+            cosineTable = new Float32Array(64);
+            for (let u = 0; u < 8; u++) {
+                const scale = u === 0 ? Math.SQRT1_2 / 2 : 0.5;
+                for (let x = 0; x < 8; x++) {
+                    cosineTable[u * 8 + x] = scale * Math.cos((2 * x + 1) * u * Math.PI / 16);
+                }
+            }
+        }
+        return cosineTable;
+    }
+
+    static buildCodes({ counts, symbols }) {
+        // Canonical Huffman codes: symbol -> [code, length]
+        const codes = new Map();
+        let code = 0;
+        let k = 0;
+        for (let length = 1; length <= 16; length++) {
+            for (let i = 0; i < counts[length - 1]; i++) {
+                codes.set(symbols[k++], [code++, length]);
+            }
+            code <<= 1;
+        }
+        return codes;
+    }
+
+    static writeScan(output, frame, codes, components, start, end, restartInterval) {
+        const header = [components.length];
+        for (const component of components) {
+            header.push(component.id, (component.tableIndex << 4) | component.tableIndex);
+        }
+        header.push(start, end, 0);
+        JpegEncoder.writeSegment(output, 0xDA, header);
+
+        const writer = JpegEncoder.createBitWriter(output);
+        const predictors = components.map(() => 0);
+        const encodeBlock = (component, index, c) => {
+            const offset = index * 64;
+            if (start === 0) {
+                const dc = component.coefficients[offset];
+                JpegEncoder.writeValue(writer, codes.dc[component.tableIndex], dc - predictors[c], 0);
+                predictors[c] = dc;
+            }
+            if (end > 0) {
+                JpegEncoder.writeAcBand(writer, codes.ac[component.tableIndex], component.coefficients, offset, Math.max(start, 1), end);
+            }
+        };
+
+        // Interleaved scans walk MCUs; a single-component scan walks that component's own blocks
+        const interleaved = components.length > 1;
+        const units = interleaved
+            ? frame.mcusX * frame.mcusY
+            : components[0].scanBlocksPerLine * components[0].scanBlocksPerColumn;
+
+        for (let unit = 0; unit < units; unit++) {
+            if (restartInterval > 0 && unit > 0 && unit % restartInterval === 0) {
+                writer.flush();
+                output.push(0xFF, 0xD0 + ((unit / restartInterval - 1) & 7));
+                predictors.fill(0);
+            }
+
+            if (interleaved) {
+                const mcuX = unit % frame.mcusX;
+                const mcuY = Math.floor(unit / frame.mcusX);
+                components.forEach((component, c) => {
+                    for (let v = 0; v < component.v; v++) {
+                        for (let h = 0; h < component.h; h++) {
+                            const row = mcuY * component.v + v;
+                            const col = mcuX * component.h + h;
+                            encodeBlock(component, row * component.blocksPerLine + col, c);
+                        }
+                    }
+                });
+            } else {
+                const component = components[0];
+                const row = Math.floor(unit / component.scanBlocksPerLine);
+                const col = unit % component.scanBlocksPerLine;
+                encodeBlock(component, row * component.blocksPerLine + col, 0);
+            }
+        }
+        writer.flush();
+    }
+
+    static writeAcBand(writer, codes, coefficients, offset, start, end) {
+        let run = 0;
+        for (let k = start; k <= end; k++) {
+            const value = coefficients[offset + k];
+            if (value === 0) {
+                run++;
+                continue;
+            }
+            while (run > 15) {
+                JpegEncoder.writeCode(writer, codes, 0xF0); // ZRL: 16 zeros
+                run -= 16;
+            }
+            JpegEncoder.writeValue(writer, codes, value, run);
+            run = 0;
+        }
+        if (run > 0) JpegEncoder.writeCode(writer, codes, 0x00); // EOB
+    }
+
+    static writeValue(writer, codes, value, run) {
+        // Huffman symbol (run, size) followed by the value's low bits, ones' complement if negative
+        const magnitude = Math.abs(value);
+        const size = magnitude === 0 ? 0 : 32 - Math.clz32(magnitude);
+        JpegEncoder.writeCode(writer, codes, (run << 4) | size);
+        if (size > 0) {
+            writer.write(value < 0 ? value + (1 << size) - 1 : value, size);
+        }
+    }
+
+    static writeCode(writer, codes, symbol) {
+        const [code, length] = codes.get(symbol);
+        writer.write(code, length);
+    }
+
+    static createBitWriter(output) {
+        let buffer = 0;
+        let count = 0;
+        const pushByte = (byte) => {
+            output.push(byte);
+            if (byte === 0xFF) output.push(0x00); // byte stuffing
+        };
+        return {
+            write(value, length) {
+                for (let i = length - 1; i >= 0; i--) {
+                    buffer = (buffer << 1) | ((value >> i) & 1);
+                    if (++count === 8) {
+                        pushByte(buffer);
+                        buffer = 0;
+                        count = 0;
+                    }
+                }
+            },
+            flush() {
+                // Pad the last byte with ones
+                if (count > 0) {
+                    pushByte(((buffer << (8 - count)) | ((1 << (8 - count)) - 1)) & 0xFF);
+                    buffer = 0;
+                    count = 0;
+                }
+            }
+        };
+    }
+
+    static writeSegment(output, marker, payload) {
+        const length = payload.length + 2;
+        output.push(0xFF, marker, length >> 8, length & 0xFF);
+        for (let i = 0; i < payload.length; i++) output.push(payload[i]);
+    }
+
+    static writeJfif(output) {
+        // JFIF 1.01, no density units, 1:1 aspect, no thumbnail
+        JpegEncoder.writeSegment(output, 0xE0, [0x4A, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+    }
+
+    static writeQuantTables(output, tables) {
+        const payload = [];
+        tables.forEach((table, id) => {
+            payload.push(id);
+            for (let k = 0; k < 64; k++) payload.push(table[ZIGZAG[k]]);
+        });
+        JpegEncoder.writeSegment(output, 0xDB, payload);
+    }
+
+    static writeFrameHeader(output, frame, progressive) {
+        const payload = [8, frame.height >> 8, frame.height & 0xFF, frame.width >> 8, frame.width & 0xFF, 3];
+        for (const component of frame.components) {
+            payload.push(component.id, (component.h << 4) | component.v, component.tableIndex);
+        }
+        JpegEncoder.writeSegment(output, progressive ? 0xC2 : 0xC0, payload);
+    }
+
+    static writeHuffmanTables(output) {
+        const payload = [];
+        const tables = [[0x00, HUFFMAN.dcLuma], [0x01, HUFFMAN.dcChroma], [0x10, HUFFMAN.acLuma], [0x11, HUFFMAN.acChroma]];
+        for (const [id, { counts, symbols }] of tables) {
+            payload.push(id, ...counts, ...symbols);
+        }
+        JpegEncoder.writeSegment(output, 0xC4, payload);
+    }
+
+    static validateQuantTable(table) {
+        if (!Array.isArray(table) || table.length !== 64) {
+            throw new Error('JPEG quantization table needs 64 values');
+        }
+        table.forEach((value, i) => {
+            if (!Number.isInteger(value) || value < 1 || value > 255) {
+                throw new Error(`Invalid JPEG quantization value at ${i + 1}: ${value}`);
+            }
+        });
+        return table;
+    }
+}
\ No newline at end of file
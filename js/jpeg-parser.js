@@ -0,0 +1,141 @@
+// JPEG marker segment parser
+//
+// Splits a JPEG file into its marker segments (SOI, APPn, DQT, DHT, SOFn,
+// SOS, EOI, ...) plus a SCAN pseudo-segment for each run of entropy-coded
+// data, and turns them into byte masks so rules can target one structure.
+
+export class JpegParser {
+    static parse(bytes) {
+        const segments = [];
+
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+            throw new Error('Not a JPEG stream: missing SOI marker');
+        }
+        segments.push(JpegParser.segment(0xD8, 0, 2, 2, 2));
+
+        let i = 2;
+        while (i < bytes.length - 1) {
+            if (bytes[i] !== 0xFF) {
+                // Stray bytes between segments - stop rather than guess
+                break;
+            }
+            // Any number of 0xFF fill bytes may precede a marker
+            while (bytes[i + 1] === 0xFF) i++;
+
+            const marker = bytes[i + 1];
+            if (marker === 0xD9) {
+                segments.push(JpegParser.segment(marker, i, 2, i + 2, i + 2));
+                break;
+            }
+            if (i + 3 >= bytes.length) break;
+
+            const length = (bytes[i + 2] << 8) | bytes[i + 3];
+            const dataEnd = Math.min(i + 2 + length, bytes.length);
+            segments.push(JpegParser.segment(marker, i, dataEnd - i, i + 4, dataEnd));
+            i = dataEnd;
+
+            if (marker === 0xDA) {
+                // Entropy-coded data runs until a marker that is neither stuffing nor RSTn
+                let j = i;
+                while (j < bytes.length - 1) {
+                    if (bytes[j] === 0xFF && bytes[j + 1] !== 0x00 && !JpegParser.isRestart(bytes[j + 1])) {
+                        break;
+                    }
+                    j++;
+                }
+                if (j >= bytes.length - 1) j = bytes.length;
+                segments.push({ marker: null, name: 'SCAN', offset: i, length: j - i, dataStart: i, dataEnd: j });
+                i = j;
+            }
+        }
+
+        return segments;
+    }
+
+    static segment(marker, offset, length, dataStart, dataEnd) {
+        return { marker, name: JpegParser.markerName(marker), offset, length, dataStart, dataEnd };
+    }
+
+    static markerName(marker) {
+        if (marker === 0xD8) return 'SOI';
+        if (marker === 0xD9) return 'EOI';
+        if (marker === 0xDA) return 'SOS';
+        if (marker === 0xDB) return 'DQT';
+        if (marker === 0xC4) return 'DHT';
+        if (marker === 0xDD) return 'DRI';
+        if (marker === 0xFE) return 'COM';
+        if (marker === 0xCC) return 'DAC';
+        if (marker >= 0xE0 && marker <= 0xEF) return `APP${marker - 0xE0}`;
+        if (marker >= 0xC0 && marker <= 0xCF) return `SOF${marker - 0xC0}`;
+        if (JpegParser.isRestart(marker)) return `RST${marker - 0xD0}`;
+        return `M${marker.toString(16).toUpperCase()}`;
+    }
+
+    static isRestart(marker) {
+        return marker >= 0xD0 && marker <= 0xD7;
+    }
+
+    static buildMask(bytes, segments, target) {
+        // 1 = the byte may be corrupted by a rule with this target
+        const mask = new Uint8Array(bytes.length);
+
+        for (const segment of segments) {
+            switch (target) {
+                case 'scan':
+                    if (segment.name === 'SCAN') JpegParser.markScanData(bytes, segment, mask);
+                    break;
+                case 'dqt':
+                    if (segment.name === 'DQT') JpegParser.markQuantizationTables(bytes, segment, mask);
+                    break;
+                case 'dht':
+                    if (segment.name === 'DHT') JpegParser.markHuffmanTables(bytes, segment, mask);
+                    break;
+                case 'sof':
+                    if (segment.name.startsWith('SOF')) mask.fill(1, segment.dataStart, segment.dataEnd);
+                    break;
+                case 'app':
+                    if (segment.name.startsWith('APP') || segment.name === 'COM') mask.fill(1, segment.dataStart, segment.dataEnd);
+                    break;
+                default:
+                    throw new Error(`Unknown JPEG target: ${target}`);
+            }
+        }
+
+        return mask;
+    }
+
+    static markScanData(bytes, segment, mask) {
+        // Leave 0xFF00 stuffing pairs and RSTn markers alone
+        for (let j = segment.dataStart; j < segment.dataEnd; j++) {
+            if (bytes[j] === 0xFF) {
+                j++;
+                continue;
+            }
+            mask[j] = 1;
+        }
+    }
+
+    static markQuantizationTables(bytes, segment, mask) {
+        // Each table is a Pq/Tq byte followed by 64 values of 8 or 16 bits
+        let p = segment.dataStart;
+        while (p < segment.dataEnd) {
+            const size = (bytes[p] >> 4) ? 128 : 64;
+            p++;
+            mask.fill(1, p, Math.min(p + size, segment.dataEnd));
+            p += size;
+        }
+    }
+
+    static markHuffmanTables(bytes, segment, mask) {
+        // Each table is a Tc/Th byte, 16 code length counts, then the symbol values.
+        // Only the symbols are exposed - broken counts would misparse every later table.
+        let p = segment.dataStart;
+        while (p + 17 <= segment.dataEnd) {
+            let symbolCount = 0;
+            for (let k = 1; k <= 16; k++) symbolCount += bytes[p + k];
+            p += 17;
+            mask.fill(1, p, Math.min(p + symbolCount, segment.dataEnd));
+            p += symbolCount;
+        }
+    }
+}
\ No newline at end of file
@@ -1,16 +1,18 @@
 import { CameraController } from './camera.js';
 import { GlitchEngine } from './glitch.js';
 import { UIController } from './ui.js';
+import { GlitchPipeline } from './pipeline.js';
+import { FrameScheduler } from './scheduler.js';
+import { FrameFeedback } from './feedback.js';
+import { Datamosh } from './datamosh.js';
+import { RegionMask } from './region-mask.js';
 
 class GlitchCameraApp {
     constructor() {
         this.initializeElements();
         this.initializeModules();
         this.setupGlitchLoop();
-        this.isProcessing = false; // Prevent concurrent processing
         this.lastGlitchResult = null; // Store last glitch result
-        this.lastProcessTime = 0; // Throttle processing
-        this.glitchInterval = 500; // Process every 500ms for JPEG/PNG modes
     }
     
     initializeElements() {
@@ -21,56 +23,65 @@ class GlitchCameraApp {
     initializeModules() {
         this.camera = new CameraController(this.video, this.canvas);
         this.glitch = new GlitchEngine(this.canvas);
-        this.ui = new UIController(this.glitch, this.camera);
+        // Without a worker, frames block the UI - start slower and let the scheduler adapt
+        this.scheduler = new FrameScheduler({ targetFps: GlitchPipeline.isSupported() ? 15 : 2 });
+        this.feedback = new FrameFeedback();
+        this.datamosh = new Datamosh(this.glitch);
+        this.regionMask = new RegionMask();
+        this.ui = new UIController(this.glitch, this.camera, this.scheduler, this.feedback, this.datamosh, this.regionMask);
+        this.pipeline = new GlitchPipeline(this.glitch);
     }
     
     setupGlitchLoop() {
-        const processFrame = () => {
+        const processFrame = (now) => {
             try {
                 if (this.camera.isRunning()) {
                     // Check if video is ready and has dimensions
                     if (this.camera.video.videoWidth > 0 && this.camera.video.videoHeight > 0) {
                         
                         // Always process through JPEG/PNG corruption - never show raw camera input
-                        const now = Date.now();
-                        const shouldProcess = now - this.lastProcessTime > this.glitchInterval;
-                        
-                        if (!this.isProcessing && shouldProcess) {
-                            this.lastProcessTime = now;
-                            
-                            // Create a temporary canvas for processing - don't draw to main canvas yet
-                            const tempCanvas = document.createElement('canvas');
-                            tempCanvas.width = this.camera.canvas.width;
-                            tempCanvas.height = this.camera.canvas.height;
-                            const tempCtx = tempCanvas.getContext('2d');
-                            
-                            // Draw video to temporary canvas
-                            tempCtx.drawImage(this.camera.video, 0, 0, tempCanvas.width, tempCanvas.height);
-                            const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
+                        if (this.scheduler.shouldStart(now)) {
+                            this.scheduler.start(now);
                             
-                            if (imageData) {
-                                this.isProcessing = true;
-                                // Always apply JPEG/PNG processing, even if glitch toggle is off
-                                this.glitch.applyEffect(imageData).then(processedData => {
+                            // Capture at the scheduler's resolution - don't draw to main canvas yet
+                            const { width, height } = this.scheduler.frameSize(this.camera.canvas.width, this.camera.canvas.height);
+                            // Feedback mixes the last result into the capture, so it needs the pixels here
+                            const previous = this.feedback.active ? this.lastGlitchResult : null;
+                            // A region mask blends the result over the clean capture, which needs its pixels too
+                            const masked = this.regionMask.active;
+                            let clean = null;
+                            // Always apply JPEG/PNG processing, even if glitch toggle is off
+                            this.pipeline.captureFrame(this.camera.video, width, height, { pixels: previous !== null || masked })
+                                .then(frame => {
+                                    // The worker takes the frame's pixels, so the clean frame is a copy
+                                    if (masked) clean = new ImageData(new Uint8ClampedArray(frame.data), frame.width, frame.height);
+                                    return this.process(previous ? this.feedback.mix(frame, previous) : frame);
+                                })
+                                .then(({ imageData: processedData, report }) => {
+                                    this.scheduler.finish(performance.now());
+                                    // The canvas is only drawn when there is a new frame
                                     if (processedData && processedData.data) {
-                                        this.lastGlitchResult = processedData;
-                                        this.camera.putFrame(processedData);
+                                        const output = clean ? this.regionMask.apply(clean, processedData) : processedData;
+                                        this.lastGlitchResult = output;
+                                        // While drawing the mask, the area outside it is dimmed on screen only
+                                        this.camera.putFrame(this.regionMask.active && this.regionMask.editing ? this.regionMask.preview(output) : output);
                                     }
-                                    this.isProcessing = false;
+                                    this.ui.showReport(report);
+                                    this.ui.showFrameStats(this.scheduler.stats(performance.now()));
                                 }).catch(error => {
                                     console.error('JPEG/PNG processing error:', error);
-                                    this.isProcessing = false;
+                                    this.scheduler.cancel();
                                 });
-                            }
-                        } else if (this.lastGlitchResult) {
-                            // Keep showing the last processed result while waiting
-                            this.camera.putFrame(this.lastGlitchResult);
-                        } else {
-                            // No previous result, show black screen
+                        } else if (!this.lastGlitchResult && !this.camera.hasFrame) {
+                            // No result yet, show black screen
                             const blackImageData = new ImageData(this.camera.canvas.width, this.camera.canvas.height);
                             this.camera.putFrame(blackImageData);
                         }
                     }
+                } else if (this.lastGlitchResult) {
+                    // A restarted camera starts without history
+                    this.lastGlitchResult = null;
+                    this.feedback.reset();
                 }
             } catch (error) {
                 console.error('Error in glitch processing:', error);
@@ -80,6 +91,14 @@ class GlitchCameraApp {
         
         requestAnimationFrame(processFrame);
     }
+    
+    process(frame) {
+        // Video mode keeps codec state from frame to frame, so it runs on the main thread through Datamosh
+        if (this.glitch.corruptionMode === 'video') {
+            return this.datamosh.processFrame(frame);
+        }
+        return this.pipeline.processFrame(frame);
+    }
 }
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,186 @@
+// Seeded byte operators - chain steps that work without a search pattern
+//
+//   bitflip    flip one bit (or a random one) in a share of the bytes
+//   rotate     rotate the bits of a share of the bytes left
+//   shift      add a fixed amount to a share of the bytes, wrapping at 256
+//   duplicate  copy a segment over the bytes that follow it, repeats times
+//   reverse    reverse a segment
+//   swap       exchange two segments of the same length
+//
+// Every random choice comes from the rule's seed, restarted for each frame,
+// so the same input bytes and seed always give the same output.
+
+// Parameters and their defaults per operator; bit null = a random bit per byte
+const OPERATORS = {
+    bitflip: { bit: null, density: 0.001 },
+    rotate: { amount: 1, density: 0.001 },
+    shift: { amount: 1, density: 0.001 },
+    duplicate: { length: 64, repeats: 1, count: 1 },
+    reverse: { length: 64, count: 1 },
+    swap: { length: 64, count: 1 }
+};
+
+export class ByteOperators {
+    static get TYPES() {
+        return Object.keys(OPERATORS);
+    }
+
+    static defaults(type) {
+        if (!OPERATORS[type]) {
+            throw new Error(`Unknown byte operator: ${type}`);
+        }
+        return { ...OPERATORS[type] };
+    }
+
+    static normalize(type, params = {}) {
+        // Only the operator's own parameters are kept, missing ones take the defaults
+        const result = ByteOperators.defaults(type);
+        for (const key of Object.keys(result)) {
+            if (params[key] !== undefined) result[key] = params[key];
+        }
+
+        const integer = (key, min, max) => {
+            const value = result[key];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`${type} ${key} must be an integer from ${min} to ${max}: ${value}`);
+            }
+        };
+        switch (type) {
+            case 'bitflip':
+                if (result.bit !== null) integer('bit', 0, 7);
+                break;
+            case 'rotate':
+                integer('amount', 1, 7);
+                break;
+            case 'shift':
+                integer('amount', -255, 255);
+                if (result.amount === 0) {
+                    throw new Error('shift amount must not be 0');
+                }
+                break;
+            case 'duplicate':
+                integer('repeats', 1, 1024);
+                break;
+        }
+        if ('density' in result && !(result.density > 0 && result.density <= 1)) {
+            throw new Error(`${type} density must be above 0 and at most 1: ${result.density}`);
+        }
+        if ('length' in result) integer('length', 1, Number.MAX_SAFE_INTEGER);
+        if ('count' in result) integer('count', 1, 1024);
+        return result;
+    }
+
+    static normalizeSeed(seed) {
+        if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) {
+            throw new Error(`Operator seed must be an integer from 0 to 4294967295: ${seed}`);
+        }
+        return seed;
+    }
+
+    static createRandom(seed) {
+        // mulberry32 - small, fast and the same in every engine
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static apply(bytes, rule, mask = null) {
+        // Runs inside the rule's byte window on the bytes the mask allows; returns the number of steps applied
+        const { type, params } = rule;
+        const random = ByteOperators.createRandom(rule.seed);
+        const start = Math.min(rule.windowStart, bytes.length);
+        const end = rule.windowEnd === null ? bytes.length : Math.min(rule.windowEnd, bytes.length);
+
+        switch (type) {
+            case 'bitflip':
+                return ByteOperators.eachSelected(random, params.density, start, end, mask, i => {
+                    const bit = params.bit === null ? Math.floor(random() * 8) : params.bit;
+                    bytes[i] ^= 1 << bit;
+                });
+            case 'rotate':
+                return ByteOperators.eachSelected(random, params.density, start, end, mask, i => {
+                    bytes[i] = ((bytes[i] << params.amount) | (bytes[i] >> (8 - params.amount))) & 0xFF;
+                });
+            case 'shift':
+                return ByteOperators.eachSelected(random, params.density, start, end, mask, i => {
+                    bytes[i] = (bytes[i] + params.amount) & 0xFF;
+                });
+            case 'duplicate':
+            case 'reverse':
+            case 'swap':
+                return ByteOperators.applySegments(bytes, type, params, random, start, end, mask);
+            default:
+                throw new Error(`Unknown byte operator: ${type}`);
+        }
+    }
+
+    static eachSelected(random, density, start, end, mask, fn) {
+        // Gaps between selected bytes are drawn directly, so sparse densities don't cost a draw per byte
+        const logMiss = density < 1 ? Math.log(1 - density) : 0;
+        const gap = () => density < 1 ? Math.floor(Math.log(1 - random()) / logMiss) : 0;
+
+        let count = 0;
+        for (let i = start + gap(); i < end; i += 1 + gap()) {
+            if (mask && !mask[i]) continue;
+            fn(i);
+            count++;
+        }
+        return count;
+    }
+
+    static applySegments(bytes, type, params, random, start, end, mask) {
+        const { length } = params;
+        const free = i => !mask || mask[i] === 1;
+        let count = 0;
+
+        for (let n = 0; n < params.count; n++) {
+            if (type === 'duplicate') {
+                // The segment and all of its copies must fit in allowed bytes
+                const offset = ByteOperators.pickSpan(random, length * (params.repeats + 1), start, end, free);
+                if (offset < 0) break;
+                for (let r = 1; r <= params.repeats; r++) {
+                    bytes.copyWithin(offset + length * r, offset, offset + length);
+                }
+            } else if (type === 'reverse') {
+                const offset = ByteOperators.pickSpan(random, length, start, end, free);
+                if (offset < 0) break;
+                bytes.subarray(offset, offset + length).reverse();
+            } else {
+                const a = ByteOperators.pickSpan(random, length, start, end, free);
+                if (a < 0) break;
+                // The second segment may not overlap the first
+                const b = ByteOperators.pickSpan(random, length, start, end, i => free(i) && (i < a || i >= a + length));
+                if (b < 0) break;
+                const first = bytes.slice(a, a + length);
+                bytes.copyWithin(a, b, b + length);
+                bytes.set(first, b);
+            }
+            count++;
+        }
+        return count;
+    }
+
+    static pickSpan(random, length, start, end, free) {
+        // Uniform over every offset where length allowed bytes fit; -1 when none does
+        let candidates = 0;
+        let run = 0;
+        for (let i = start; i < end; i++) {
+            run = free(i) ? run + 1 : 0;
+            if (run >= length) candidates++;
+        }
+        if (candidates === 0) return -1;
+
+        let target = Math.floor(random() * candidates);
+        run = 0;
+        for (let i = start; i < end; i++) {
+            run = free(i) ? run + 1 : 0;
+            if (run >= length && target-- === 0) return i - length + 1;
+        }
+        return -1;
+    }
+}
\ No newline at end of file
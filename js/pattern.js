@@ -0,0 +1,171 @@
+// Byte pattern syntax for replacement rules
+//
+// Source patterns:
+//   FF D9      raw hex bytes (whitespace between bytes is optional)
+//   ??         any single byte (captured)
+//   [00-1F]    any byte in the inclusive range (captured)
+//   "text"     UTF-8 bytes of the quoted text
+//
+// Dest patterns accept hex bytes and quoted text, plus $1..$9 to write back
+// the byte captured by the Nth wildcard or range in the source pattern.
+
+export class PatternSyntaxError extends Error {
+    constructor(message, position) {
+        super(`${message} at position ${position + 1}`);
+        this.name = 'PatternSyntaxError';
+        this.position = position;
+    }
+}
+
+export class BytePattern {
+    static fromText(chars) {
+        // Plain UTF-8 characters compile to literal byte matchers
+        const bytes = new TextEncoder().encode(chars);
+        return Array.from(bytes, value => ({ min: value, max: value, capture: false }));
+    }
+
+    static fromTextDest(chars) {
+        const bytes = new TextEncoder().encode(chars);
+        return Array.from(bytes, value => ({ value }));
+    }
+
+    static parseSource(text) {
+        const matchers = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '?') {
+                if (text[i + 1] !== '?') {
+                    throw new PatternSyntaxError('Wildcard must be written as ??', i);
+                }
+                matchers.push({ min: 0x00, max: 0xFF, capture: true });
+                i += 2;
+            } else if (char === '[') {
+                const close = text.indexOf(']', i);
+                if (close === -1) {
+                    throw new PatternSyntaxError('Unclosed byte range', i);
+                }
+                const range = /^([0-9a-fA-F]{2})-([0-9a-fA-F]{2})$/.exec(text.slice(i + 1, close).trim());
+                if (!range) {
+                    throw new PatternSyntaxError('Byte range must look like [00-1F]', i);
+                }
+                const min = parseInt(range[1], 16);
+                const max = parseInt(range[2], 16);
+                if (min > max) {
+                    throw new PatternSyntaxError('Byte range start is greater than its end', i);
+                }
+                matchers.push({ min, max, capture: true });
+                i = close + 1;
+            } else if (char === '"') {
+                const { bytes, end } = BytePattern.readQuoted(text, i);
+                bytes.forEach(value => matchers.push({ min: value, max: value, capture: false }));
+                i = end;
+            } else {
+                const value = BytePattern.readHexByte(text, i);
+                matchers.push({ min: value, max: value, capture: false });
+                i += 2;
+            }
+        }
+
+        return matchers;
+    }
+
+    static parseDest(text, captureCount) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '$') {
+                const digit = text[i + 1];
+                if (!/[1-9]/.test(digit || '')) {
+                    throw new PatternSyntaxError('Capture reference must be $1 to $9', i);
+                }
+                const capture = Number(digit);
+                if (capture > captureCount) {
+                    throw new PatternSyntaxError(`$${capture} refers to a capture the source pattern does not have`, i);
+                }
+                tokens.push({ capture: capture - 1 });
+                i += 2;
+            } else if (char === '"') {
+                const { bytes, end } = BytePattern.readQuoted(text, i);
+                bytes.forEach(value => tokens.push({ value }));
+                i = end;
+            } else if (char === '?' || char === '[') {
+                throw new PatternSyntaxError('Wildcards and ranges are only allowed in the source pattern', i);
+            } else {
+                tokens.push({ value: BytePattern.readHexByte(text, i) });
+                i += 2;
+            }
+        }
+
+        return tokens;
+    }
+
+    static readHexByte(text, position) {
+        const pair = text.slice(position, position + 2);
+        if (!/^[0-9a-fA-F]{2}$/.test(pair)) {
+            throw new PatternSyntaxError(`Expected two hex digits, got "${pair}"`, position);
+        }
+        return parseInt(pair, 16);
+    }
+
+    static readQuoted(text, position) {
+        const close = text.indexOf('"', position + 1);
+        if (close === -1) {
+            throw new PatternSyntaxError('Unclosed quoted text', position);
+        }
+        return {
+            bytes: new TextEncoder().encode(text.slice(position + 1, close)),
+            end: close + 1
+        };
+    }
+
+    static countCaptures(matchers) {
+        return matchers.filter(matcher => matcher.capture).length;
+    }
+
+    static matchAt(bytes, offset, matchers) {
+        // Returns the captured bytes on a match, null otherwise
+        const captures = [];
+        for (let j = 0; j < matchers.length; j++) {
+            const byte = bytes[offset + j];
+            const matcher = matchers[j];
+            if (byte < matcher.min || byte > matcher.max) {
+                return null;
+            }
+            if (matcher.capture) {
+                captures.push(byte);
+            }
+        }
+        return captures;
+    }
+
+    static render(tokens, captures) {
+        return tokens.map(token => (token.capture !== undefined ? captures[token.capture] : token.value));
+    }
+
+    static describeSource(matchers) {
+        // Human readable form for the UI hints, e.g. "FF ?? 00-1F"
+        return matchers.map(matcher => {
+            if (matcher.min === matcher.max) return BytePattern.hex(matcher.min);
+            if (matcher.min === 0x00 && matcher.max === 0xFF) return '??';
+            return `${BytePattern.hex(matcher.min)}-${BytePattern.hex(matcher.max)}`;
+        }).join(' ');
+    }
+
+    static describeDest(tokens) {
+        return tokens.map(token => (token.capture !== undefined ? `$${token.capture + 1}` : BytePattern.hex(token.value))).join(' ');
+    }
+
+    static hex(value) {
+        return value.toString(16).toUpperCase().padStart(2, '0');
+    }
+}
\ No newline at end of file
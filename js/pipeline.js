@@ -0,0 +1,88 @@
+// Frame pipeline - captures camera frames and corrupts them in a worker
+//
+// The main thread engine stays the single source of settings (the UI edits
+// and validates it); every frame sends a snapshot along with the pixels.
+// Without Worker, OffscreenCanvas or createImageBitmap the same engine
+// processes frames on the main thread instead.
+
+export class GlitchPipeline {
+    constructor(glitchEngine, { worker = GlitchPipeline.createWorker() } = {}) {
+        this.glitchEngine = glitchEngine;
+        this.worker = worker;
+        this.nextId = 0;
+        this.pending = new Map(); // Frame id -> { resolve, reject }
+        
+        if (this.worker) {
+            this.worker.onmessage = ({ data }) => this.receive(data);
+            this.worker.onerror = (event) => this.fail(event.message || 'Pipeline worker failed');
+        }
+    }
+    
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+    }
+    
+    static createWorker() {
+        if (!GlitchPipeline.isSupported()) return null;
+        try {
+            return new Worker(new URL('./glitch-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            // Module workers are missing in older browsers
+            console.warn('Pipeline worker unavailable, processing on the main thread:', error);
+            return null;
+        }
+    }
+    
+    get usesWorker() {
+        return this.worker !== null;
+    }
+    
+    captureFrame(video, width, height, { pixels = false } = {}) {
+        // The worker gets a scaled ImageBitmap; the main thread reads pixels itself,
+        // and so does anyone asking for pixels (e.g. to mix in feedback first)
+        if (this.worker && !pixels) {
+            return createImageBitmap(video, { resizeWidth: width, resizeHeight: height });
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(video, 0, 0, width, height);
+        return Promise.resolve(ctx.getImageData(0, 0, width, height));
+    }
+    
+    processFrame(frame) {
+        // Resolves to { imageData, report } like GlitchEngine.processFrame()
+        if (!this.worker) {
+            return this.glitchEngine.processFrame(frame);
+        }
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            // The frame's pixels move to the worker - it can't be used here afterwards
+            const transfer = frame instanceof ImageData ? [frame.data.buffer] : [frame];
+            this.worker.postMessage({ id, settings: this.glitchEngine.getSettings(), frame }, transfer);
+        });
+    }
+    
+    receive({ id, imageData, report, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+        this.pending.delete(id);
+        if (error) {
+            request.reject(new Error(error));
+            return;
+        }
+        this.glitchEngine.lastReport = report;
+        request.resolve({ imageData, report });
+    }
+    
+    fail(message) {
+        // A worker that failed to load or crashed is dropped; later frames run on the main thread
+        console.error('Pipeline worker error:', message);
+        this.worker.terminate();
+        this.worker = null;
+        this.pending.forEach(({ reject }) => reject(new Error(message)));
+        this.pending.clear();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,229 @@
+// PNG chunk reader/writer for scanline-level corruption
+//
+// Rules run on the inflated IDAT data (filter byte + filtered pixels per
+// scanline) instead of the deflate stream. The file is then deflated again
+// and every chunk CRC recomputed, so the result always decodes.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Channels per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: x/y start and step
+const ADAM7 = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+let crcTable = null;
+
+export class PngStream {
+    static parseChunks(bytes) {
+        for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+            if (bytes[i] !== PNG_SIGNATURE[i]) {
+                throw new Error('Not a PNG stream: bad signature');
+            }
+        }
+
+        const chunks = [];
+        let offset = PNG_SIGNATURE.length;
+        while (offset + 12 <= bytes.length) {
+            const length = PngStream.readUint32(bytes, offset);
+            const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+            const dataStart = offset + 8;
+            const dataEnd = dataStart + length;
+            if (dataEnd + 4 > bytes.length) {
+                throw new Error(`Truncated PNG chunk: ${type}`);
+            }
+            chunks.push({ type, offset, length, dataStart, dataEnd });
+            offset = dataEnd + 4;
+            if (type === 'IEND') break;
+        }
+        return chunks;
+    }
+
+    static readHeader(bytes, chunks) {
+        const ihdr = chunks[0];
+        if (!ihdr || ihdr.type !== 'IHDR') {
+            throw new Error('PNG stream does not start with IHDR');
+        }
+        const p = ihdr.dataStart;
+        const header = {
+            width: PngStream.readUint32(bytes, p),
+            height: PngStream.readUint32(bytes, p + 4),
+            bitDepth: bytes[p + 8],
+            colorType: bytes[p + 9],
+            interlace: bytes[p + 12]
+        };
+        if (!CHANNELS[header.colorType]) {
+            throw new Error(`Unknown PNG color type: ${header.colorType}`);
+        }
+        header.bitsPerPixel = CHANNELS[header.colorType] * header.bitDepth;
+        return header;
+    }
+
+    static scanlineOffsets(header) {
+        // Offset of every filter-type byte in the inflated image data
+        const offsets = [];
+        const passes = header.interlace ? ADAM7 : [[0, 0, 1, 1]];
+        let offset = 0;
+
+        for (const [xStart, yStart, xStep, yStep] of passes) {
+            const passWidth = Math.ceil((header.width - xStart) / xStep);
+            const passHeight = Math.ceil((header.height - yStart) / yStep);
+            if (passWidth <= 0 || passHeight <= 0) continue;
+
+            const stride = Math.ceil(passWidth * header.bitsPerPixel / 8);
+            for (let row = 0; row < passHeight; row++) {
+                offsets.push(offset);
+                offset += stride + 1;
+            }
+        }
+        return offsets;
+    }
+
+    static dataLength(header) {
+        // Inflated size IHDR implies: every scanline of every pass, filter bytes included
+        const passes = header.interlace ? ADAM7 : [[0, 0, 1, 1]];
+        let length = 0;
+
+        for (const [xStart, yStart, xStep, yStep] of passes) {
+            const passWidth = Math.ceil((header.width - xStart) / xStep);
+            const passHeight = Math.ceil((header.height - yStart) / yStep);
+            if (passWidth <= 0 || passHeight <= 0) continue;
+            length += passHeight * (Math.ceil(passWidth * header.bitsPerPixel / 8) + 1);
+        }
+        return length;
+    }
+
+    static fitData(scanlines, header) {
+        // Cut or zero-pad spliced scanlines to the size IHDR describes
+        const length = PngStream.dataLength(header);
+        if (scanlines.length === length) return scanlines;
+        const fitted = new Uint8Array(length);
+        fitted.set(scanlines.subarray(0, length));
+        return fitted;
+    }
+
+    static buildMask(length, header, target) {
+        // 1 = the byte may be corrupted by a rule with this target
+        const offsets = PngStream.scanlineOffsets(header);
+        const mask = new Uint8Array(length);
+
+        switch (target) {
+            case 'filter':
+                offsets.forEach(offset => { if (offset < length) mask[offset] = 1; });
+                break;
+            case 'pixels':
+                mask.fill(1);
+                offsets.forEach(offset => { if (offset < length) mask[offset] = 0; });
+                break;
+            default:
+                throw new Error(`Unknown PNG target: ${target}`);
+        }
+        return mask;
+    }
+
+    static repairFilterTypes(scanlines, header) {
+        // Filter types above 4 make decoders reject the whole image
+        let repaired = 0;
+        for (const offset of PngStream.scanlineOffsets(header)) {
+            if (offset < scanlines.length && scanlines[offset] > 4) {
+                scanlines[offset] %= 5;
+                repaired++;
+            }
+        }
+        return repaired;
+    }
+
+    static joinData(bytes, chunks, type) {
+        const parts = chunks.filter(chunk => chunk.type === type);
+        const total = parts.reduce((sum, chunk) => sum + chunk.length, 0);
+        const data = new Uint8Array(total);
+        let offset = 0;
+        for (const chunk of parts) {
+            data.set(bytes.subarray(chunk.dataStart, chunk.dataEnd), offset);
+            offset += chunk.length;
+        }
+        return data;
+    }
+
+    static rebuild(bytes, chunks, idatData) {
+        // Copy every chunk with a fresh CRC, replacing all IDAT chunks with one
+        const parts = [];
+        let idatWritten = false;
+        for (const chunk of chunks) {
+            if (chunk.type === 'IDAT') {
+                if (!idatWritten) {
+                    parts.push(PngStream.createChunk('IDAT', idatData));
+                    idatWritten = true;
+                }
+                continue;
+            }
+            parts.push(PngStream.createChunk(chunk.type, bytes.subarray(chunk.dataStart, chunk.dataEnd)));
+        }
+
+        const total = PNG_SIGNATURE.length + parts.reduce((sum, part) => sum + part.length, 0);
+        const output = new Uint8Array(total);
+        output.set(PNG_SIGNATURE, 0);
+        let offset = PNG_SIGNATURE.length;
+        for (const part of parts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output;
+    }
+
+    static createChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        PngStream.writeUint32(chunk, 0, data.length);
+        for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+        chunk.set(data, 8);
+        PngStream.writeUint32(chunk, data.length + 8, PngStream.crc32(chunk, 4, data.length + 8));
+        return chunk;
+    }
+
+    static crc32(bytes, start = 0, end = bytes.length) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = start; i < end; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static inflate(bytes) {
+        // IDAT holds a zlib stream, which is what the 'deflate' format means here
+        return PngStream.pipe(bytes, new DecompressionStream('deflate'));
+    }
+
+    static deflate(bytes) {
+        return PngStream.pipe(bytes, new CompressionStream('deflate'));
+    }
+
+    static async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    }
+
+    static writeUint32(bytes, offset, value) {
+        bytes[offset] = (value >>> 24) & 0xFF;
+        bytes[offset + 1] = (value >>> 16) & 0xFF;
+        bytes[offset + 2] = (value >>> 8) & 0xFF;
+        bytes[offset + 3] = value & 0xFF;
+    }
+}
\ No newline at end of file
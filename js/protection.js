@@ -0,0 +1,272 @@
+// Header protection profiles
+//
+// A profile lists the byte ranges rules may never touch, one entry per line
+// (or comma separated):
+//   0-50       absolute offsets, end exclusive
+//   0%-30%     a share of the stream length, rounded down
+//   ifd        a named structure of the format (see STRUCTURES)
+//
+// Offsets count in the buffer the rules run on - for PNG that is the inflated
+// scanlines, since the container is rebuilt after corruption anyway, and in
+// video mode every encoded chunk starts at 0.
+
+import { JpegParser } from './jpeg-parser.js';
+import { PngStream } from './png-stream.js';
+import { WebpStream } from './webp-stream.js';
+import { GifCodec } from './gif-codec.js';
+import { TiffCodec } from './tiff-codec.js';
+
+const STRUCTURES = {
+    jpeg: ['markers', 'dqt', 'dht', 'sof', 'sos', 'app', 'restart'],
+    png: ['filter'],
+    webp: ['riff', 'chunk-headers', 'codec-headers'],
+    bmp: ['file-header', 'info-header', 'palette'],
+    gif: ['screen', 'palette', 'descriptors', 'block-sizes'],
+    tiff: ['header', 'ifd'],
+    raw: [],
+    video: []
+};
+
+// The fixed offsets and shares the engine used before profiles existed
+const DEFAULTS = {
+    jpeg: '0-50',
+    png: '',
+    webp: '0-100, 0%-30%',
+    bmp: '0-30, 0%-20%',
+    gif: '0-13',
+    tiff: 'header, ifd',
+    raw: '',
+    video: '0-10' // Per chunk: the VP8 frame tag and key frame header, or the first AV1 OBU headers
+};
+
+export class ProtectionProfile {
+    static get FORMATS() {
+        return Object.keys(STRUCTURES);
+    }
+
+    static structures(format) {
+        if (!STRUCTURES[format]) {
+            throw new Error(`Unknown format for header protection: ${format}`);
+        }
+        return STRUCTURES[format];
+    }
+
+    static defaults() {
+        const profiles = {};
+        for (const format of ProtectionProfile.FORMATS) {
+            profiles[format] = ProtectionProfile.parse(DEFAULTS[format], format);
+        }
+        return profiles;
+    }
+
+    static parse(text, format) {
+        const tokens = text.split(/[\n,]/).map(token => token.trim()).filter(Boolean);
+        return tokens.map((token, i) => {
+            const bytes = /^(\d+)\s*-\s*(\d+)$/.exec(token);
+            if (bytes) {
+                return ProtectionProfile.validateEntry({ type: 'bytes', start: Number(bytes[1]), end: Number(bytes[2]) }, format, i);
+            }
+            const percent = /^(\d+(?:\.\d+)?)%\s*-\s*(\d+(?:\.\d+)?)%$/.exec(token);
+            if (percent) {
+                return ProtectionProfile.validateEntry({ type: 'percent', start: Number(percent[1]), end: Number(percent[2]) }, format, i);
+            }
+            if (/^[a-z-]+$/.test(token)) {
+                return ProtectionProfile.validateEntry({ type: 'structure', name: token }, format, i);
+            }
+            throw new Error(`Invalid protected range "${token}" (entry ${i + 1})`);
+        });
+    }
+
+    static stringify(entries) {
+        return entries.map(entry => {
+            switch (entry.type) {
+                case 'bytes':
+                    return `${entry.start}-${entry.end}`;
+                case 'percent':
+                    return `${entry.start}%-${entry.end}%`;
+                default:
+                    return entry.name;
+            }
+        }).join('\n');
+    }
+
+    static validate(entries, format) {
+        // Returns fresh copies so a stored profile can't be changed from outside
+        ProtectionProfile.structures(format); // rejects unknown formats
+        if (!Array.isArray(entries)) {
+            throw new Error('Protection profile must be a list of ranges');
+        }
+        return entries.map((entry, i) => ProtectionProfile.validateEntry(entry, format, i));
+    }
+
+    static validateEntry(entry, format, index) {
+        const position = `(entry ${index + 1})`;
+        switch (entry?.type) {
+            case 'bytes':
+            case 'percent': {
+                const { type, start, end } = entry;
+                const limit = type === 'percent' ? 100 : Number.MAX_SAFE_INTEGER;
+                const valid = type === 'percent' ? Number.isFinite(start) && Number.isFinite(end) : Number.isInteger(start) && Number.isInteger(end);
+                if (!valid || start < 0 || end > limit) {
+                    throw new Error(`Protected range out of bounds: ${start}-${end} ${position}`);
+                }
+                if (start >= end) {
+                    throw new Error(`Protected range must end after it starts: ${start}-${end} ${position}`);
+                }
+                return { type, start, end };
+            }
+            case 'structure':
+                if (!ProtectionProfile.structures(format).includes(entry.name)) {
+                    throw new Error(`Unknown ${format} structure: ${entry.name} ${position}`);
+                }
+                return { type: 'structure', name: entry.name };
+            default:
+                throw new Error(`Unknown protected range type: ${entry?.type} ${position}`);
+        }
+    }
+
+    static buildMask(bytes, format, entries, layout = null) {
+        // 1 = the byte is protected; null when nothing is
+        if (entries.length === 0) return null;
+
+        const mask = new Uint8Array(bytes.length);
+        for (const entry of entries) {
+            switch (entry.type) {
+                case 'bytes':
+                    mask.fill(1, Math.min(entry.start, bytes.length), Math.min(entry.end, bytes.length));
+                    break;
+                case 'percent':
+                    mask.fill(1, Math.floor(bytes.length * entry.start / 100), Math.floor(bytes.length * entry.end / 100));
+                    break;
+                default:
+                    ProtectionProfile.markStructure(bytes, format, entry.name, layout, mask);
+            }
+        }
+        return mask;
+    }
+
+    static markStructure(bytes, format, name, layout, mask) {
+        // layout is whatever the engine parsed before the rules ran: the IHDR for PNG scanlines, GIF blocks, TIFF IFD
+        switch (format) {
+            case 'jpeg':
+                ProtectionProfile.markJpeg(bytes, name, mask);
+                break;
+            case 'png':
+                // Filter-type bytes are the only structure left in inflated scanlines
+                PngStream.buildMask(bytes.length, layout, 'filter').forEach((value, i) => { if (value) mask[i] = 1; });
+                break;
+            case 'webp':
+                ProtectionProfile.markWebp(bytes, name, mask);
+                break;
+            case 'bmp':
+                ProtectionProfile.markBmp(bytes, name, mask);
+                break;
+            case 'gif':
+                ProtectionProfile.markGif(bytes, name, layout || GifCodec.parse(bytes), mask);
+                break;
+            case 'tiff':
+                if (name === 'header') {
+                    mask.fill(1, 0, Math.min(8, bytes.length));
+                } else {
+                    const ifd = TiffCodec.buildMask(bytes, layout || TiffCodec.parse(bytes), 'ifd');
+                    ifd.forEach((value, i) => { if (value) mask[i] = 1; });
+                }
+                break;
+            default:
+                throw new Error(`Unknown format for header protection: ${format}`);
+        }
+    }
+
+    static markJpeg(bytes, name, mask) {
+        for (const segment of JpegParser.parse(bytes)) {
+            const whole = () => mask.fill(1, segment.offset, segment.offset + segment.length);
+            switch (name) {
+                case 'markers':
+                    // Every marker segment - everything except entropy-coded data
+                    if (segment.name !== 'SCAN') whole();
+                    break;
+                case 'dqt':
+                case 'dht':
+                case 'sos':
+                    if (segment.name === name.toUpperCase()) whole();
+                    break;
+                case 'sof':
+                    if (segment.name.startsWith('SOF')) whole();
+                    break;
+                case 'app':
+                    if (segment.name.startsWith('APP') || segment.name === 'COM') whole();
+                    break;
+                case 'restart':
+                    // Intact RSTn markers let the decoder resync after a broken interval
+                    if (segment.name !== 'SCAN') break;
+                    for (let i = segment.dataStart; i < segment.dataEnd - 1; i++) {
+                        if (bytes[i] === 0xFF && JpegParser.isRestart(bytes[i + 1])) mask.fill(1, i, i + 2);
+                    }
+                    break;
+            }
+        }
+    }
+
+    static markWebp(bytes, name, mask) {
+        if (name === 'riff') {
+            mask.fill(1, 0, Math.min(12, bytes.length));
+            return;
+        }
+        for (const chunk of WebpStream.parse(bytes).chunks) {
+            if (name === 'chunk-headers') {
+                mask.fill(1, chunk.offset, chunk.dataStart);
+            } else {
+                // VP8 frame header, VP8L signature and size, ALPH flags, and whole VP8X/metadata chunks
+                mask.fill(1, chunk.dataStart, chunk.bitstreamStart);
+            }
+        }
+    }
+
+    static markBmp(bytes, name, mask) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const infoEnd = bytes.length >= 18 ? 14 + view.getUint32(14, true) : bytes.length;
+        const dataOffset = bytes.length >= 14 ? view.getUint32(10, true) : bytes.length;
+        switch (name) {
+            case 'file-header':
+                mask.fill(1, 0, Math.min(14, bytes.length));
+                break;
+            case 'info-header':
+                mask.fill(1, Math.min(14, bytes.length), Math.min(infoEnd, bytes.length));
+                break;
+            case 'palette':
+                // Between the info header and the pixel data - empty unless the image is palettized
+                mask.fill(1, Math.min(infoEnd, bytes.length), Math.min(dataOffset, bytes.length));
+                break;
+        }
+    }
+
+    static markGif(bytes, name, layout, mask) {
+        switch (name) {
+            case 'screen':
+                mask.fill(1, 0, Math.min(13, bytes.length));
+                break;
+            case 'palette':
+                if (layout.globalTable) mask.fill(1, layout.globalTable.start, layout.globalTable.end);
+                layout.images.forEach(image => {
+                    if (image.localTable) mask.fill(1, image.localTable.start, image.localTable.end);
+                });
+                break;
+            case 'descriptors':
+                // Image descriptor plus the LZW minimum code size that follows it (or its local table)
+                layout.images.forEach(image => {
+                    mask.fill(1, image.descriptor, Math.min(image.descriptor + 10, bytes.length));
+                    if (image.minCodeSizeOffset < bytes.length) mask[image.minCodeSizeOffset] = 1;
+                });
+                break;
+            case 'block-sizes':
+                // Sub-block size bytes and the zero-length terminator
+                layout.images.forEach(image => {
+                    image.blocks.forEach(block => { mask[block.start - 1] = 1; });
+                    const last = image.blocks[image.blocks.length - 1];
+                    const terminator = last ? last.end : image.minCodeSizeOffset + 1;
+                    if (terminator < bytes.length) mask[terminator] = 1;
+                });
+                break;
+        }
+    }
+}
\ No newline at end of file
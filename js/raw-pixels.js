@@ -0,0 +1,132 @@
+// Pixel memory layouts for RAW mode
+//
+// RAW mode skips the codec: the frame's pixels are written out in one of these
+// layouts, the rules run on those bytes, and the bytes are read back as pixels.
+//
+//   rgba     interleaved R G B A, exactly the ImageData buffer
+//   planar   a plane of R, then G, then B (no alpha)
+//   yuv420   I420 - a full-size Y plane, then U and V at half width and height
+//
+// YUV uses the full-range BT.601 matrix, the same as JPEG. Bytes a splice
+// removed read as 0 (128 for chroma), bytes past the frame are ignored.
+
+export class RawPixels {
+    static get LAYOUTS() {
+        return ['rgba', 'planar', 'yuv420'];
+    }
+
+    static pack(imageData, layout = 'rgba') {
+        const { width, height, data } = imageData;
+        const pixels = width * height;
+        switch (layout) {
+            case 'rgba':
+                return new Uint8Array(data);
+            case 'planar': {
+                const bytes = new Uint8Array(pixels * 3);
+                for (let i = 0; i < pixels; i++) {
+                    bytes[i] = data[i * 4];
+                    bytes[pixels + i] = data[i * 4 + 1];
+                    bytes[pixels * 2 + i] = data[i * 4 + 2];
+                }
+                return bytes;
+            }
+            case 'yuv420':
+                return RawPixels.packYuv(imageData);
+            default:
+                throw new Error(`Unknown raw pixel layout: ${layout}`);
+        }
+    }
+
+    static unpack(bytes, width, height, layout = 'rgba') {
+        const result = new ImageData(width, height);
+        const { data } = result;
+        const pixels = width * height;
+        const at = (i, missing = 0) => i < bytes.length ? bytes[i] : missing;
+        switch (layout) {
+            case 'rgba':
+                // Alpha is blended over black so the frame stays opaque
+                for (let i = 0; i < pixels * 4; i += 4) {
+                    const alpha = at(i + 3);
+                    data[i] = at(i) * alpha / 255;
+                    data[i + 1] = at(i + 1) * alpha / 255;
+                    data[i + 2] = at(i + 2) * alpha / 255;
+                    data[i + 3] = 255;
+                }
+                break;
+            case 'planar':
+                for (let i = 0; i < pixels; i++) {
+                    data[i * 4] = at(i);
+                    data[i * 4 + 1] = at(pixels + i);
+                    data[i * 4 + 2] = at(pixels * 2 + i);
+                    data[i * 4 + 3] = 255;
+                }
+                break;
+            case 'yuv420':
+                RawPixels.unpackYuv(at, width, height, data);
+                break;
+            default:
+                throw new Error(`Unknown raw pixel layout: ${layout}`);
+        }
+        return result;
+    }
+
+    static chromaSize(width, height) {
+        return { chromaWidth: Math.ceil(width / 2), chromaHeight: Math.ceil(height / 2) };
+    }
+
+    static packYuv({ width, height, data }) {
+        const { chromaWidth, chromaHeight } = RawPixels.chromaSize(width, height);
+        const pixels = width * height;
+        const chroma = chromaWidth * chromaHeight;
+        const bytes = new Uint8Array(pixels + chroma * 2);
+        const clamp = value => Math.min(255, Math.max(0, Math.round(value)));
+
+        for (let i = 0; i < pixels; i++) {
+            bytes[i] = clamp(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+        }
+        // Chroma is the average of each 2x2 block (fewer pixels at odd edges)
+        for (let cy = 0; cy < chromaHeight; cy++) {
+            for (let cx = 0; cx < chromaWidth; cx++) {
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                let count = 0;
+                for (let y = cy * 2; y < Math.min(cy * 2 + 2, height); y++) {
+                    for (let x = cx * 2; x < Math.min(cx * 2 + 2, width); x++) {
+                        const i = (y * width + x) * 4;
+                        r += data[i];
+                        g += data[i + 1];
+                        b += data[i + 2];
+                        count++;
+                    }
+                }
+                r /= count;
+                g /= count;
+                b /= count;
+                const c = cy * chromaWidth + cx;
+                bytes[pixels + c] = clamp(-0.168736 * r - 0.331264 * g + 0.5 * b + 128);
+                bytes[pixels + chroma + c] = clamp(0.5 * r - 0.418688 * g - 0.081312 * b + 128);
+            }
+        }
+        return bytes;
+    }
+
+    static unpackYuv(at, width, height, data) {
+        const { chromaWidth, chromaHeight } = RawPixels.chromaSize(width, height);
+        const pixels = width * height;
+        const chroma = chromaWidth * chromaHeight;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const luma = at(y * width + x);
+                const c = (y >> 1) * chromaWidth + (x >> 1);
+                const u = at(pixels + c, 128) - 128;
+                const v = at(pixels + chroma + c, 128) - 128;
+                const i = (y * width + x) * 4;
+                data[i] = luma + 1.402 * v;
+                data[i + 1] = luma - 0.344136 * u - 0.714136 * v;
+                data[i + 2] = luma + 1.772 * u;
+                data[i + 3] = 255;
+            }
+        }
+    }
+}
\ No newline at end of file
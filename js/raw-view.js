@@ -0,0 +1,93 @@
+// Raw views of undecodable streams
+//
+// Shows a byte stream as pixels, like opening a file as raw data in an image
+// editor: pick how bytes become pixels, the row width in pixels and the byte
+// offset to start at. Reading wraps around to the start of the stream, so
+// short files still fill the frame.
+//
+//   smear    RGB triplets one byte apart - the original fallback look
+//   rgb      3 bytes per pixel
+//   rgba     4 bytes per pixel, alpha blended over black
+//   gray     1 byte per pixel
+//   rgb565   16-bit little-endian 5-6-5
+//   planar   a whole plane of R, then G, then B
+
+// Bytes from one pixel to the next
+const STEPS = { smear: 1, rgb: 3, rgba: 4, gray: 1, rgb565: 2, planar: 1 };
+
+export class RawView {
+    static get RENDERERS() {
+        return Object.keys(STEPS);
+    }
+
+    static validate({ renderer, rowWidth, offset }) {
+        if (!STEPS[renderer]) {
+            throw new Error(`Unknown raw renderer: ${renderer}`);
+        }
+        if (!Number.isInteger(rowWidth) || rowWidth < 0 || rowWidth > 65535) {
+            throw new Error(`Raw row width must be an integer from 0 to 65535: ${rowWidth}`);
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error(`Raw offset must be a non-negative integer: ${offset}`);
+        }
+        return { renderer, rowWidth, offset };
+    }
+
+    static render(bytes, width, height, { renderer = 'smear', rowWidth = 0, offset = 0 } = {}) {
+        // rowWidth 0 = the frame width; columns past the row width stay black
+        const step = STEPS[renderer];
+        if (!step) {
+            throw new Error(`Unknown raw renderer: ${renderer}`);
+        }
+        const result = new ImageData(width, height);
+        const { data } = result;
+        for (let i = 3; i < data.length; i += 4) data[i] = 255;
+        if (bytes.length === 0) return result;
+
+        const columns = rowWidth || width;
+        const plane = columns * height;
+        const at = i => bytes[i % bytes.length];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < Math.min(width, columns); x++) {
+                const pixel = y * columns + x;
+                const i = offset + pixel * step;
+                const out = (y * width + x) * 4;
+                switch (renderer) {
+                    case 'smear':
+                    case 'rgb':
+                        data[out] = at(i);
+                        data[out + 1] = at(i + 1);
+                        data[out + 2] = at(i + 2);
+                        break;
+                    case 'rgba': {
+                        const alpha = at(i + 3);
+                        data[out] = at(i) * alpha / 255;
+                        data[out + 1] = at(i + 1) * alpha / 255;
+                        data[out + 2] = at(i + 2) * alpha / 255;
+                        break;
+                    }
+                    case 'gray':
+                        data[out] = data[out + 1] = data[out + 2] = at(i);
+                        break;
+                    case 'rgb565': {
+                        const value = at(i) | (at(i + 1) << 8);
+                        const r = value >> 11;
+                        const g = (value >> 5) & 0x3F;
+                        const b = value & 0x1F;
+                        data[out] = (r << 3) | (r >> 2);
+                        data[out + 1] = (g << 2) | (g >> 4);
+                        data[out + 2] = (b << 3) | (b >> 2);
+                        break;
+                    }
+                    case 'planar':
+                        data[out] = at(i);
+                        data[out + 1] = at(i + plane);
+                        data[out + 2] = at(i + plane * 2);
+                        break;
+                }
+            }
+        }
+        return result;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,279 @@
+// Region-of-interest masks - confine corruption to parts of the frame
+//
+// A mask is a list of shapes drawn on the preview plus an optional mask
+// image, all in coordinates relative to the frame (0-1), so it fits any
+// processing resolution. Rendered, it is one alpha value per pixel: 255
+// shows the corrupted frame, 0 the clean one, and a feathered edge blends
+// between them.
+//
+//   rect     { x, y, width, height }
+//   stroke   { points: [[x, y], ...], radius } - radius relative to the shorter side
+//   image    grayscale, at most 160 pixels on the long side; white = corrupted
+
+const MAX_IMAGE_SIDE = 160;
+const MAX_FEATHER = 0.25; // Share of the shorter side
+
+export class RegionMask {
+    constructor() {
+        this.shapes = [];
+        this.image = null; // { width, height, data: Uint8Array }
+        this.feather = 0.02;
+        this.editing = false; // Set while a drawing tool is selected - the preview dims the unmasked area
+        this.version = 0; // Bumped on every change, so the rendered alpha is only rebuilt when needed
+        this.cache = null;
+    }
+    
+    get active() {
+        return this.shapes.length > 0 || this.image !== null;
+    }
+    
+    static rectFromCorners([x0, y0], [x1, y1]) {
+        // Corners in any order, clamped to the frame
+        const clamp = value => Math.min(1, Math.max(0, value));
+        const left = clamp(Math.min(x0, x1));
+        const top = clamp(Math.min(y0, y1));
+        return { type: 'rect', x: left, y: top, width: clamp(Math.max(x0, x1)) - left, height: clamp(Math.max(y0, y1)) - top };
+    }
+    
+    static imageSize(width, height) {
+        // Size a mask image is scaled to before it is stored
+        const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(width, height));
+        return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+    }
+    
+    static imageFromPixels({ width, height, data }) {
+        // Luminance times alpha, so transparent parts of a PNG stay clean
+        const gray = new Uint8Array(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            const luma = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            gray[i] = Math.round(luma * data[i * 4 + 3] / 255);
+        }
+        return RegionMask.validateImage({ width, height, data: gray });
+    }
+    
+    static validateShape(shape) {
+        const fraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+        if (shape && shape.type === 'rect') {
+            const { x, y, width, height } = shape;
+            if (![x, y, width, height].every(fraction) || x + width > 1 || y + height > 1) {
+                throw new Error('Mask rectangles must lie within the frame (0-1)');
+            }
+            return { type: 'rect', x, y, width, height };
+        }
+        if (shape && shape.type === 'stroke') {
+            const { points, radius } = shape;
+            if (!Array.isArray(points) || points.length === 0 || !points.every(point => Array.isArray(point) && point.length === 2 && point.every(fraction))) {
+                throw new Error('Mask strokes need at least one point within the frame (0-1)');
+            }
+            if (!(typeof radius === 'number' && radius > 0 && radius <= 1)) {
+                throw new Error(`Mask stroke radius must be above 0 and at most 1: ${radius}`);
+            }
+            return { type: 'stroke', points: points.map(([x, y]) => [x, y]), radius };
+        }
+        throw new Error(`Unknown mask shape: ${shape && shape.type}`);
+    }
+    
+    static validateImage(image) {
+        const { width, height, data } = image;
+        if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1 || width > MAX_IMAGE_SIDE || height > MAX_IMAGE_SIDE) {
+            throw new Error(`Mask images must be 1 to ${MAX_IMAGE_SIDE} pixels on each side: ${width}x${height}`);
+        }
+        if (!(data instanceof Uint8Array) || data.length !== width * height) {
+            throw new Error('Mask image data must hold one byte per pixel');
+        }
+        return { width, height, data };
+    }
+    
+    addShape(shape) {
+        this.shapes.push(RegionMask.validateShape(shape));
+        this.changed();
+    }
+    
+    replaceLastShape(shape) {
+        // A shape being drawn is replaced on every pointer move
+        if (this.shapes.length === 0) {
+            throw new Error('No mask shape to replace');
+        }
+        this.shapes[this.shapes.length - 1] = RegionMask.validateShape(shape);
+        this.changed();
+    }
+    
+    removeLastShape() {
+        this.shapes.pop();
+        this.changed();
+    }
+    
+    setImage(image) {
+        this.image = image === null ? null : RegionMask.validateImage(image);
+        this.changed();
+    }
+    
+    setFeather(feather) {
+        if (typeof feather !== 'number' || !(feather >= 0 && feather <= MAX_FEATHER)) {
+            throw new Error(`Mask feather must be from 0 to ${MAX_FEATHER}: ${feather}`);
+        }
+        this.feather = feather;
+        this.changed();
+    }
+    
+    clear() {
+        this.shapes = [];
+        this.image = null;
+        this.changed();
+    }
+    
+    changed() {
+        this.version++;
+    }
+    
+    render(width, height) {
+        // Alpha per pixel, 255 = corrupted; reused until the mask or the frame size changes
+        const { cache } = this;
+        if (cache && cache.width === width && cache.height === height && cache.version === this.version) {
+            return cache.alpha;
+        }
+        
+        let alpha = new Uint8Array(width * height);
+        if (this.image) this.drawImage(alpha, width, height);
+        for (const shape of this.shapes) {
+            if (shape.type === 'rect') {
+                this.drawRect(alpha, width, height, shape);
+            } else {
+                this.drawStroke(alpha, width, height, shape);
+            }
+        }
+        const radius = Math.round(this.feather * Math.min(width, height));
+        if (radius > 0) alpha = RegionMask.boxBlur(alpha, width, height, radius);
+        
+        this.cache = { width, height, version: this.version, alpha };
+        return alpha;
+    }
+    
+    drawImage(alpha, width, height) {
+        // Nearest neighbour - the feather smooths the steps
+        const { image } = this;
+        for (let y = 0; y < height; y++) {
+            const row = Math.min(image.height - 1, Math.floor(y * image.height / height)) * image.width;
+            for (let x = 0; x < width; x++) {
+                alpha[y * width + x] = image.data[row + Math.min(image.width - 1, Math.floor(x * image.width / width))];
+            }
+        }
+    }
+    
+    drawRect(alpha, width, height, { x, y, width: w, height: h }) {
+        const left = Math.round(x * width);
+        const right = Math.round((x + w) * width);
+        for (let row = Math.round(y * height); row < Math.round((y + h) * height); row++) {
+            alpha.fill(255, row * width + left, row * width + right);
+        }
+    }
+    
+    drawStroke(alpha, width, height, { points, radius }) {
+        // Discs stamped along every segment, close enough to leave no gaps
+        const r = Math.max(0.5, radius * Math.min(width, height));
+        const stamp = (cx, cy) => {
+            for (let y = Math.max(0, Math.ceil(cy - r)); y <= Math.min(height - 1, Math.floor(cy + r)); y++) {
+                const half = Math.sqrt(r * r - (y - cy) * (y - cy));
+                const from = Math.max(0, Math.ceil(cx - half));
+                const to = Math.min(width - 1, Math.floor(cx + half));
+                if (to >= from) alpha.fill(255, y * width + from, y * width + to + 1);
+            }
+        };
+        const pixels = points.map(([x, y]) => [x * width, y * height]);
+        stamp(...pixels[0]);
+        for (let i = 1; i < pixels.length; i++) {
+            const [x0, y0] = pixels[i - 1];
+            const [x1, y1] = pixels[i];
+            const steps = Math.ceil(Math.hypot(x1 - x0, y1 - y0) / Math.max(1, r / 2));
+            for (let step = 1; step <= steps; step++) {
+                stamp(x0 + (x1 - x0) * step / steps, y0 + (y1 - y0) * step / steps);
+            }
+        }
+    }
+    
+    static boxBlur(values, width, height, radius) {
+        // Horizontal then vertical running mean, edges extended - a linear ramp 2 * radius wide across each edge
+        const blurLine = (read, write, length) => {
+            const size = radius * 2 + 1;
+            let sum = 0;
+            for (let i = -radius; i <= radius; i++) sum += read(Math.min(length - 1, Math.max(0, i)));
+            for (let i = 0; i < length; i++) {
+                write(i, Math.round(sum / size));
+                sum += read(Math.min(length - 1, i + radius + 1)) - read(Math.max(0, i - radius));
+            }
+        };
+        const rows = new Uint8Array(values.length);
+        for (let y = 0; y < height; y++) {
+            blurLine(x => values[y * width + x], (x, value) => { rows[y * width + x] = value; }, width);
+        }
+        const result = new Uint8Array(values.length);
+        for (let x = 0; x < width; x++) {
+            blurLine(y => rows[y * width + x], (y, value) => { result[y * width + x] = value; }, height);
+        }
+        return result;
+    }
+    
+    apply(clean, corrupted) {
+        // The corrupted frame over the clean one, through the mask
+        const { width, height } = corrupted;
+        const alpha = this.render(width, height);
+        const result = new ImageData(width, height);
+        const output = result.data;
+        for (let p = 0; p < alpha.length; p++) {
+            const a = alpha[p];
+            const i = p * 4;
+            for (let c = i; c < i + 3; c++) {
+                output[c] = clean.data[c] + ((corrupted.data[c] - clean.data[c]) * a) / 255;
+            }
+            output[i + 3] = 255;
+        }
+        return result;
+    }
+    
+    preview(imageData) {
+        // What the UI shows while drawing: the unmasked area at half brightness
+        const { width, height, data } = imageData;
+        const alpha = this.render(width, height);
+        const result = new ImageData(width, height);
+        for (let p = 0; p < alpha.length; p++) {
+            const scale = (255 + alpha[p]) / 510;
+            const i = p * 4;
+            result.data[i] = data[i] * scale;
+            result.data[i + 1] = data[i + 1] * scale;
+            result.data[i + 2] = data[i + 2] * scale;
+            result.data[i + 3] = 255;
+        }
+        return result;
+    }
+    
+    toJSON() {
+        // Image bytes as base64, so the mask fits in the saved settings
+        const image = this.image && {
+            width: this.image.width,
+            height: this.image.height,
+            data: btoa(String.fromCharCode(...this.image.data))
+        };
+        return { shapes: this.shapes, image, feather: this.feather };
+    }
+    
+    static fromJSON({ shapes = [], image = null, feather = 0.02 } = {}) {
+        const mask = new RegionMask();
+        mask.setFeather(feather);
+        if (!Array.isArray(shapes)) {
+            throw new Error('Mask shapes must be a list');
+        }
+        shapes.forEach(shape => mask.addShape(shape));
+        if (image) {
+            const data = Uint8Array.from(atob(image.data), char => char.charCodeAt(0));
+            mask.setImage({ width: image.width, height: image.height, data });
+        }
+        return mask;
+    }
+    
+    restore(settings) {
+        // Takes over a saved mask, keeping this instance (the app and UI share it)
+        const saved = RegionMask.fromJSON(settings);
+        Object.assign(this, { shapes: saved.shapes, image: saved.image, feather: saved.feather });
+        this.changed();
+    }
+}
\ No newline at end of file
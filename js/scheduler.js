@@ -0,0 +1,116 @@
+// Adaptive frame scheduler
+//
+// A frame starts when the last one is done and the target rate allows it;
+// camera frames that arrive while one is processing are skipped, never
+// queued. Processing time is tracked as a moving average. When frames take
+// longer than the target interval the processing resolution steps down, and
+// it steps back up once the larger size would fit again.
+
+const SCALES = [1, 0.75, 0.5, 0.35, 0.25];
+const SMOOTHING = 0.2; // Weight of the newest frame in the latency average
+const ADAPT_FRAMES = 5; // Frames between resolution changes, so one slow frame doesn't cause one
+const HEADROOM = 0.8; // Share of the interval a larger size must fit in before stepping up
+const FPS_WINDOW = 1000; // Finished frames are counted over this many ms
+
+export class FrameScheduler {
+    constructor({ targetFps = 10, adaptive = true } = {}) {
+        this.setTargetFps(targetFps);
+        this.adaptive = adaptive;
+        this.scaleIndex = 0;
+        this.busy = false;
+        this.lastStart = -Infinity;
+        this.latency = null; // Moving average in ms, null until a frame finished
+        this.finished = []; // Finish times within FPS_WINDOW
+        this.skipped = 0;
+        this.sinceAdapt = 0;
+    }
+    
+    static get SCALES() {
+        return [...SCALES];
+    }
+    
+    get interval() {
+        return 1000 / this.targetFps;
+    }
+    
+    get scale() {
+        return SCALES[this.scaleIndex];
+    }
+    
+    setTargetFps(fps) {
+        // No upper limit - how fast frames really finish is up to the codecs
+        if (!Number.isFinite(fps) || fps < 1) {
+            throw new Error(`Target frame rate must be at least 1: ${fps}`);
+        }
+        this.targetFps = fps;
+        this.sinceAdapt = 0;
+    }
+    
+    setAdaptive(adaptive) {
+        this.adaptive = adaptive;
+        if (!adaptive) this.setScaleIndex(0);
+    }
+    
+    shouldStart(now) {
+        return !this.busy && now - this.lastStart >= this.interval;
+    }
+    
+    start(now) {
+        this.busy = true;
+        this.lastStart = now;
+    }
+    
+    finish(now) {
+        const latency = now - this.lastStart;
+        this.busy = false;
+        this.latency = this.latency === null ? latency : this.latency + SMOOTHING * (latency - this.latency);
+        // Every interval that passed while this frame was processing was a frame not started
+        this.skipped += Math.floor(latency / this.interval);
+        this.finished.push(now);
+        this.adapt();
+    }
+    
+    cancel() {
+        // A failed frame frees the scheduler without counting as processed
+        this.busy = false;
+    }
+    
+    adapt() {
+        if (!this.adaptive || ++this.sinceAdapt < ADAPT_FRAMES) return;
+        
+        if (this.latency > this.interval && this.scaleIndex < SCALES.length - 1) {
+            this.setScaleIndex(this.scaleIndex + 1);
+        } else if (this.scaleIndex > 0 && this.estimate(this.scaleIndex - 1) < this.interval * HEADROOM) {
+            this.setScaleIndex(this.scaleIndex - 1);
+        }
+    }
+    
+    estimate(index) {
+        // Processing time grows with the pixel count
+        return this.latency * (SCALES[index] / this.scale) ** 2;
+    }
+    
+    setScaleIndex(index) {
+        if (index === this.scaleIndex) return;
+        if (this.latency !== null) this.latency = this.estimate(index);
+        this.scaleIndex = index;
+        this.sinceAdapt = 0;
+    }
+    
+    frameSize(width, height) {
+        return {
+            width: Math.max(1, Math.round(width * this.scale)),
+            height: Math.max(1, Math.round(height * this.scale))
+        };
+    }
+    
+    stats(now) {
+        this.finished = this.finished.filter(time => now - time < FPS_WINDOW);
+        return {
+            fps: this.finished.length * 1000 / FPS_WINDOW,
+            latency: this.latency,
+            scale: this.scale,
+            skipped: this.skipped
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,465 @@
+// TIFF encoder/decoder
+//
+// Writes little-endian baseline RGB TIFFs whose strips are uncompressed,
+// PackBits or LZW - each scheme breaks differently when bytes are replaced.
+// The IFD and its out-of-line values sit in front of the strips, so one
+// protected prefix covers every tag. The reader is tolerant: strips that are
+// truncated, point outside the file or fail to decompress leave black rows,
+// and missing tags fall back to baseline defaults.
+
+const TAG = {
+    IMAGE_WIDTH: 256,
+    IMAGE_LENGTH: 257,
+    BITS_PER_SAMPLE: 258,
+    COMPRESSION: 259,
+    PHOTOMETRIC: 262,
+    STRIP_OFFSETS: 273,
+    SAMPLES_PER_PIXEL: 277,
+    ROWS_PER_STRIP: 278,
+    STRIP_BYTE_COUNTS: 279,
+    X_RESOLUTION: 282,
+    Y_RESOLUTION: 283,
+    PLANAR_CONFIG: 284,
+    RESOLUTION_UNIT: 296
+};
+
+// Field type -> bytes per value
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+
+const COMPRESSION_CODES = { none: 1, lzw: 5, packbits: 32773 };
+
+// Strips of roughly this many bytes before compression
+const STRIP_SIZE = 8192;
+
+// Corrupted headers can claim absurd sizes - refuse rather than allocate them
+const MAX_PIXELS = 4096 * 4096;
+
+export class TiffCodec {
+    static get COMPRESSIONS() {
+        return Object.keys(COMPRESSION_CODES);
+    }
+
+    static encode(imageData, { compression = 'none' } = {}) {
+        const code = COMPRESSION_CODES[compression];
+        if (!code) {
+            throw new Error(`Unknown TIFF compression: ${compression}`);
+        }
+
+        const { width, height, data } = imageData;
+        const rowBytes = width * 3;
+        const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(STRIP_SIZE / rowBytes)));
+        const strips = [];
+        for (let row = 0; row < height; row += rowsPerStrip) {
+            const rows = Math.min(rowsPerStrip, height - row);
+            const raw = new Uint8Array(rows * rowBytes);
+            for (let p = 0; p < rows * width; p++) {
+                const i = (row * width + p) * 4;
+                raw[p * 3] = data[i];
+                raw[p * 3 + 1] = data[i + 1];
+                raw[p * 3 + 2] = data[i + 2];
+            }
+            strips.push(TiffCodec.compress(raw, compression, rowBytes));
+        }
+
+        // Header, IFD, out-of-line values, then the strips
+        const entries = [
+            [TAG.IMAGE_WIDTH, LONG, [width]],
+            [TAG.IMAGE_LENGTH, LONG, [height]],
+            [TAG.BITS_PER_SAMPLE, SHORT, [8, 8, 8]],
+            [TAG.COMPRESSION, SHORT, [code]],
+            [TAG.PHOTOMETRIC, SHORT, [2]],
+            [TAG.STRIP_OFFSETS, LONG, strips.map(() => 0)],
+            [TAG.SAMPLES_PER_PIXEL, SHORT, [3]],
+            [TAG.ROWS_PER_STRIP, LONG, [rowsPerStrip]],
+            [TAG.STRIP_BYTE_COUNTS, LONG, strips.map(strip => strip.length)],
+            [TAG.X_RESOLUTION, RATIONAL, [72, 1]],
+            [TAG.Y_RESOLUTION, RATIONAL, [72, 1]],
+            [TAG.PLANAR_CONFIG, SHORT, [1]],
+            [TAG.RESOLUTION_UNIT, SHORT, [2]]
+        ];
+
+        const ifdSize = 2 + entries.length * 12 + 4;
+        let valueOffset = 8 + ifdSize;
+        const valueOffsets = entries.map(([, type, values]) => {
+            const size = TiffCodec.valueSize(type, values);
+            if (size <= 4) return null;
+            const offset = valueOffset;
+            valueOffset += size + (size & 1); // values start on a word boundary
+            return offset;
+        });
+
+        let dataStart = valueOffset;
+        const stripOffsets = strips.map(strip => {
+            const offset = dataStart;
+            dataStart += strip.length;
+            return offset;
+        });
+        entries[5][2] = stripOffsets;
+
+        const bytes = new Uint8Array(dataStart);
+        const view = new DataView(bytes.buffer);
+        bytes.set([0x49, 0x49, 42, 0], 0); // 'II', little-endian
+        view.setUint32(4, 8, true);
+        view.setUint16(8, entries.length, true);
+
+        entries.forEach(([tag, type, values], i) => {
+            const p = 10 + i * 12;
+            view.setUint16(p, tag, true);
+            view.setUint16(p + 2, type, true);
+            view.setUint32(p + 4, type === RATIONAL ? values.length / 2 : values.length, true);
+            const target = valueOffsets[i] === null ? p + 8 : valueOffsets[i];
+            if (valueOffsets[i] !== null) view.setUint32(p + 8, target, true);
+            values.forEach((value, k) => {
+                if (type === SHORT) view.setUint16(target + k * 2, value, true);
+                else view.setUint32(target + k * 4, value, true);
+            });
+        });
+        view.setUint32(10 + entries.length * 12, 0, true); // no next IFD
+
+        strips.forEach((strip, i) => bytes.set(strip, stripOffsets[i]));
+        return bytes;
+    }
+
+    static valueSize(type, values) {
+        return type === RATIONAL ? values.length * 4 : values.length * TYPE_SIZES[type];
+    }
+
+    static compress(raw, compression, rowBytes) {
+        switch (compression) {
+            case 'none':
+                return raw;
+            case 'packbits':
+                return TiffCodec.packBitsEncode(raw, rowBytes);
+            case 'lzw':
+                return TiffCodec.lzwEncode(raw);
+            default:
+                throw new Error(`Unknown TIFF compression: ${compression}`);
+        }
+    }
+
+    static packBitsEncode(raw, rowBytes) {
+        // Runs never cross rows, as the spec requires
+        const output = [];
+        for (let rowStart = 0; rowStart < raw.length; rowStart += rowBytes) {
+            const rowEnd = Math.min(rowStart + rowBytes, raw.length);
+            let i = rowStart;
+            while (i < rowEnd) {
+                let run = 1;
+                while (i + run < rowEnd && run < 128 && raw[i + run] === raw[i]) run++;
+
+                if (run >= 2) {
+                    output.push(257 - run, raw[i]);
+                    i += run;
+                    continue;
+                }
+
+                // Literals until the next run of 2 or more
+                let count = 1;
+                while (i + count < rowEnd && count < 128 && raw[i + count] !== raw[i + count + 1]) count++;
+                output.push(count - 1);
+                for (let k = 0; k < count; k++) output.push(raw[i + k]);
+                i += count;
+            }
+        }
+        return new Uint8Array(output);
+    }
+
+    static packBitsDecode(bytes, expected) {
+        const output = new Uint8Array(expected);
+        let p = 0;
+        let o = 0;
+        while (p < bytes.length && o < expected) {
+            const header = bytes[p++];
+            if (header < 128) {
+                // header + 1 literal bytes
+                for (let k = 0; k <= header && p < bytes.length && o < expected; k++) output[o++] = bytes[p++];
+            } else if (header > 128) {
+                // next byte repeated 257 - header times
+                if (p >= bytes.length) break;
+                const value = bytes[p++];
+                for (let k = 0; k < 257 - header && o < expected; k++) output[o++] = value;
+            }
+            // 128 is a no-op
+        }
+        return output;
+    }
+
+    static lzwEncode(raw) {
+        // TIFF LZW: MSB-first codes, 'early change' width switches, clear before the table overflows
+        const output = [];
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let codeSize = 9;
+        let nextCode = 258;
+        let table = new Map();
+
+        const emit = (code) => {
+            bitBuffer = (bitBuffer << codeSize) | code;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                bitCount -= 8;
+                output.push((bitBuffer >>> bitCount) & 0xFF);
+            }
+            bitBuffer &= (1 << bitCount) - 1;
+        };
+
+        emit(256);
+        if (raw.length > 0) {
+            let prefix = raw[0];
+            for (let i = 1; i < raw.length; i++) {
+                const k = raw[i];
+                const key = (prefix << 8) | k;
+                const code = table.get(key);
+                if (code !== undefined) {
+                    prefix = code;
+                    continue;
+                }
+
+                emit(prefix);
+                table.set(key, nextCode++);
+                if (nextCode === 4094) {
+                    emit(256);
+                    table = new Map();
+                    nextCode = 258;
+                    codeSize = 9;
+                } else if (nextCode >= (1 << codeSize)) {
+                    // The decoder adds each entry one code later, so it switches at 2^n - 1
+                    codeSize++;
+                }
+                prefix = k;
+            }
+            emit(prefix);
+        }
+        emit(257);
+        if (bitCount > 0) output.push((bitBuffer << (8 - bitCount)) & 0xFF);
+        return new Uint8Array(output);
+    }
+
+    static lzwDecode(bytes, expected) {
+        const output = new Uint8Array(expected);
+        const prefix = new Int16Array(4096);
+        const suffix = new Uint8Array(4096);
+        const length = new Uint16Array(4096);
+        for (let code = 0; code < 256; code++) {
+            suffix[code] = code;
+            length[code] = 1;
+        }
+
+        let codeSize = 9;
+        let nextCode = 258;
+        let previous = -1;
+        let o = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        let p = 0;
+
+        const firstOf = (code) => {
+            while (length[code] > 1) code = prefix[code];
+            return suffix[code];
+        };
+        const write = (code) => {
+            const size = length[code];
+            let end = o + size - 1;
+            while (true) {
+                if (end < expected) output[end] = suffix[code];
+                end--;
+                if (length[code] <= 1) break;
+                code = prefix[code];
+            }
+            o += size;
+        };
+
+        while (o < expected) {
+            while (bitCount < codeSize && p < bytes.length) {
+                bitBuffer = ((bitBuffer << 8) | bytes[p++]) & 0xFFFFFF;
+                bitCount += 8;
+            }
+            if (bitCount < codeSize) break;
+            bitCount -= codeSize;
+            let code = (bitBuffer >>> bitCount) & ((1 << codeSize) - 1);
+
+            if (code === 256) {
+                codeSize = 9;
+                nextCode = 258;
+                previous = -1;
+                continue;
+            }
+            if (code === 257) break;
+
+            if (previous === -1) {
+                // First code after a clear must be a literal - fold anything else into one
+                code &= 0xFF;
+                write(code);
+                previous = code;
+                continue;
+            }
+
+            // Undefined codes are decoded as the next code, like the GIF decoder
+            if (code > nextCode || (code > 257 && code < nextCode && length[code] === 0)) code = nextCode;
+
+            let first;
+            if (code < nextCode) {
+                first = firstOf(code);
+                write(code);
+            } else {
+                first = firstOf(previous);
+                write(previous);
+                if (o < expected) output[o] = first;
+                o++;
+            }
+
+            if (nextCode < 4096) {
+                prefix[nextCode] = previous;
+                suffix[nextCode] = first;
+                length[nextCode] = length[previous] + 1;
+                nextCode++;
+                if (nextCode + 1 >= (1 << codeSize) && codeSize < 12) codeSize++;
+            }
+            previous = Math.min(code, 4095);
+        }
+        return output;
+    }
+
+    static parse(bytes) {
+        // Locates the IFD, its out-of-line values and the strips; tolerates damage
+        const order = String.fromCharCode(bytes[0], bytes[1]);
+        if ((order !== 'II' && order !== 'MM') || bytes.length < 8) {
+            throw new Error('Not a TIFF stream: bad byte order mark');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const little = order === 'II';
+        const ifdOffset = view.getUint32(4, little);
+        if (ifdOffset + 2 > bytes.length) {
+            throw new Error(`Invalid TIFF IFD offset: ${ifdOffset}`);
+        }
+
+        const count = Math.min(view.getUint16(ifdOffset, little), Math.floor((bytes.length - ifdOffset - 2) / 12));
+        const tags = new Map();
+        const valueRanges = [];
+        for (let i = 0; i < count; i++) {
+            const p = ifdOffset + 2 + i * 12;
+            const tag = view.getUint16(p, little);
+            const type = view.getUint16(p + 2, little);
+            const valueCount = view.getUint32(p + 4, little);
+            const size = (TYPE_SIZES[type] || 1) * valueCount;
+            const start = size <= 4 ? p + 8 : view.getUint32(p + 8, little);
+            const end = Math.min(start + size, bytes.length);
+            if (size > 4 && start < bytes.length) valueRanges.push({ start, end });
+
+            const values = [];
+            const step = TYPE_SIZES[type] || 1;
+            for (let v = start; v + step <= end && values.length < valueCount; v += step) {
+                if (type === SHORT) values.push(view.getUint16(v, little));
+                else if (type === LONG) values.push(view.getUint32(v, little));
+                else if (type === 1) values.push(bytes[v]);
+                else break; // other types are never needed for decoding
+            }
+            tags.set(tag, values);
+        }
+
+        const first = (tag, fallback) => (tags.has(tag) && tags.get(tag).length ? tags.get(tag)[0] : fallback);
+        const layout = {
+            little,
+            ifd: { start: ifdOffset, end: Math.min(ifdOffset + 2 + count * 12 + 4, bytes.length) },
+            valueRanges,
+            width: first(TAG.IMAGE_WIDTH, 0),
+            height: first(TAG.IMAGE_LENGTH, 0),
+            bitsPerSample: first(TAG.BITS_PER_SAMPLE, 1),
+            compression: first(TAG.COMPRESSION, 1),
+            photometric: first(TAG.PHOTOMETRIC, 2),
+            samplesPerPixel: first(TAG.SAMPLES_PER_PIXEL, 1),
+            strips: []
+        };
+        layout.rowsPerStrip = Math.max(1, first(TAG.ROWS_PER_STRIP, layout.height));
+
+        const offsets = tags.get(TAG.STRIP_OFFSETS) || [];
+        const counts = tags.get(TAG.STRIP_BYTE_COUNTS) || [];
+        offsets.forEach((offset, i) => {
+            // A missing byte count runs to the next strip or the end of the file
+            const fallback = (i + 1 < offsets.length ? offsets[i + 1] : bytes.length) - offset;
+            const start = Math.min(offset, bytes.length);
+            layout.strips.push({ start, end: Math.min(start + (counts[i] ?? fallback), bytes.length) });
+        });
+
+        // Everything before the first strip is structure
+        layout.dataStart = layout.strips.reduce((min, strip) => Math.min(min, strip.start), bytes.length);
+        return layout;
+    }
+
+    static buildMask(bytes, layout, target) {
+        // 1 = the byte may be corrupted by a rule with this target
+        const mask = new Uint8Array(bytes.length);
+        switch (target) {
+            case 'ifd':
+                // Tag entries plus the values they point at
+                mask.fill(1, layout.ifd.start, layout.ifd.end);
+                layout.valueRanges.forEach(range => mask.fill(1, range.start, range.end));
+                break;
+            case 'strips':
+                layout.strips.forEach(strip => mask.fill(1, strip.start, strip.end));
+                break;
+            default:
+                throw new Error(`Unknown TIFF target: ${target}`);
+        }
+        return mask;
+    }
+
+    static decode(bytes) {
+        const layout = TiffCodec.parse(bytes);
+        const { width, height, samplesPerPixel, photometric, rowsPerStrip } = layout;
+        if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+            throw new Error(`Invalid TIFF dimensions: ${width}x${height}`);
+        }
+        if (layout.bitsPerSample !== 8 || ![1, 3, 4].includes(samplesPerPixel)) {
+            throw new Error(`Unsupported TIFF sample format: ${samplesPerPixel}x${layout.bitsPerSample}-bit`);
+        }
+        if (!Object.values(COMPRESSION_CODES).includes(layout.compression)) {
+            throw new Error(`Unsupported TIFF compression: ${layout.compression}`);
+        }
+
+        const result = new ImageData(width, height);
+        const out = result.data;
+        for (let i = 3; i < out.length; i += 4) out[i] = 255;
+
+        const rowBytes = width * samplesPerPixel;
+        layout.strips.forEach((strip, i) => {
+            const firstRow = i * rowsPerStrip;
+            if (firstRow >= height) return;
+            const rows = Math.min(rowsPerStrip, height - firstRow);
+            const raw = TiffCodec.decompress(bytes.subarray(strip.start, strip.end), layout.compression, rows * rowBytes);
+
+            // Only the bytes the strip actually holds are written - the rest stays black
+            const available = layout.compression === 1 ? strip.end - strip.start : raw.length;
+            const pixels = Math.min(rows * width, Math.floor(available / samplesPerPixel));
+            for (let p = 0; p < pixels; p++) {
+                const s = p * samplesPerPixel;
+                const o = (firstRow * width + p) * 4;
+                if (samplesPerPixel === 1) {
+                    // Photometric 0 stores white as zero
+                    const value = photometric === 0 ? 255 - raw[s] : raw[s];
+                    out[o] = out[o + 1] = out[o + 2] = value;
+                } else {
+                    out[o] = raw[s];
+                    out[o + 1] = raw[s + 1];
+                    out[o + 2] = raw[s + 2];
+                }
+            }
+        });
+        return result;
+    }
+
+    static decompress(data, compression, expected) {
+        switch (compression) {
+            case 5:
+                return TiffCodec.lzwDecode(data, expected);
+            case 32773:
+                return TiffCodec.packBitsDecode(data, expected);
+            default:
+                return data;
+        }
+    }
+}
\ No newline at end of file
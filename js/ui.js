@@ -1,7 +1,57 @@
+import { BytePattern, PatternSyntaxError } from './pattern.js';
+import { JpegEncoder } from './jpeg-encoder.js';
+import { ProtectionProfile } from './protection.js';
+import { ByteOperators } from './operators.js';
+import { FrameScheduler } from './scheduler.js';
+import { FrameFeedback } from './feedback.js';
+import { Datamosh } from './datamosh.js';
+import { RegionMask } from './region-mask.js';
+
+// Per-rule limits on where and how often a rule replaces, edited in each rule row
+const RULE_LIMITS = ['windowStart', 'windowEnd', 'firstMatch', 'lastMatch', 'every', 'maxReplacements'];
+
+// Labels for the parameters of the seeded byte operators
+const PARAM_LABELS = {
+    bit: 'BIT (0-7)',
+    density: 'DENSITY',
+    amount: 'AMOUNT',
+    length: 'LENGTH',
+    repeats: 'REPEATS',
+    count: 'PER FRAME'
+};
+
+// localStorage key for settings kept between sessions
+const SETTINGS_KEY = 'glitchcam-settings';
+
+// Display names for the structures a rule can be confined to
+const TARGET_LABELS = {
+    all: 'WHOLE STREAM',
+    scan: 'SCAN DATA',
+    dqt: 'QUANT TABLES (DQT)',
+    dht: 'HUFFMAN TABLES (DHT)',
+    sof: 'FRAME HEADER (SOF)',
+    app: 'METADATA (APPn/COM)',
+    filter: 'FILTER TYPE BYTES',
+    pixels: 'FILTERED PIXELS',
+    vp8: 'VP8 BITSTREAM',
+    vp8l: 'VP8L BITSTREAM',
+    alph: 'ALPHA (ALPH) DATA',
+    palette: 'COLOR TABLE',
+    lzw: 'LZW IMAGE DATA',
+    ifd: 'IFD TAGS',
+    strips: 'STRIP DATA'
+};
+
 export class UIController {
-    constructor(glitchEngine, cameraController) {
+    constructor(glitchEngine, cameraController, scheduler = new FrameScheduler(), feedback = new FrameFeedback(), datamosh = new Datamosh(glitchEngine), regionMask = new RegionMask()) {
         this.glitchEngine = glitchEngine;
         this.cameraController = cameraController;
+        this.scheduler = scheduler;
+        this.feedback = feedback;
+        this.datamosh = datamosh;
+        this.regionMask = regionMask;
+        this.maskDrag = null; // Tool and points of the mask shape being drawn
+        this.rules = [{ type: 'replace', sourceChars: 'a', destChars: 'b', enabled: true, syntax: 'text', target: 'all' }];
         this.initializeControls();
         this.bindEvents();
     }
@@ -10,10 +60,70 @@ export class UIController {
         this.elements = {
             cameraToggle: document.getElementById('camera-toggle'),
             glitchToggle: document.getElementById('glitch-toggle'),
+            diagnosticsToggle: document.getElementById('diagnostics-toggle'),
+            diagnosticsOverlay: document.getElementById('diagnostics-overlay'),
+            targetFps: document.getElementById('target-fps'),
+            targetFpsValue: document.getElementById('target-fps-value'),
+            adaptiveResolution: document.getElementById('adaptive-resolution'),
+            frameStats: document.getElementById('frame-stats'),
+            feedbackMode: document.getElementById('feedback-mode'),
+            feedbackDecay: document.getElementById('feedback-decay'),
+            feedbackDecayValue: document.getElementById('feedback-decay-value'),
+            maskTool: document.getElementById('mask-tool'),
+            maskBrush: document.getElementById('mask-brush'),
+            maskBrushValue: document.getElementById('mask-brush-value'),
+            maskFeather: document.getElementById('mask-feather'),
+            maskFeatherValue: document.getElementById('mask-feather-value'),
+            maskImage: document.getElementById('mask-image'),
+            maskUndo: document.getElementById('mask-undo'),
+            maskClear: document.getElementById('mask-clear'),
+            maskHint: document.getElementById('mask-hint'),
             headerProtection: document.getElementById('header-protection'),
+            spliceFixups: document.getElementById('splice-fixups'),
+            protectionProfile: document.getElementById('protection-profile'),
+            protectionProfileLabel: document.getElementById('protection-profile-label'),
+            protectionProfileHint: document.getElementById('protection-profile-hint'),
+            protectionReset: document.getElementById('protection-reset'),
             modeButtons: document.querySelectorAll('.btn-mode'),
-            sourceChars: document.getElementById('source-chars'),
-            destChars: document.getElementById('dest-chars'),
+            formatOptions: document.querySelectorAll('.format-options'),
+            jpegQuality: document.getElementById('jpeg-quality'),
+            jpegQualityValue: document.getElementById('jpeg-quality-value'),
+            jpegSubsampling: document.getElementById('jpeg-subsampling'),
+            jpegRestart: document.getElementById('jpeg-restart'),
+            jpegProgressive: document.getElementById('jpeg-progressive'),
+            jpegFill: document.getElementById('jpeg-fill'),
+            jpegQuantLuma: document.getElementById('jpeg-quant-luma'),
+            jpegQuantLumaHint: document.getElementById('jpeg-quant-luma-hint'),
+            jpegQuantChroma: document.getElementById('jpeg-quant-chroma'),
+            jpegQuantChromaHint: document.getElementById('jpeg-quant-chroma-hint'),
+            bmpVariant: document.getElementById('bmp-variant'),
+            bmpTopDown: document.getElementById('bmp-top-down'),
+            tiffCompression: document.getElementById('tiff-compression'),
+            tiffExposeIfd: document.getElementById('tiff-expose-ifd'),
+            rawLayout: document.getElementById('raw-layout'),
+            rawRenderer: document.getElementById('raw-renderer'),
+            rawRowWidth: document.getElementById('raw-row-width'),
+            rawOffset: document.getElementById('raw-offset'),
+            rawAlways: document.getElementById('raw-always'),
+            videoCodec: document.getElementById('video-codec'),
+            videoKeyframes: document.getElementById('video-keyframes'),
+            videoKeyframeInterval: document.getElementById('video-keyframe-interval'),
+            videoRepeat: document.getElementById('video-repeat'),
+            videoKeyframeRepeat: document.getElementById('video-keyframe-repeat'),
+            videoKeyframe: document.getElementById('video-keyframe'),
+            decodeTimeout: document.getElementById('decode-timeout'),
+            generationCount: document.getElementById('generation-count'),
+            generationFormats: document.getElementById('generation-formats'),
+            generationFormatsHint: document.getElementById('generation-formats-hint'),
+            tileColumns: document.getElementById('tile-columns'),
+            tileRows: document.getElementById('tile-rows'),
+            tileFormats: document.getElementById('tile-formats'),
+            tileRules: document.getElementById('tile-rules'),
+            tileVarySeeds: document.getElementById('tile-vary-seeds'),
+            tileHint: document.getElementById('tile-hint'),
+            ruleList: document.getElementById('rule-list'),
+            ruleTemplate: document.getElementById('rule-template'),
+            addRule: document.getElementById('add-rule'),
             saveImage: document.getElementById('save-image'),
             errorMessage: document.getElementById('error-message'),
             statusIndicator: document.getElementById('status-indicator'),
@@ -25,43 +135,403 @@ export class UIController {
     bindEvents() {
         this.elements.cameraToggle.addEventListener('click', () => this.toggleCamera());
         this.elements.glitchToggle.addEventListener('change', () => this.toggleGlitch());
+        this.elements.diagnosticsToggle.addEventListener('change', () => this.toggleDiagnostics());
+        this.elements.targetFps.addEventListener('input', () => this.updateFrameRate());
+        this.elements.adaptiveResolution.addEventListener('change', () => this.updateFrameRate());
+        this.elements.feedbackMode.addEventListener('change', () => this.updateFeedback());
+        this.elements.feedbackDecay.addEventListener('input', () => this.updateFeedback());
+        this.elements.maskTool.addEventListener('change', () => this.updateMaskTool());
+        this.elements.maskBrush.addEventListener('input', () => this.updateMaskBrush());
+        this.elements.maskFeather.addEventListener('input', () => this.updateMaskFeather());
+        this.elements.maskImage.addEventListener('change', () => this.loadMaskImage());
+        this.elements.maskUndo.addEventListener('click', () => this.changeMask(() => this.regionMask.removeLastShape()));
+        this.elements.maskClear.addEventListener('click', () => this.changeMask(() => this.regionMask.clear()));
+        this.elements.canvas.addEventListener('pointerdown', (e) => this.startMaskShape(e));
+        this.elements.canvas.addEventListener('pointermove', (e) => this.moveMaskShape(e));
+        this.elements.canvas.addEventListener('pointerup', () => this.endMaskShape());
+        this.elements.canvas.addEventListener('pointercancel', () => this.endMaskShape());
         this.elements.headerProtection.addEventListener('change', () => this.toggleHeaderProtection());
-        this.elements.sourceChars.addEventListener('input', (e) => this.updateReplacement());
-        this.elements.destChars.addEventListener('input', (e) => this.updateReplacement());
+        this.elements.protectionProfile.addEventListener('change', () => this.updateProtectionProfile());
+        this.elements.protectionReset.addEventListener('click', () => this.resetProtectionProfile());
+        this.elements.spliceFixups.addEventListener('change', () => this.toggleSpliceFixups());
+        this.elements.addRule.addEventListener('click', () => this.addRule());
+        this.elements.jpegQuality.addEventListener('input', () => this.updateJpegOptions());
+        this.elements.jpegSubsampling.addEventListener('change', () => this.updateJpegOptions());
+        this.elements.jpegRestart.addEventListener('change', () => this.updateJpegOptions());
+        this.elements.jpegProgressive.addEventListener('change', () => this.updateJpegOptions());
+        this.elements.jpegFill.addEventListener('change', () => this.updateJpegOptions());
+        this.elements.jpegQuantLuma.addEventListener('change', () => this.updateJpegOptions());
+        this.elements.jpegQuantChroma.addEventListener('change', () => this.updateJpegOptions());
+        this.elements.bmpVariant.addEventListener('change', () => this.updateBmpOptions());
+        this.elements.bmpTopDown.addEventListener('change', () => this.updateBmpOptions());
+        this.elements.tiffCompression.addEventListener('change', () => this.updateTiffOptions());
+        this.elements.tiffExposeIfd.addEventListener('change', () => this.updateTiffOptions());
+        this.elements.rawLayout.addEventListener('change', () => this.updateRawOptions());
+        this.elements.rawRenderer.addEventListener('change', () => this.updateRawView());
+        this.elements.rawRowWidth.addEventListener('change', () => this.updateRawView());
+        this.elements.rawOffset.addEventListener('change', () => this.updateRawView());
+        this.elements.rawAlways.addEventListener('change', () => this.updateRawView());
+        this.elements.videoCodec.addEventListener('change', () => this.updateVideoOptions());
+        this.elements.videoKeyframes.addEventListener('change', () => this.updateVideoOptions());
+        this.elements.videoKeyframeInterval.addEventListener('change', () => this.updateVideoOptions());
+        this.elements.videoRepeat.addEventListener('change', () => this.updateVideoOptions());
+        this.elements.videoKeyframeRepeat.addEventListener('change', () => this.updateVideoOptions());
+        this.elements.videoKeyframe.addEventListener('click', () => this.datamosh.requestKeyframe());
+        this.elements.decodeTimeout.addEventListener('change', () => this.updateDecodeTimeout());
+        this.elements.generationCount.addEventListener('change', () => this.updateGenerations());
+        this.elements.generationFormats.addEventListener('change', () => this.updateGenerations());
+        this.elements.tileColumns.addEventListener('change', () => this.updateTiles());
+        this.elements.tileRows.addEventListener('change', () => this.updateTiles());
+        this.elements.tileFormats.addEventListener('change', () => this.updateTiles());
+        this.elements.tileRules.addEventListener('change', () => this.updateTiles());
+        this.elements.tileVarySeeds.addEventListener('change', () => this.updateTiles());
         this.elements.saveImage.addEventListener('click', () => this.saveImage());
         
         // Mode buttons
         this.elements.modeButtons.forEach(button => {
+            if (button.dataset.mode === 'video' && !Datamosh.isSupported()) {
+                button.disabled = true;
+                button.title = 'Needs WebCodecs (VideoEncoder and VideoDecoder)';
+            }
             button.addEventListener('click', (e) => {
                 this.elements.modeButtons.forEach(btn => btn.classList.remove('active'));
                 e.target.classList.add('active');
                 const mode = e.target.dataset.mode;
                 this.glitchEngine.setCorruptionMode(mode);
+                // The video codecs hold a camera-sized picture or two - let them go outside video mode
+                if (mode !== 'video') this.datamosh.close();
+                // Available rule targets and encoder options depend on the format
+                this.renderRules();
+                this.showFormatOptions(mode);
+                this.showProtectionProfile(mode);
                 
                 // Analytics
                 this.trackEvent('corruption_mode', 'change', mode);
             });
         });
         
-        // Initialize character hints, header protection, and glitch state
-        this.updateCharHints();
+        // Initialize saved settings, rule list, format options, header protection, and glitch state
+        this.elements.targetFps.value = this.scheduler.targetFps;
+        this.loadSettings();
+        this.renderRules();
+        this.showFormatOptions(this.glitchEngine.corruptionMode);
+        this.showProtectionProfile(this.glitchEngine.corruptionMode);
+        this.updateJpegOptions();
+        this.updateBmpOptions();
+        this.updateTiffOptions();
+        this.updateRawOptions();
+        this.updateVideoOptions();
+        this.updateRawView();
+        this.updateDecodeTimeout();
+        this.updateGenerations();
+        this.updateTiles();
         this.toggleHeaderProtection();
+        this.toggleSpliceFixups();
+        this.toggleDiagnostics();
+        this.updateFrameRate();
+        this.updateFeedback();
+        this.elements.maskFeather.value = Math.round(this.regionMask.feather * 100);
+        this.updateMaskTool();
+        this.updateMaskBrush();
+        this.updateMaskFeather();
         this.toggleGlitch(); // Initialize glitch state based on checkbox
     }
     
-    updateReplacement() {
-        const sourceChars = this.elements.sourceChars.value || 'a';
-        const destChars = this.elements.destChars.value || 'b';
+    renderRules() {
+        const list = this.elements.ruleList;
+        const targets = this.glitchEngine.getRuleTargets();
+        list.replaceChildren();
+        
+        this.rules.forEach((rule, index) => {
+            const row = this.elements.ruleTemplate.content.firstElementChild.cloneNode(true);
+            const enabled = row.querySelector('.rule-enabled');
+            const type = row.querySelector('.rule-type');
+            const syntax = row.querySelector('.rule-syntax');
+            const splice = row.querySelector('.rule-splice');
+            const target = row.querySelector('.rule-target');
+            const source = row.querySelector('.rule-source');
+            const dest = row.querySelector('.rule-dest');
+            
+            row.querySelector('.rule-title').textContent = `RULE ${index + 1}`;
+            enabled.checked = rule.enabled;
+            type.value = rule.type;
+            syntax.value = rule.syntax;
+            
+            // Operators have no pattern or matches, only parameters and a seed
+            const isReplace = rule.type === 'replace';
+            syntax.hidden = !isReplace;
+            row.querySelector('.replacement-controls').hidden = !isReplace;
+            row.querySelector('.rule-splice-row').hidden = !isReplace;
+            row.querySelector('.operator-controls').hidden = isReplace;
+            row.querySelectorAll('.match-limit').forEach(limit => { limit.hidden = !isReplace; });
+            if (!isReplace) this.renderOperatorParams(row, rule);
+            
+            // Targets from another format fall back to the whole stream
+            if (!targets.includes(rule.target)) rule.target = 'all';
+            targets.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = TARGET_LABELS[value] || value.toUpperCase();
+                target.appendChild(option);
+            });
+            target.value = rule.target;
+            row.querySelector('.rule-target-row').hidden = targets.length === 1;
+            
+            splice.checked = Boolean(rule.splice);
+            source.value = rule.sourceChars;
+            dest.value = rule.destChars;
+            // Text rules keep the original 3-character limit, hex patterns need room
+            source.maxLength = dest.maxLength = rule.syntax === 'text' ? 3 : 64;
+            source.placeholder = dest.placeholder = rule.syntax === 'text' ? 'max 3' : 'FF ?? [00-1F]';
+            row.querySelector('.rule-up').disabled = index === 0;
+            row.querySelector('.rule-down').disabled = index === this.rules.length - 1;
+            row.querySelector('.rule-remove').disabled = this.rules.length === 1;
+            
+            enabled.addEventListener('change', () => {
+                rule.enabled = enabled.checked;
+                this.updateReplacement();
+            });
+            type.addEventListener('change', () => this.changeRuleType(rule, type.value));
+            syntax.addEventListener('change', () => this.changeRuleSyntax(rule, syntax.value));
+            target.addEventListener('change', () => {
+                rule.target = target.value;
+                this.updateReplacement();
+            });
+            splice.addEventListener('change', () => {
+                rule.splice = splice.checked;
+                this.updateReplacement();
+            });
+            source.addEventListener('input', () => {
+                rule.sourceChars = source.value;
+                this.updateReplacement();
+            });
+            dest.addEventListener('input', () => {
+                rule.destChars = dest.value;
+                this.updateReplacement();
+            });
+            // Empty limit inputs mean "no limit"; the engine fills in its defaults
+            const limitInputs = row.querySelectorAll('[data-limit]');
+            limitInputs.forEach(input => {
+                const key = input.dataset.limit;
+                input.value = rule[key] ?? '';
+                input.addEventListener('change', () => {
+                    rule[key] = input.value === '' ? null : Number(input.value);
+                    this.updateReplacement();
+                });
+            });
+            row.querySelector('.rule-limits').open = Array.from(limitInputs).some(input => input.value !== '');
+            
+            row.querySelector('.rule-up').addEventListener('click', () => this.moveRule(index, index - 1));
+            row.querySelector('.rule-down').addEventListener('click', () => this.moveRule(index, index + 1));
+            row.querySelector('.rule-remove').addEventListener('click', () => this.removeRule(index));
+            
+            list.appendChild(row);
+        });
+        
+        this.updateReplacement();
+    }
+    
+    renderOperatorParams(row, rule) {
+        const params = row.querySelector('.operator-params');
+        const defaults = ByteOperators.defaults(rule.type);
+        
+        Object.keys(defaults).forEach(key => {
+            const limit = document.createElement('div');
+            limit.className = 'rule-limit';
+            const label = document.createElement('label');
+            label.className = 'input-label';
+            label.textContent = PARAM_LABELS[key];
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'option-input';
+            input.step = 'any';
+            input.placeholder = defaults[key] ?? 'ANY';
+            input.value = rule.params[key] ?? '';
+            // Cleared inputs fall back to the operator's default
+            input.addEventListener('change', () => {
+                if (input.value === '') {
+                    delete rule.params[key];
+                } else {
+                    rule.params[key] = Number(input.value);
+                }
+                this.updateReplacement();
+            });
+            limit.append(label, input);
+            params.appendChild(limit);
+        });
+        
+        const seed = row.querySelector('.rule-seed');
+        seed.value = rule.seed;
+        seed.addEventListener('change', () => {
+            rule.seed = Number(seed.value);
+            this.updateReplacement();
+        });
+    }
+    
+    addRule() {
+        this.rules.push({ type: 'replace', sourceChars: 'a', destChars: 'b', enabled: true, syntax: 'text', target: 'all' });
+        this.renderRules();
+        
+        // Analytics
+        this.trackEvent('rule', 'add', null, { rule_count: this.rules.length });
+    }
+    
+    removeRule(index) {
+        // Keep at least one rule so the list never renders empty
+        if (this.rules.length === 1) return;
+        
+        this.rules.splice(index, 1);
+        this.renderRules();
         
-        // Convert characters to UTF-8 byte arrays
-        const sourceBytes = this.stringToBytes(sourceChars);
-        const destBytes = this.stringToBytes(destChars);
+        // Analytics
+        this.trackEvent('rule', 'remove', null, { rule_count: this.rules.length });
+    }
+    
+    moveRule(fromIndex, toIndex) {
+        if (toIndex < 0 || toIndex >= this.rules.length) return;
+        
+        const [rule] = this.rules.splice(fromIndex, 1);
+        this.rules.splice(toIndex, 0, rule);
+        this.renderRules();
+    }
+    
+    changeRuleType(rule, type) {
+        // Each operator starts from its defaults; the seed is kept across operators
+        rule.type = type;
+        if (type !== 'replace') {
+            rule.params = ByteOperators.defaults(type);
+            rule.seed = rule.seed ?? 1;
+        }
+        this.renderRules();
         
+        // Analytics
+        this.trackEvent('rule', 'type', type);
+    }
+    
+    changeRuleSyntax(rule, syntax) {
+        if (syntax === 'hex') {
+            // Carry the characters over as their UTF-8 bytes
+            rule.sourceChars = this.bytesToHex(this.stringToBytes(rule.sourceChars || 'a'));
+            rule.destChars = this.bytesToHex(this.stringToBytes(rule.destChars || 'b'));
+        } else {
+            rule.sourceChars = 'a';
+            rule.destChars = 'b';
+        }
+        rule.syntax = syntax;
+        this.renderRules();
+    }
+    
+    updateReplacement() {
         // Update character hints
         this.updateCharHints();
         
-        // Update the glitch engine with new character strings
-        this.glitchEngine.setReplacementChars(sourceChars, destChars);
+        // Rules with pattern errors stay out of the chain until they are fixed
+        const rules = this.rules
+            .filter(rule => {
+                const result = this.validateRule(rule);
+                return !result.sourceError && !result.destError && !result.limitsError && !result.operatorError;
+            })
+            .map(rule => ({
+                type: rule.type,
+                // Empty inputs fall back to the defaults, same as the single-pair inputs did
+                sourceChars: rule.sourceChars || (rule.syntax === 'text' ? 'a' : ''),
+                // ...except a splice, where an empty dest deletes the match
+                destChars: rule.destChars || (rule.syntax === 'text' && !rule.splice ? 'b' : ''),
+                enabled: rule.enabled,
+                syntax: rule.syntax,
+                target: rule.target,
+                splice: Boolean(rule.splice),
+                seed: rule.seed,
+                params: rule.params,
+                ...this.getRuleLimits(rule)
+            }));
+        
+        // Update the glitch engine with the new chain
+        this.glitchEngine.setRules(rules);
+    }
+    
+    getRuleLimits(rule) {
+        // Only the limits that are set - unset ones take the engine's defaults
+        const limits = {};
+        for (const key of RULE_LIMITS) {
+            if (rule[key] !== null && rule[key] !== undefined) limits[key] = rule[key];
+        }
+        return limits;
+    }
+    
+    validateRuleLimits(rule) {
+        try {
+            this.glitchEngine.normalizeRuleLimits(this.getRuleLimits(rule));
+            return '';
+        } catch (error) {
+            return error.message;
+        }
+    }
+    
+    validateOperator(rule) {
+        try {
+            ByteOperators.normalize(rule.type, rule.params);
+            ByteOperators.normalizeSeed(rule.seed);
+            return '';
+        } catch (error) {
+            return error.message;
+        }
+    }
+    
+    validateRule(rule) {
+        // Parse both sides the same way the engine will and describe the result
+        const limitsHint = this.validateRuleLimits(rule);
+        if (rule.type && rule.type !== 'replace') {
+            const operatorHint = this.validateOperator(rule);
+            return {
+                sourceHint: '',
+                destHint: '',
+                limitsHint,
+                operatorHint,
+                sourceError: false,
+                destError: false,
+                limitsError: limitsHint !== '',
+                operatorError: operatorHint !== ''
+            };
+        }
+        if (rule.syntax === 'text') {
+            return {
+                sourceHint: this.formatByteHint(this.stringToBytes(rule.sourceChars || 'a')),
+                destHint: this.formatByteHint(this.stringToBytes(rule.destChars || (rule.splice ? '' : 'b'))),
+                limitsHint,
+                sourceError: false,
+                destError: false,
+                limitsError: limitsHint !== ''
+            };
+        }
+        
+        const result = { sourceHint: '', destHint: '', limitsHint, sourceError: false, destError: false, limitsError: limitsHint !== '' };
+        let captureCount = 9; // Don't report dest errors caused by a broken source
+        
+        try {
+            const matchers = BytePattern.parseSource(rule.sourceChars);
+            captureCount = BytePattern.countCaptures(matchers);
+            result.sourceHint = `${matchers.length} bytes: [${BytePattern.describeSource(matchers)}]`;
+        } catch (error) {
+            if (!(error instanceof PatternSyntaxError)) throw error;
+            result.sourceHint = `Error: ${error.message}`;
+            result.sourceError = true;
+        }
+        
+        try {
+            const tokens = BytePattern.parseDest(rule.destChars, captureCount);
+            result.destHint = `${tokens.length} bytes: [${BytePattern.describeDest(tokens)}]`;
+            if (tokens.length === 0 && !rule.splice) {
+                result.destHint = 'Error: Empty - turn SPLICE on to delete the match';
+                result.destError = true;
+            }
+        } catch (error) {
+            if (!(error instanceof PatternSyntaxError)) throw error;
+            result.destHint = `Error: ${error.message}`;
+            result.destError = true;
+        }
+        
+        return result;
     }
     
     stringToBytes(str) {
@@ -71,22 +541,36 @@ export class UIController {
     }
     
     updateCharHints() {
-        const sourceChars = this.elements.sourceChars.value || 'a';
-        const destChars = this.elements.destChars.value || 'b';
-        
-        const sourceHint = document.querySelector('#source-chars + .char-hint');
-        const destHint = document.querySelector('#dest-chars + .char-hint');
+        const rows = this.elements.ruleList.querySelectorAll('.rule-row');
         
-        if (sourceHint) {
-            const sourceBytes = this.stringToBytes(sourceChars);
-            const byteHex = Array.from(sourceBytes).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
-            sourceHint.textContent = `${sourceBytes.length} bytes: [${byteHex}]`;
-        }
-        if (destHint) {
-            const destBytes = this.stringToBytes(destChars);
-            const byteHex = Array.from(destBytes).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
-            destHint.textContent = `${destBytes.length} bytes: [${byteHex}]`;
-        }
+        rows.forEach((row, index) => {
+            const result = this.validateRule(this.rules[index]);
+            const [sourceHint, destHint] = row.querySelectorAll('.char-hint');
+            
+            sourceHint.textContent = result.sourceHint;
+            destHint.textContent = result.destHint;
+            sourceHint.classList.toggle('error', result.sourceError);
+            destHint.classList.toggle('error', result.destError);
+            
+            const limitsHint = row.querySelector('.rule-limits-hint');
+            limitsHint.textContent = result.limitsHint;
+            limitsHint.classList.toggle('error', result.limitsError);
+            row.querySelectorAll('[data-limit]').forEach(input => input.classList.toggle('invalid', result.limitsError));
+            
+            const operatorHint = row.querySelector('.operator-hint');
+            operatorHint.textContent = result.operatorHint || '';
+            operatorHint.classList.toggle('error', Boolean(result.operatorError));
+            row.querySelector('.rule-source').classList.toggle('invalid', result.sourceError);
+            row.querySelector('.rule-dest').classList.toggle('invalid', result.destError);
+        });
+    }
+    
+    formatByteHint(bytes) {
+        return `${bytes.length} bytes: [${this.bytesToHex(bytes)}]`;
+    }
+    
+    bytesToHex(bytes) {
+        return Array.from(bytes).map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
     }
     
     getASCIIDisplay(byteValue) {
@@ -150,10 +634,479 @@ export class UIController {
         this.trackEvent('glitch', isActive ? 'enable' : 'disable');
     }
     
+    showFormatOptions(mode) {
+        this.elements.formatOptions.forEach(section => {
+            section.hidden = section.dataset.format !== mode;
+        });
+    }
+    
+    updateJpegOptions() {
+        const quality = parseInt(this.elements.jpegQuality.value, 10);
+        const subsampling = this.elements.jpegSubsampling.value;
+        const progressive = this.elements.jpegProgressive.checked;
+        const fill = this.elements.jpegFill.value;
+        const restartInterval = Math.min(65535, Math.max(0, parseInt(this.elements.jpegRestart.value, 10) || 0));
+        this.elements.jpegQualityValue.textContent = quality;
+        
+        const luma = this.parseQuantTable(this.elements.jpegQuantLuma, this.elements.jpegQuantLumaHint);
+        const chroma = this.parseQuantTable(this.elements.jpegQuantChroma, this.elements.jpegQuantChromaHint);
+        if (luma === undefined || chroma === undefined) {
+            // Keep encoding with the last valid tables until the input is fixed
+            return;
+        }
+        const quantTables = luma || chroma ? { luma, chroma } : null;
+        this.glitchEngine.setJpegOptions({ quality, subsampling, progressive, restartInterval, quantTables, fill });
+        
+        // Analytics
+        this.trackEvent('jpeg_options', 'change', subsampling, {
+            quality,
+            progressive,
+            restart_interval: restartInterval,
+            fill,
+            custom_tables: quantTables !== null
+        });
+    }
+    
+    parseQuantTable(input, hint) {
+        // null = use the standard table, undefined = invalid input
+        const text = input.value.trim();
+        let table = null;
+        let error = '';
+        if (text) {
+            try {
+                table = JpegEncoder.validateQuantTable(text.split(/[\s,]+/).map(Number));
+            } catch (e) {
+                table = undefined;
+                error = e.message;
+            }
+        }
+        input.classList.toggle('invalid', table === undefined);
+        hint.classList.toggle('error', table === undefined);
+        hint.textContent = error || (table ? 'CUSTOM' : 'STANDARD x QUALITY');
+        return table;
+    }
+    
+    updateBmpOptions() {
+        const variant = this.elements.bmpVariant.value;
+        const topDown = this.elements.bmpTopDown.checked;
+        this.glitchEngine.setBmpOptions({ variant, topDown });
+        
+        // Analytics
+        this.trackEvent('bmp_options', 'change', variant, { top_down: topDown });
+    }
+    
+    updateTiffOptions() {
+        const compression = this.elements.tiffCompression.value;
+        const exposeIfd = this.elements.tiffExposeIfd.checked;
+        this.glitchEngine.setTiffOptions({ compression, exposeIfd });
+        
+        // Analytics
+        this.trackEvent('tiff_options', 'change', compression, { expose_ifd: exposeIfd });
+    }
+    
+    updateRawOptions() {
+        const layout = this.elements.rawLayout.value;
+        this.glitchEngine.setRawOptions({ layout });
+        
+        // Analytics
+        this.trackEvent('raw_options', 'change', layout);
+    }
+    
+    updateVideoOptions() {
+        const codec = this.elements.videoCodec.value;
+        const keyframes = this.elements.videoKeyframes.value;
+        const keyframeInterval = Math.max(1, parseInt(this.elements.videoKeyframeInterval.value, 10) || 1);
+        const repeat = Math.min(8, Math.max(1, parseInt(this.elements.videoRepeat.value, 10) || 1));
+        const keyframeRepeat = Math.min(8, Math.max(1, parseInt(this.elements.videoKeyframeRepeat.value, 10) || 1));
+        this.datamosh.setOptions({ codec, keyframes, keyframeInterval, repeat, keyframeRepeat });
+        this.saveSettings();
+        
+        // Analytics
+        this.trackEvent('video_options', 'change', codec, { keyframes, keyframe_interval: keyframeInterval, repeat, keyframe_repeat: keyframeRepeat });
+    }
+    
+    updateRawView() {
+        const renderer = this.elements.rawRenderer.value;
+        const rowWidth = Math.min(65535, Math.max(0, parseInt(this.elements.rawRowWidth.value, 10) || 0));
+        const offset = Math.max(0, parseInt(this.elements.rawOffset.value, 10) || 0);
+        const always = this.elements.rawAlways.checked;
+        this.glitchEngine.setRawView({ renderer, rowWidth, offset, always });
+        
+        // Analytics
+        this.trackEvent('raw_view', 'change', renderer, { row_width: rowWidth, offset, always });
+    }
+    
+    updateDecodeTimeout() {
+        // 0 or empty = wait for every decode, which keeps the output reproducible
+        const timeout = Math.max(0, parseInt(this.elements.decodeTimeout.value, 10) || 0);
+        this.glitchEngine.setDecodeTimeout(timeout || null);
+    }
+    
+    updateGenerations() {
+        const count = Math.min(16, Math.max(1, parseInt(this.elements.generationCount.value, 10) || 1));
+        const input = this.elements.generationFormats;
+        const hint = this.elements.generationFormatsHint;
+        const formats = input.value.toLowerCase().split(/[\s,→>]+/).filter(Boolean);
+        try {
+            this.glitchEngine.setGenerations({ count, formats });
+        } catch (error) {
+            // Keep the last valid sequence until the input is fixed
+            input.classList.add('invalid');
+            hint.classList.add('error');
+            hint.textContent = error.message;
+            return;
+        }
+        input.classList.remove('invalid');
+        hint.classList.remove('error');
+        if (formats.length > 0) {
+            hint.textContent = Array.from({ length: count }, (_, i) => formats[i % formats.length].toUpperCase()).join(' → ');
+        } else {
+            hint.textContent = count > 1 ? `${count} PASSES IN THE CORRUPTION MODE` : 'SINGLE PASS';
+        }
+        
+        // Analytics
+        this.trackEvent('generations', 'change', formats.join(' ') || 'mode', { count });
+    }
+    
+    updateTiles() {
+        const side = element => Math.min(8, Math.max(1, parseInt(element.value, 10) || 1));
+        const columns = side(this.elements.tileColumns);
+        const rows = side(this.elements.tileRows);
+        const input = this.elements.tileFormats;
+        const hint = this.elements.tileHint;
+        const formats = input.value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+        const rules = this.elements.tileRules.value;
+        const varySeeds = this.elements.tileVarySeeds.checked;
+        try {
+            this.glitchEngine.setTiles({ columns, rows, formats, rules, varySeeds });
+        } catch (error) {
+            // Keep the last valid grid until the input is fixed
+            input.classList.add('invalid');
+            hint.classList.add('error');
+            hint.textContent = error.message;
+            return;
+        }
+        input.classList.remove('invalid');
+        hint.classList.remove('error');
+        if (columns * rows === 1) {
+            hint.textContent = 'WHOLE FRAME';
+        } else {
+            const format = formats.length > 0 ? formats.map(name => name.toUpperCase()).join(' / ') : 'CORRUPTION MODE';
+            hint.textContent = `${columns}x${rows} TILES · ${format}`;
+        }
+        
+        // Analytics
+        this.trackEvent('tiles', 'change', `${columns}x${rows}`, { formats: formats.join(' '), rules, vary_seeds: varySeeds });
+    }
+    
     toggleHeaderProtection() {
         const isProtected = this.elements.headerProtection.checked;
         this.glitchEngine.setHeaderProtection(isProtected);
-        console.log(`Header protection: ${isProtected ? 'ON' : 'OFF'}`);
+        this.saveSettings();
+    }
+    
+    toggleSpliceFixups() {
+        const enabled = this.elements.spliceFixups.checked;
+        this.glitchEngine.setSpliceFixups(enabled);
+        this.saveSettings();
+    }
+    
+    toggleDiagnostics() {
+        this.elements.diagnosticsOverlay.hidden = !this.elements.diagnosticsToggle.checked;
+        this.saveSettings();
+    }
+    
+    updateFrameRate() {
+        // The slider's range is the only limit on the target
+        const fps = Math.min(parseInt(this.elements.targetFps.max, 10), Math.max(1, parseInt(this.elements.targetFps.value, 10) || 1));
+        this.elements.targetFpsValue.textContent = fps;
+        this.scheduler.setTargetFps(fps);
+        this.scheduler.setAdaptive(this.elements.adaptiveResolution.checked);
+        this.saveSettings();
+    }
+    
+    updateFeedback() {
+        const mode = this.elements.feedbackMode.value;
+        const percent = Math.min(100, Math.max(5, parseInt(this.elements.feedbackDecay.value, 10) || 100));
+        this.elements.feedbackDecayValue.textContent = `${percent}%`;
+        this.feedback.setMode(mode);
+        this.feedback.setDecay(percent / 100);
+        this.saveSettings();
+    }
+    
+    updateMaskTool() {
+        const editing = this.elements.maskTool.value !== 'none';
+        this.regionMask.editing = editing;
+        this.elements.canvas.classList.toggle('mask-editing', editing);
+    }
+    
+    updateMaskBrush() {
+        this.elements.maskBrushValue.textContent = `${this.elements.maskBrush.value}%`;
+    }
+    
+    updateMaskFeather() {
+        const percent = Math.min(25, Math.max(0, parseInt(this.elements.maskFeather.value, 10) || 0));
+        this.elements.maskFeatherValue.textContent = `${percent}%`;
+        this.regionMask.setFeather(percent / 100);
+        this.saveSettings();
+    }
+    
+    changeMask(change) {
+        change();
+        this.updateMaskHint();
+        this.saveSettings();
+    }
+    
+    updateMaskHint() {
+        const { shapes, image } = this.regionMask;
+        const hint = this.elements.maskHint;
+        hint.classList.remove('error');
+        if (!this.regionMask.active) {
+            hint.textContent = 'WHOLE FRAME';
+            return;
+        }
+        const parts = shapes.length > 0 ? [`${shapes.length} SHAPE${shapes.length === 1 ? '' : 'S'}`] : [];
+        if (image) parts.push('IMAGE');
+        hint.textContent = parts.join(' + ');
+    }
+    
+    canvasPoint(event) {
+        // Relative to the displayed canvas, which keeps the frame's aspect ratio
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const clamp = value => Math.min(1, Math.max(0, value));
+        return [clamp((event.clientX - rect.left) / rect.width), clamp((event.clientY - rect.top) / rect.height)];
+    }
+    
+    maskDragShape() {
+        const { tool, points } = this.maskDrag;
+        if (tool === 'rect') {
+            return RegionMask.rectFromCorners(points[0], points[points.length - 1]);
+        }
+        return { type: 'stroke', points, radius: parseInt(this.elements.maskBrush.value, 10) / 100 };
+    }
+    
+    startMaskShape(event) {
+        const tool = this.elements.maskTool.value;
+        if (tool === 'none') return;
+        this.elements.canvas.setPointerCapture(event.pointerId);
+        this.maskDrag = { tool, points: [this.canvasPoint(event)] };
+        this.regionMask.addShape(this.maskDragShape());
+    }
+    
+    moveMaskShape(event) {
+        // The shape is replaced as it grows, so the preview follows the pointer
+        if (!this.maskDrag) return;
+        const point = this.canvasPoint(event);
+        if (this.maskDrag.tool === 'rect') {
+            this.maskDrag.points[1] = point;
+        } else {
+            this.maskDrag.points.push(point);
+        }
+        this.regionMask.replaceLastShape(this.maskDragShape());
+    }
+    
+    endMaskShape() {
+        if (!this.maskDrag) return;
+        this.maskDrag = null;
+        this.updateMaskHint();
+        this.saveSettings();
+        
+        // Analytics
+        this.trackEvent('region_mask', 'draw', this.elements.maskTool.value, { shapes: this.regionMask.shapes.length });
+    }
+    
+    async loadMaskImage() {
+        const input = this.elements.maskImage;
+        const file = input.files[0];
+        if (!file) return;
+        try {
+            // Scaled down before it is read - the mask is stored with the settings
+            const bitmap = await createImageBitmap(file);
+            const { width, height } = RegionMask.imageSize(bitmap.width, bitmap.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(bitmap, 0, 0, width, height);
+            bitmap.close();
+            this.changeMask(() => this.regionMask.setImage(RegionMask.imageFromPixels(ctx.getImageData(0, 0, width, height))));
+        } catch (error) {
+            this.elements.maskHint.classList.add('error');
+            this.elements.maskHint.textContent = `MASK IMAGE NOT LOADED: ${error.message}`;
+        }
+        // The same file can be picked again after an edit
+        input.value = '';
+    }
+    
+    showFrameStats(stats) {
+        this.elements.frameStats.textContent = this.formatFrameStats(stats);
+    }
+    
+    formatFrameStats({ fps, latency, scale, skipped }) {
+        const parts = [`${fps.toFixed(1)} FPS`, latency === null ? '-- ms' : `${Math.round(latency)} ms`];
+        if (scale < 1) parts.push(`${Math.round(scale * 100)}% RES`);
+        if (skipped > 0) parts.push(`${skipped} SKIPPED`);
+        return parts.join(' · ');
+    }
+    
+    showReport(report) {
+        // Called with every frame report; only drawn while the overlay is on
+        if (this.elements.diagnosticsOverlay.hidden) return;
+        this.elements.diagnosticsOverlay.textContent = this.formatReport(report).join('\n');
+    }
+    
+    formatReport(report) {
+        const ms = value => Math.round(value);
+        const rules = report.rules.map((rule, i) => `R${i + 1} ${!rule.enabled ? 'OFF' : rule.skipped ? 'SKIPPED' : rule.matches}`).join(' · ');
+        const offsets = report.changedOffsets.slice(0, 6).join(' ');
+        const moreOffsets = report.changedBytes > 6 ? ` +${report.changedBytes - 6}` : '';
+        
+        let decode = `DECODE ${(report.decoder || 'none').toUpperCase()}`;
+        if (report.decodeError) decode += `: ${report.decodeError}`;
+        if (report.jpegErrors) decode += ` · ${report.jpegErrors} BROKEN · ${report.missingUnits} MCUs FILLED`;
+        
+        const { generations, tiles } = report;
+        return [
+            `${report.format.toUpperCase()} ${report.width}x${report.height} · GLITCH ${report.active ? 'ON' : 'OFF'}`,
+            ...(generations.length > 1 ? [`GEN ${generations.length} ${generations.map(generation => generation.format.toUpperCase()).join('→')}`] : []),
+            ...(tiles.length > 0 ? [this.formatTiles(tiles)] : []),
+            `SIZE ${report.encodedSize} → ${report.corruptedSize} B`,
+            `MATCHES ${report.matches} (${rules})`,
+            report.changedBytes > 0 ? `CHANGED ${report.changedBytes} B @ ${offsets}${moreOffsets}` : 'CHANGED 0 B',
+            decode,
+            `TIME ENC ${ms(report.timings.encode)} · CORRUPT ${ms(report.timings.corrupt)} · DEC ${ms(report.timings.decode)} · TOTAL ${ms(report.timings.total)} ms`
+        ];
+    }
+    
+    formatTiles(tiles) {
+        const columns = Math.max(...tiles.map(tile => tile.column)) + 1;
+        const rows = Math.max(...tiles.map(tile => tile.row)) + 1;
+        const formats = [...new Set(tiles.map(tile => tile.format.toUpperCase()))].join('/');
+        const failed = tiles.filter(tile => tile.error).length;
+        return `TILES ${columns}x${rows} ${formats}${failed > 0 ? ` · ${failed} FAILED` : ''}`;
+    }
+    
+    showProtectionProfile(mode) {
+        const input = this.elements.protectionProfile;
+        input.value = ProtectionProfile.stringify(this.glitchEngine.protectionProfiles[mode]);
+        input.classList.remove('invalid');
+        this.elements.protectionProfileLabel.textContent = `PROTECTED RANGES (${mode.toUpperCase()})`;
+        this.elements.protectionProfileHint.classList.remove('error');
+        this.elements.protectionProfileHint.textContent = `STRUCTURES: ${ProtectionProfile.structures(mode).join(' ') || 'NONE'}`;
+    }
+    
+    updateProtectionProfile() {
+        const mode = this.glitchEngine.corruptionMode;
+        const input = this.elements.protectionProfile;
+        const hint = this.elements.protectionProfileHint;
+        let entries;
+        try {
+            entries = ProtectionProfile.parse(input.value, mode);
+            this.glitchEngine.setProtectionProfile(mode, entries);
+        } catch (error) {
+            // Keep protecting with the last valid profile until the input is fixed
+            input.classList.add('invalid');
+            hint.classList.add('error');
+            hint.textContent = error.message;
+            return;
+        }
+        this.showProtectionProfile(mode);
+        this.saveSettings();
+        
+        // Analytics
+        this.trackEvent('protection_profile', 'change', mode, { ranges: entries.length });
+    }
+    
+    resetProtectionProfile() {
+        const mode = this.glitchEngine.corruptionMode;
+        this.glitchEngine.resetProtectionProfile(mode);
+        this.showProtectionProfile(mode);
+        this.saveSettings();
+        
+        // Analytics
+        this.trackEvent('protection_profile', 'reset', mode);
+    }
+    
+    loadSettings() {
+        // Anything missing or unreadable keeps its default
+        let settings;
+        try {
+            settings = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.warn(`Saved settings ignored: ${error.message}`);
+            return;
+        }
+        
+        if (typeof settings.headerProtection === 'boolean') {
+            this.elements.headerProtection.checked = settings.headerProtection;
+        }
+        if (typeof settings.diagnostics === 'boolean') {
+            this.elements.diagnosticsToggle.checked = settings.diagnostics;
+        }
+        if (typeof settings.spliceFixups === 'boolean') {
+            this.elements.spliceFixups.checked = settings.spliceFixups;
+        }
+        if (Number.isInteger(settings.targetFps)) {
+            this.elements.targetFps.value = settings.targetFps;
+        }
+        if (typeof settings.adaptiveResolution === 'boolean') {
+            this.elements.adaptiveResolution.checked = settings.adaptiveResolution;
+        }
+        if (FrameFeedback.MODES.includes(settings.feedbackMode)) {
+            this.elements.feedbackMode.value = settings.feedbackMode;
+        }
+        if (Number.isInteger(settings.feedbackDecay)) {
+            this.elements.feedbackDecay.value = settings.feedbackDecay;
+        }
+        if (settings.video) {
+            const { codec, keyframes, keyframeInterval, repeat, keyframeRepeat } = settings.video;
+            if (Datamosh.CODECS.includes(codec)) this.elements.videoCodec.value = codec;
+            if (Datamosh.KEYFRAME_MODES.includes(keyframes)) this.elements.videoKeyframes.value = keyframes;
+            if (Number.isInteger(keyframeInterval)) this.elements.videoKeyframeInterval.value = keyframeInterval;
+            if (Number.isInteger(repeat)) this.elements.videoRepeat.value = repeat;
+            if (Number.isInteger(keyframeRepeat)) this.elements.videoKeyframeRepeat.value = keyframeRepeat;
+        }
+        if (settings.regionMask) {
+            try {
+                this.regionMask.restore(settings.regionMask);
+            } catch (error) {
+                console.warn(`Saved region mask ignored: ${error.message}`);
+            }
+            this.updateMaskHint();
+        }
+        for (const [format, entries] of Object.entries(settings.protectionProfiles || {})) {
+            try {
+                this.glitchEngine.setProtectionProfile(format, entries);
+            } catch (error) {
+                console.warn(`Saved ${format} protection profile ignored: ${error.message}`);
+            }
+        }
+    }
+    
+    saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+                headerProtection: this.elements.headerProtection.checked,
+                spliceFixups: this.elements.spliceFixups.checked,
+                diagnostics: this.elements.diagnosticsToggle.checked,
+                targetFps: parseInt(this.elements.targetFps.value, 10),
+                adaptiveResolution: this.elements.adaptiveResolution.checked,
+                feedbackMode: this.elements.feedbackMode.value,
+                feedbackDecay: parseInt(this.elements.feedbackDecay.value, 10),
+                video: {
+                    codec: this.datamosh.codec,
+                    keyframes: this.datamosh.keyframes,
+                    keyframeInterval: this.datamosh.keyframeInterval,
+                    repeat: this.datamosh.repeat,
+                    keyframeRepeat: this.datamosh.keyframeRepeat
+                },
+                regionMask: this.regionMask.toJSON(),
+                protectionProfiles: this.glitchEngine.protectionProfiles
+            }));
+        } catch (error) {
+            // Storage can be unavailable (private browsing, full quota) - settings just won't persist
+            console.warn(`Settings not saved: ${error.message}`);
+        }
     }
     
     saveImage() {
@@ -162,8 +1115,7 @@ export class UIController {
             return;
         }
         
-        const sourceChars = this.elements.sourceChars.value || 'a';
-        const destChars = this.elements.destChars.value || 'b';
+        const activeRules = this.rules.filter(rule => rule.enabled);
         const mode = document.querySelector('.btn-mode.active')?.dataset.mode || 'jpeg';
         
         this.elements.canvas.toBlob((blob) => {
@@ -176,8 +1128,9 @@ export class UIController {
             
             // Analytics
             this.trackEvent('image', 'save', mode, {
-                source_chars: sourceChars,
-                dest_chars: destChars,
+                source_chars: activeRules.map(rule => rule.sourceChars || 'a').join(','),
+                dest_chars: activeRules.map(rule => rule.destChars || 'b').join(','),
+                rule_count: activeRules.length,
                 corruption_mode: mode
             });
         });
@@ -0,0 +1,125 @@
+// WebP RIFF container reader/writer
+//
+// Finds the RIFF header and the VP8X, ALPH, VP8 and VP8L chunks so rules can
+// be confined to the compressed bitstream of one chunk. Bitstreams are
+// written back through replaceBitstream(), which recomputes the chunk size,
+// the even-length padding and the RIFF size; rebuild() does the same for
+// every chunk after a splice.
+
+// Rule target -> chunk FourCC
+const TARGET_CHUNKS = { vp8: 'VP8 ', vp8l: 'VP8L', alph: 'ALPH' };
+
+export class WebpStream {
+    static parse(bytes) {
+        if (WebpStream.readFourCC(bytes, 0) !== 'RIFF' || WebpStream.readFourCC(bytes, 8) !== 'WEBP') {
+            throw new Error('Not a WebP stream: missing RIFF/WEBP header');
+        }
+
+        const riffSize = WebpStream.readUint32(bytes, 4);
+        const end = Math.min(riffSize + 8, bytes.length);
+        const chunks = [];
+        let offset = 12;
+
+        while (offset + 8 <= end) {
+            const fourcc = WebpStream.readFourCC(bytes, offset);
+            const length = WebpStream.readUint32(bytes, offset + 4);
+            const dataStart = offset + 8;
+            const dataEnd = dataStart + length;
+            if (dataEnd > bytes.length) {
+                throw new Error(`Truncated WebP chunk: ${fourcc.trim()}`);
+            }
+            chunks.push({
+                fourcc,
+                offset,
+                length,
+                dataStart,
+                dataEnd,
+                bitstreamStart: dataStart + WebpStream.codecHeaderLength(bytes, fourcc, dataStart, length)
+            });
+            // Chunks are padded to an even length
+            offset = dataEnd + (length & 1);
+        }
+
+        return { riffSize, chunks };
+    }
+
+    static codecHeaderLength(bytes, fourcc, dataStart, length) {
+        // Bytes at the start of the payload that describe the bitstream rather than hold it
+        let headerLength;
+        switch (fourcc) {
+            case 'VP8 ':
+                // 3-byte frame tag, plus start code and dimensions on key frames
+                headerLength = (bytes[dataStart] & 1) === 0 ? 10 : 3;
+                break;
+            case 'VP8L':
+                headerLength = 5; // signature byte + packed 14-bit dimensions, alpha and version
+                break;
+            case 'ALPH':
+                headerLength = 1; // preprocessing, filtering and compression flags
+                break;
+            default:
+                headerLength = length; // VP8X, ICCP, EXIF... carry no bitstream
+        }
+        return Math.min(headerLength, length);
+    }
+
+    static findChunk(parsed, target) {
+        const fourcc = TARGET_CHUNKS[target];
+        if (!fourcc) {
+            throw new Error(`Unknown WebP target: ${target}`);
+        }
+        return parsed.chunks.find(chunk => chunk.fourcc === fourcc) || null;
+    }
+
+    static replaceBitstream(bytes, chunk, bitstream) {
+        // Rebuild the file around a bitstream that may have a different length
+        const headerLength = chunk.bitstreamStart - chunk.dataStart;
+        const length = headerLength + bitstream.length;
+        const padding = length & 1;
+        const oldNext = chunk.dataEnd + (chunk.length & 1);
+        const tail = bytes.subarray(Math.min(oldNext, bytes.length));
+
+        const output = new Uint8Array(chunk.dataStart + length + padding + tail.length);
+        output.set(bytes.subarray(0, chunk.bitstreamStart), 0);
+        output.set(bitstream, chunk.bitstreamStart);
+        output.set(tail, chunk.dataStart + length + padding);
+
+        WebpStream.writeUint32(output, chunk.offset + 4, length);
+        WebpStream.writeUint32(output, 4, output.length - 8);
+        return output;
+    }
+
+    static rebuild(bytes, chunks) {
+        // Write a fresh container from chunk payloads found at new positions, e.g. after a splice
+        const payloads = chunks.map(chunk => bytes.subarray(chunk.dataStart, Math.max(chunk.dataEnd, chunk.dataStart)));
+        const length = payloads.reduce((total, payload) => total + 8 + payload.length + (payload.length & 1), 12);
+        const output = new Uint8Array(length);
+        output.set(bytes.subarray(0, 12));
+        WebpStream.writeUint32(output, 4, length - 8);
+
+        let offset = 12;
+        chunks.forEach((chunk, i) => {
+            for (let j = 0; j < 4; j++) output[offset + j] = chunk.fourcc.charCodeAt(j);
+            WebpStream.writeUint32(output, offset + 4, payloads[i].length);
+            output.set(payloads[i], offset + 8);
+            offset += 8 + payloads[i].length + (payloads[i].length & 1);
+        });
+        return output;
+    }
+
+    static readFourCC(bytes, offset) {
+        return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    }
+
+    static readUint32(bytes, offset) {
+        // RIFF is little-endian
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    static writeUint32(bytes, offset, value) {
+        bytes[offset] = value & 0xFF;
+        bytes[offset + 1] = (value >>> 8) & 0xFF;
+        bytes[offset + 2] = (value >>> 16) & 0xFF;
+        bytes[offset + 3] = (value >>> 24) & 0xFF;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,138 @@
+import { BmpCodec } from '../js/bmp-codec.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// 6x3 test image: left half red, right half blue, bottom row white
+function createTestImage() {
+    const imageData = new ImageData(6, 3);
+    for (let y = 0; y < 3; y++) {
+        for (let x = 0; x < 6; x++) {
+            const i = (y * 6 + x) * 4;
+            const color = y === 2 ? [255, 255, 255] : (x < 3 ? [255, 0, 0] : [0, 0, 255]);
+            imageData.data.set([...color, 255], i);
+        }
+    }
+    return imageData;
+}
+
+function pixelAt(imageData, x, y) {
+    const i = (y * imageData.width + x) * 4;
+    return Array.from(imageData.data.slice(i, i + 4)).join(',');
+}
+
+runner.suite('BmpCodec Encoding', ({ test }) => {
+    test('should write a BITMAPFILEHEADER and BITMAPINFOHEADER', () => {
+        const bytes = BmpCodec.encode(createTestImage(), { variant: '24' });
+        const view = new DataView(bytes.buffer);
+        assertEqual(String.fromCharCode(bytes[0], bytes[1]), 'BM');
+        assertEqual(view.getUint32(2, true), bytes.length);
+        assertEqual(view.getUint32(10, true), 54);
+        assertEqual(view.getInt32(18, true), 6);
+        assertEqual(view.getInt32(22, true), 3);
+        assertEqual(view.getUint16(28, true), 24);
+    });
+
+    test('should pad rows to four bytes', () => {
+        // 6 pixels * 3 bytes = 18, padded to 20
+        assertEqual(BmpCodec.rowStride(6, 24), 20);
+        const bytes = BmpCodec.encode(createTestImage(), { variant: '24' });
+        assertEqual(bytes.length, 54 + 20 * 3);
+    });
+
+    test('should store a negative height for top-down rows', () => {
+        const bytes = BmpCodec.encode(createTestImage(), { variant: '32', topDown: true });
+        const view = new DataView(bytes.buffer);
+        assertEqual(view.getInt32(22, true), -3);
+        // First stored row is the top row: red pixel in BGRX order
+        assertEqual(Array.from(bytes.slice(54, 58)).join(','), '0,0,255,0');
+    });
+
+    test('should write a 256 color palette for 8-bit variants', () => {
+        const bytes = BmpCodec.encode(createTestImage(), { variant: '8' });
+        const view = new DataView(bytes.buffer);
+        assertEqual(view.getUint32(10, true), 54 + 1024);
+        assertEqual(view.getUint32(46, true), 256);
+    });
+
+    test('should compress repeated indices with RLE8', () => {
+        const rle = BmpCodec.encode(new ImageData(64, 4), { variant: 'rle8' });
+        const raw = BmpCodec.encode(new ImageData(64, 4), { variant: '8' });
+        const view = new DataView(rle.buffer);
+        assertEqual(view.getUint32(30, true), 1, 'Compression should be BI_RLE8');
+        assert(rle.length < raw.length, 'RLE8 should be smaller for flat images');
+    });
+
+    test('should reject unknown variants', () => {
+        assertThrows(() => BmpCodec.encode(createTestImage(), { variant: '16' }), 'Unknown BMP variant');
+    });
+});
+
+runner.suite('BmpCodec Decoding', ({ test }) => {
+    test('should round-trip every variant and row order', () => {
+        const image = createTestImage();
+        for (const variant of BmpCodec.VARIANTS) {
+            for (const topDown of [false, true]) {
+                const decoded = BmpCodec.decode(BmpCodec.encode(image, { variant, topDown }));
+                assertEqual(decoded.width, 6);
+                assertEqual(decoded.height, 3);
+                // Red, blue and white are exact in the 3-3-2 palette too
+                assertEqual(pixelAt(decoded, 0, 0), '255,0,0,255', `${variant} ${topDown} top-left`);
+                assertEqual(pixelAt(decoded, 5, 1), '0,0,255,255', `${variant} ${topDown} right`);
+                assertEqual(pixelAt(decoded, 2, 2), '255,255,255,255', `${variant} ${topDown} bottom`);
+            }
+        }
+    });
+
+    test('should round-trip RLE8 literal runs', () => {
+        const image = new ImageData(7, 1);
+        const colors = [[255, 0, 0], [0, 0, 255], [255, 255, 255], [0, 0, 0], [255, 0, 0], [255, 0, 0], [0, 0, 255]];
+        colors.forEach((color, x) => image.data.set([...color, 255], x * 4));
+        const decoded = BmpCodec.decode(BmpCodec.encode(image, { variant: 'rle8' }));
+        colors.forEach((color, x) => assertEqual(pixelAt(decoded, x, 0), [...color, 255].join(','), `pixel ${x}`));
+    });
+
+    test('should leave black pixels where data is truncated', () => {
+        const bytes = BmpCodec.encode(createTestImage(), { variant: '24', topDown: true });
+        const decoded = BmpCodec.decode(bytes.slice(0, 54 + 20));
+        assertEqual(pixelAt(decoded, 0, 0), '255,0,0,255');
+        assertEqual(pixelAt(decoded, 0, 2), '0,0,0,255');
+    });
+
+    test('should survive corrupted RLE8 runs', () => {
+        const bytes = BmpCodec.encode(createTestImage(), { variant: 'rle8' });
+        for (let i = 54 + 1024; i < bytes.length; i++) bytes[i] = 0xFF;
+        const decoded = BmpCodec.decode(bytes);
+        assertEqual(decoded.width, 6);
+    });
+
+    test('should reject broken headers', () => {
+        assertThrows(() => BmpCodec.decode(new Uint8Array(10)), 'missing BM header');
+
+        const bytes = BmpCodec.encode(createTestImage(), { variant: '24' });
+        new DataView(bytes.buffer).setInt32(18, 100000, true);
+        new DataView(bytes.buffer).setInt32(22, 100000, true);
+        assertThrows(() => BmpCodec.decode(bytes), 'Invalid BMP dimensions');
+    });
+});
+
+runner.suite('BmpCodec Length Fix-ups', ({ test }) => {
+    test('should rewrite file size, data offset and image size', () => {
+        const bytes = BmpCodec.encode(createTestImage(), { variant: '24' });
+        const grown = new Uint8Array(bytes.length + 3);
+        grown.set(bytes);
+        BmpCodec.fixLengths(grown, 57);
+        const view = new DataView(grown.buffer);
+        assertEqual(view.getUint32(2, true), grown.length);
+        assertEqual(BmpCodec.readDataOffset(grown), 57);
+        assertEqual(view.getUint32(34, true), grown.length - 57);
+    });
+
+    test('should leave streams without complete headers alone', () => {
+        const bytes = new Uint8Array(20);
+        assertEqual(BmpCodec.isComplete(bytes), false);
+        assertEqual(BmpCodec.fixLengths(bytes, 10).join(','), new Uint8Array(20).join(','));
+    });
+});
\ No newline at end of file
@@ -0,0 +1,243 @@
+import { Datamosh } from '../js/datamosh.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// Stand-ins for WebCodecs: every chunk is 32 bytes of 'a', decoded frames carry the chunk bytes
+function installFakeCodecs() {
+    const names = ['VideoEncoder', 'VideoDecoder', 'VideoFrame', 'EncodedVideoChunk'];
+    const saved = names.map(name => globalThis[name]);
+    const codecs = { encoders: [], decoders: [], failNextDecode: false };
+
+    globalThis.VideoFrame = class {
+        constructor(source, init) {
+            this.source = source;
+            this.timestamp = init.timestamp;
+        }
+        close() {}
+    };
+    globalThis.EncodedVideoChunk = class {
+        constructor({ type, timestamp, data }) {
+            Object.assign(this, { type, timestamp, data, byteLength: data.length });
+        }
+        copyTo(destination) {
+            destination.set(this.data);
+        }
+    };
+    globalThis.VideoEncoder = class {
+        static async isConfigSupported(config) {
+            return { supported: config.codec === 'vp8' || config.codec.startsWith('av01'), config };
+        }
+        constructor({ output }) {
+            this.output = output;
+            this.state = 'unconfigured';
+            this.keyFrames = [];
+            codecs.encoders.push(this);
+        }
+        configure(config) {
+            this.config = config;
+            this.state = 'configured';
+        }
+        encode(frame, { keyFrame }) {
+            this.keyFrames.push(keyFrame);
+            const type = keyFrame ? 'key' : 'delta';
+            this.output(new EncodedVideoChunk({ type, timestamp: frame.timestamp, data: new Uint8Array(32).fill(0x61) }));
+        }
+        flush() {
+            return Promise.resolve();
+        }
+        close() {
+            this.state = 'closed';
+        }
+    };
+    globalThis.VideoDecoder = class {
+        constructor({ output, error }) {
+            Object.assign(this, { output, error, chunks: [], closed: [], state: 'unconfigured' });
+            codecs.decoders.push(this);
+        }
+        configure(config) {
+            this.config = config;
+            this.state = 'configured';
+        }
+        decode(chunk) {
+            this.chunks.push(chunk);
+            if (codecs.failNextDecode) {
+                codecs.failNextDecode = false;
+                this.state = 'closed';
+                queueMicrotask(() => this.error(new Error('Decoding error')));
+                return;
+            }
+            const frame = { timestamp: chunk.timestamp, data: chunk.data, close: () => this.closed.push(chunk.timestamp) };
+            queueMicrotask(() => this.output(frame));
+        }
+        close() {
+            this.state = 'closed';
+        }
+    };
+
+    codecs.restore = () => names.forEach((name, i) => { globalThis[name] = saved[i]; });
+    return codecs;
+}
+
+// Runs fn with the fake codecs in place, restoring the real ones afterwards
+async function withFakeCodecs(fn) {
+    const codecs = installFakeCodecs();
+    try {
+        await fn(codecs);
+    } finally {
+        codecs.restore();
+    }
+}
+
+function createEngine() {
+    const engine = new GlitchEngine({ getContext: () => ({}) });
+    engine.setCorruptionMode('video');
+    engine.setActive(true);
+    engine.setRules([{ sourceChars: 'a', destChars: 'b' }]);
+    // The decoded picture is the chunk's last byte everywhere
+    engine.readBitmap = (frame, width, height) => {
+        const imageData = new ImageData(width, height);
+        imageData.data.fill(frame.data[frame.data.length - 1]);
+        return imageData;
+    };
+    return engine;
+}
+
+const createFrame = (width = 4, height = 4) => new ImageData(width, height);
+
+runner.suite('Datamosh Options', ({ test }) => {
+    test('should validate codec, key frame mode, repeat and interval', () => {
+        const datamosh = new Datamosh(createEngine());
+        assertThrows(() => datamosh.setOptions({ codec: 'h264' }), 'Unknown video codec: h264');
+        assertThrows(() => datamosh.setOptions({ keyframes: 'repeat' }), 'Unknown key frame mode: repeat');
+        assertThrows(() => datamosh.setOptions({ repeat: 9 }), 'Repeat must be an integer from 1 to 8');
+        assertThrows(() => datamosh.setOptions({ keyframeRepeat: 0 }), 'Key frame repeat must be an integer from 1 to 8');
+        assertThrows(() => datamosh.setOptions({ keyframeInterval: 0 }), 'Key frame interval must be a positive integer');
+        assertEqual(datamosh.codec, 'vp8');
+        assertEqual(datamosh.keyframes, 'drop');
+    });
+
+    test('should refuse to run image modes through applyEffect', async () => {
+        try {
+            await createEngine().applyEffect(createFrame());
+            throw new Error('Should have thrown error');
+        } catch (error) {
+            assert(error.message.includes('Video mode frames go through Datamosh'), error.message);
+        }
+    });
+});
+
+runner.suite('Datamosh Chunks', ({ test }) => {
+    test('should start from a key frame and corrupt it outside the protected header', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine());
+        const { imageData, report } = await datamosh.processFrame(createFrame());
+        assertEqual(codecs.encoders[0].keyFrames[0], true);
+        assertEqual(codecs.encoders[0].config.hardwareAcceleration, 'prefer-software');
+        assertEqual(report.chunks[0].type, 'key');
+        assertEqual(report.decoder, 'webcodecs');
+        assertEqual(report.changedBytes, 22, 'The first 10 bytes are protected');
+        const decoded = codecs.decoders[0].chunks[0].data;
+        assertEqual(decoded[9], 0x61);
+        assertEqual(decoded[10], 0x62);
+        assertEqual(imageData.data[0], 0x62);
+    }));
+
+    test('should pass the bytes through while the glitch is off', () => withFakeCodecs(async (codecs) => {
+        const engine = createEngine();
+        engine.setActive(false);
+        const { report } = await new Datamosh(engine).processFrame(createFrame());
+        assertEqual(report.changedBytes, 0);
+        assertEqual(codecs.decoders[0].chunks[0].data[20], 0x61);
+    }));
+
+    test('should drop later key frames and keep decoding delta frames', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine(), { keyframeInterval: 2 });
+        await datamosh.processFrame(createFrame());
+        await datamosh.processFrame(createFrame());
+        const dropped = await datamosh.processFrame(createFrame());
+        assertEqual(dropped.imageData, null, 'Nothing is drawn for a dropped key frame');
+        assertEqual(dropped.report.chunks[0].dropped, true);
+        const next = await datamosh.processFrame(createFrame());
+        assert(next.imageData !== null, 'The following delta frame still decodes');
+        assertEqual(codecs.decoders[0].chunks.map(chunk => chunk.type).join(','), 'key,delta,delta');
+    }));
+
+    test('should keep key frames when asked to', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine(), { keyframes: 'keep', keyframeInterval: 2 });
+        for (let n = 0; n < 3; n++) await datamosh.processFrame(createFrame());
+        assertEqual(codecs.decoders[0].chunks.map(chunk => chunk.type).join(','), 'key,delta,key');
+    }));
+
+    test('should let a requested key frame through', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine());
+        await datamosh.processFrame(createFrame());
+        datamosh.requestKeyframe();
+        const { report } = await datamosh.processFrame(createFrame());
+        assertEqual(codecs.encoders[0].keyFrames.join(','), 'true,true');
+        assertEqual(report.chunks[0].dropped, false);
+    }));
+
+    test('should decode delta frames repeatedly and show the last result', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine(), { repeat: 3 });
+        await datamosh.processFrame(createFrame());
+        await datamosh.processFrame(createFrame());
+        const decoder = codecs.decoders[0];
+        assertEqual(decoder.chunks.length, 4, 'One key frame and three repeats');
+        assertEqual(decoder.closed.join(','), '0,1,2,3', 'Earlier repeats are released too');
+    }));
+
+    test('should decode key frames repeatedly', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine(), { keyframes: 'keep', keyframeInterval: 2, keyframeRepeat: 2 });
+        for (let n = 0; n < 3; n++) await datamosh.processFrame(createFrame());
+        assertEqual(codecs.decoders[0].chunks.map(chunk => chunk.type).join(','), 'key,key,delta,key,key');
+    }));
+
+    test('should not repeat dropped key frames', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine(), { keyframeInterval: 2, keyframeRepeat: 3 });
+        for (let n = 0; n < 3; n++) await datamosh.processFrame(createFrame());
+        assertEqual(codecs.decoders[0].chunks.map(chunk => chunk.type).join(','), 'key,key,key,delta');
+    }));
+});
+
+runner.suite('Datamosh Recovery', ({ test }) => {
+    test('should restart from a key frame after a decoder error', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine());
+        await datamosh.processFrame(createFrame());
+        codecs.failNextDecode = true;
+        const failed = await datamosh.processFrame(createFrame());
+        assertEqual(failed.imageData, null);
+        assertEqual(failed.report.decodeError, 'Decoding error');
+
+        const recovered = await datamosh.processFrame(createFrame());
+        assertEqual(codecs.encoders[0].keyFrames[2], true, 'A key frame is forced');
+        assertEqual(codecs.decoders.length, 2, 'A new decoder is created');
+        assert(recovered.imageData !== null, 'Frames are decoded again');
+    }));
+
+    test('should set the codecs up again for a new frame size or codec', () => withFakeCodecs(async (codecs) => {
+        const datamosh = new Datamosh(createEngine());
+        await datamosh.processFrame(createFrame(4, 4));
+        await datamosh.processFrame(createFrame(8, 4));
+        assertEqual(codecs.encoders.length, 2);
+        assertEqual(codecs.encoders[0].state, 'closed');
+        assertEqual(codecs.encoders[1].config.width, 8);
+        datamosh.setOptions({ codec: 'av1' });
+        await datamosh.processFrame(createFrame(8, 4));
+        assert(codecs.encoders[2].config.codec.startsWith('av01'), 'AV1 encoder');
+    }));
+
+    test('should need WebCodecs', async () => {
+        if (Datamosh.isSupported()) {
+            skip('WebCodecs is available');
+        }
+        try {
+            await new Datamosh(createEngine()).processFrame(createFrame());
+            throw new Error('Should have thrown error');
+        } catch (error) {
+            assert(error.message.includes('Video mode needs WebCodecs'), error.message);
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+import { FrameFeedback } from '../js/feedback.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+function createFrame(width, height, value) {
+    const imageData = new ImageData(width, height);
+    for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data.set([value, value, value, 255], i);
+    }
+    return imageData;
+}
+
+// Red channel of every 16x16 block's top-left pixel
+function blockValues(imageData) {
+    const values = [];
+    for (let y = 0; y < imageData.height; y += 16) {
+        for (let x = 0; x < imageData.width; x += 16) {
+            values.push(imageData.data[(y * imageData.width + x) * 4]);
+        }
+    }
+    return values;
+}
+
+runner.suite('FrameFeedback Settings', ({ test }) => {
+    test('should be off by default', () => {
+        const feedback = new FrameFeedback();
+        const input = createFrame(4, 4, 10);
+        assertEqual(feedback.active, false);
+        assertEqual(feedback.mix(input, createFrame(4, 4, 200)), input);
+    });
+
+    test('should pass the first frame through', () => {
+        const feedback = new FrameFeedback({ mode: 'blend' });
+        const input = createFrame(4, 4, 10);
+        assertEqual(feedback.mix(input, null), input);
+    });
+
+    test('should reject unknown modes and decays outside (0, 1]', () => {
+        const feedback = new FrameFeedback();
+        assertThrows(() => feedback.setMode('echo'), 'Unknown feedback mode: echo');
+        assertThrows(() => feedback.setDecay(0), 'Feedback decay must be above 0 and at most 1');
+        assertThrows(() => feedback.setDecay(1.5), 'Feedback decay');
+        assertEqual(feedback.mode, 'off');
+        assertEqual(feedback.decay, 0.5);
+    });
+
+    test('should forget the history at once with a decay of 1', () => {
+        const feedback = new FrameFeedback({ mode: 'swap', decay: 1 });
+        assertEqual(feedback.active, false);
+    });
+});
+
+runner.suite('FrameFeedback Mixing', ({ test }) => {
+    test('should blend camera and previous output by the decay', () => {
+        const feedback = new FrameFeedback({ mode: 'blend', decay: 0.25 });
+        const result = feedback.mix(createFrame(4, 4, 0), createFrame(4, 4, 200));
+        assertEqual(result.data[0], 150);
+        assertEqual(result.data[3], 255);
+    });
+
+    test('should fade the history over repeated frames', () => {
+        const feedback = new FrameFeedback({ mode: 'blend', decay: 0.5 });
+        let previous = createFrame(4, 4, 255);
+        for (let n = 0; n < 3; n++) {
+            previous = feedback.mix(createFrame(4, 4, 0), previous);
+        }
+        assertEqual(previous.data[0], 31);
+    });
+
+    test('should sample the previous output when the resolution changed', () => {
+        const feedback = new FrameFeedback({ mode: 'blend', decay: 0.5 });
+        const previous = createFrame(2, 2, 0);
+        previous.data.set([200, 200, 200, 255], 4); // Top right pixel
+        const result = feedback.mix(createFrame(4, 4, 0), previous);
+        assertEqual(result.data[0], 0);
+        assertEqual(result.data[3 * 4], 100, 'Top right of the larger frame');
+    });
+
+    test('should swap whole blocks', () => {
+        const feedback = new FrameFeedback({ mode: 'swap', decay: 0.5 });
+        const result = feedback.mix(createFrame(64, 64, 0), createFrame(64, 64, 200));
+        const values = blockValues(result);
+        assert(values.includes(0) && values.includes(200), 'Some blocks come from each frame');
+        for (let y = 0; y < 64; y++) {
+            for (let x = 0; x < 64; x++) {
+                const expected = values[(y >> 4) * 4 + (x >> 4)];
+                assertEqual(result.data[(y * 64 + x) * 4], expected, `Pixel ${x},${y}`);
+            }
+        }
+    });
+
+    test('should pick the same blocks for the same frames', () => {
+        const run = () => {
+            const feedback = new FrameFeedback({ mode: 'swap', decay: 0.3, seed: 9 });
+            let previous = createFrame(64, 64, 200);
+            const frames = [];
+            for (let n = 0; n < 3; n++) {
+                previous = feedback.mix(createFrame(64, 64, n * 10), previous);
+                frames.push(blockValues(previous).join(','));
+            }
+            return frames;
+        };
+        const first = run();
+        assertEqual(run().join('|'), first.join('|'));
+        assert(first[1] !== first[2], 'Every frame picks its own blocks');
+    });
+
+    test('should start over after a reset', () => {
+        const feedback = new FrameFeedback({ mode: 'swap', decay: 0.5 });
+        const mix = () => blockValues(feedback.mix(createFrame(64, 64, 0), createFrame(64, 64, 200))).join(',');
+        const first = mix();
+        mix();
+        feedback.reset();
+        assertEqual(mix(), first);
+    });
+});
\ No newline at end of file
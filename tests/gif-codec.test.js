@@ -0,0 +1,149 @@
+import { GifCodec } from '../js/gif-codec.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// 8x4 test image: left half red, right half blue, bottom row white
+function createTestImage() {
+    const imageData = new ImageData(8, 4);
+    for (let y = 0; y < 4; y++) {
+        for (let x = 0; x < 8; x++) {
+            const i = (y * 8 + x) * 4;
+            const color = y === 3 ? [255, 255, 255] : (x < 4 ? [255, 0, 0] : [0, 0, 255]);
+            imageData.data.set([...color, 255], i);
+        }
+    }
+    return imageData;
+}
+
+function pixelAt(imageData, x, y) {
+    const i = (y * imageData.width + x) * 4;
+    return Array.from(imageData.data.slice(i, i + 4)).join(',');
+}
+
+runner.suite('GifCodec Encoding', ({ test }) => {
+    test('should write a GIF89a header with a 256 color table', () => {
+        const bytes = GifCodec.encode(createTestImage());
+        assertEqual(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+        assertEqual(bytes[6] | (bytes[7] << 8), 8);
+        assertEqual(bytes[8] | (bytes[9] << 8), 4);
+        assertEqual(bytes[10], 0xF7);
+        assertEqual(bytes[13 + 768], 0x2C, 'Image descriptor should follow the color table');
+        assertEqual(bytes[bytes.length - 1], 0x3B);
+    });
+
+    test('should quantize distinct colors to exact palette entries', () => {
+        const { palette, indices } = GifCodec.quantize(createTestImage());
+        const color = (index) => Array.from(palette.slice(index * 3, index * 3 + 3)).join(',');
+        assertEqual(color(indices[0]), '255,0,0');
+        assertEqual(color(indices[7]), '0,0,255');
+        assertEqual(color(indices[24]), '255,255,255');
+    });
+
+    test('should round trip LZW across table resets', () => {
+        // Enough varied input to fill the 4096 entry table several times
+        const indices = new Uint8Array(40000);
+        let seed = 1;
+        for (let i = 0; i < indices.length; i++) {
+            seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+            indices[i] = (seed >> 16) & 0x3F;
+        }
+        const encoded = GifCodec.lzwEncode(indices, 8);
+        const { indices: decoded, errors } = GifCodec.lzwDecode(encoded, 8, indices.length);
+        assertEqual(errors, 0);
+        assertEqual(decoded.join(','), indices.join(','));
+    });
+
+    test('should decode its own output', () => {
+        const decoded = GifCodec.decode(GifCodec.encode(createTestImage()));
+        assertEqual(decoded.width, 8);
+        assertEqual(decoded.height, 4);
+        assertEqual(pixelAt(decoded, 0, 0), '255,0,0,255');
+        assertEqual(pixelAt(decoded, 7, 2), '0,0,255,255');
+        assertEqual(pixelAt(decoded, 3, 3), '255,255,255,255');
+    });
+});
+
+runner.suite('GifCodec Tolerant Decoding', ({ test }) => {
+    test('should keep decoding after invalid LZW codes', () => {
+        const bytes = GifCodec.encode(createTestImage());
+        const layout = GifCodec.parse(bytes);
+        const block = layout.images[0].blocks[0];
+        bytes.fill(0xFF, block.start + 6, block.end);
+        const decoded = GifCodec.decode(bytes);
+        assertEqual(decoded.width, 8);
+        assertEqual(pixelAt(decoded, 0, 0), '255,0,0,255', 'Pixels before the damage should survive');
+    });
+
+    test('should leave unreached pixels black on truncated data', () => {
+        const bytes = GifCodec.encode(createTestImage());
+        const block = GifCodec.parse(bytes).images[0].blocks[0];
+        const decoded = GifCodec.decode(bytes.slice(0, block.start + 1));
+        assertEqual(pixelAt(decoded, 7, 3), '0,0,0,255');
+    });
+
+    test('should decode an invalid first code as a literal', () => {
+        const { indices, errors } = GifCodec.lzwDecode(new Uint8Array([0xFF, 0xFF, 0xFF]), 8, 4);
+        assert(errors > 0, 'Errors should be counted');
+        assertEqual(indices[0], 0xFF);
+    });
+
+    test('should follow the interlaced row order', () => {
+        assertEqual(GifCodec.rowOrder(8, true).join(','), '0,4,2,6,1,3,5,7');
+        assertEqual(GifCodec.rowOrder(3, false).join(','), '0,1,2');
+    });
+
+    test('should reject data without a GIF signature', () => {
+        assertThrows(() => GifCodec.decode(new Uint8Array([0x42, 0x4D, 0, 0, 0, 0])), 'bad signature');
+    });
+
+    test('should reject absurd dimensions', () => {
+        const bytes = GifCodec.encode(createTestImage());
+        bytes[6] = bytes[7] = bytes[8] = bytes[9] = 0xFF;
+        assertThrows(() => GifCodec.decode(bytes), 'Invalid GIF dimensions');
+    });
+});
+
+runner.suite('GifCodec Targets', ({ test }) => {
+    test('should mask the color table and LZW data separately', () => {
+        const bytes = GifCodec.encode(createTestImage());
+        const layout = GifCodec.parse(bytes);
+        const palette = GifCodec.buildMask(bytes, layout, 'palette');
+        const lzw = GifCodec.buildMask(bytes, layout, 'lzw');
+        assertEqual(palette.reduce((sum, bit) => sum + bit, 0), 768);
+        assertEqual(palette[13], 1);
+
+        const image = layout.images[0];
+        assertEqual(lzw[image.minCodeSizeOffset], 0, 'Minimum code size should be excluded');
+        assertEqual(lzw[image.blocks[0].start - 1], 0, 'Sub-block sizes should be excluded');
+        assertEqual(lzw[image.blocks[0].start], 1);
+    });
+
+    test('should only change palette bytes with the palette target', async () => {
+        const engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('gif');
+        engine.setActive(true);
+        engine.setRules([{ sourceChars: 'FF', destChars: '80', syntax: 'hex', target: 'palette' }]);
+
+        const bytes = GifCodec.encode(createTestImage());
+        const corrupted = bytes.slice();
+        engine.corruptImageBytes(corrupted, GifCodec.parse(corrupted));
+
+        const start = GifCodec.parse(bytes).images[0].descriptor;
+        assert(corrupted.subarray(13, start).some((value, i) => value !== bytes[13 + i]), 'Palette should change');
+        assertEqual(corrupted.subarray(start).join(','), bytes.subarray(start).join(','));
+    });
+
+    test('should corrupt through the full GIF pipeline', async () => {
+        const engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('gif');
+        engine.setActive(true);
+        engine.setRules([{ sourceChars: '00', destChars: '7F', syntax: 'hex', target: 'lzw' }]);
+        const result = await engine.applyEffect(createTestImage());
+        assertEqual(result.width, 8);
+        assertEqual(result.height, 4);
+    });
+});
\ No newline at end of file
@@ -121,6 +121,358 @@ runner.suite('Character Replacement Logic', ({ test, beforeEach }) => {
     });
 });
 
+runner.suite('Replacement Chain', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+        engine.setHeaderProtection(false);
+    });
+
+    test('should start with a single default rule', () => {
+        assertEqual(engine.rules.length, 1);
+        assertEqual(engine.rules[0].sourceChars, 'a');
+        assertEqual(engine.rules[0].destChars, 'b');
+        assertEqual(engine.rules[0].enabled, true);
+    });
+
+    test('should apply rules in order on the output of the previous rule', () => {
+        engine.setRules([
+            { sourceChars: 'a', destChars: 'b' },
+            { sourceChars: 'b', destChars: 'c' }
+        ]);
+        const bytes = new TextEncoder().encode('aXb');
+        engine.corruptImageBytes(bytes);
+        assertEqual(new TextDecoder().decode(bytes), 'cXc');
+    });
+
+    test('should skip disabled rules', () => {
+        engine.setRules([
+            { sourceChars: 'a', destChars: 'b', enabled: false },
+            { sourceChars: 'x', destChars: 'y' }
+        ]);
+        const bytes = new TextEncoder().encode('ax');
+        engine.corruptImageBytes(bytes);
+        assertEqual(new TextDecoder().decode(bytes), 'ay');
+    });
+
+    test('should change the result when rules are reordered', () => {
+        engine.setRules([
+            { sourceChars: 'a', destChars: 'b' },
+            { sourceChars: 'b', destChars: 'c' }
+        ]);
+        engine.moveRule(1, 0);
+        assertEqual(engine.rules[0].sourceChars, 'b');
+
+        const bytes = new TextEncoder().encode('ab');
+        engine.corruptImageBytes(bytes);
+        assertEqual(new TextDecoder().decode(bytes), 'bc');
+    });
+
+    test('should add, update, toggle and remove rules', () => {
+        const index = engine.addRule({ sourceChars: 'x', destChars: 'y' });
+        assertEqual(index, 1);
+        engine.updateRule(index, { sourceChars: 'p', destChars: 'q' });
+        assertEqual(engine.rules[1].sourceBytes[0], 112); // 'p'
+        engine.setRuleEnabled(index, false);
+        assertEqual(engine.rules[1].enabled, false);
+        engine.updateRule(index, { sourceChars: 'r', destChars: 's' });
+        assertEqual(engine.rules[1].enabled, false, 'Update should keep enabled flag');
+        engine.removeRule(0);
+        assertEqual(engine.rules.length, 1);
+        assertEqual(engine.rules[0].sourceChars, 'r');
+    });
+
+    test('should throw for out of range rule indices', () => {
+        assertThrows(() => engine.removeRule(5), 'Rule index out of range');
+        assertThrows(() => engine.moveRule(0, 3), 'Rule index out of range');
+    });
+
+    test('should collapse the chain to one rule via setReplacementChars', () => {
+        engine.addRule({ sourceChars: 'x', destChars: 'y' });
+        engine.setReplacementChars('foo', 'bar');
+        assertEqual(engine.rules.length, 1);
+        assertEqual(engine.rules[0].sourceChars, 'foo');
+    });
+});
+
+runner.suite('Byte Pattern Rules', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+        engine.setHeaderProtection(false);
+    });
+
+    test('should replace raw hex bytes that are not valid UTF-8', () => {
+        engine.setRules([{ sourceChars: 'FF D9', destChars: 'FF D8', syntax: 'hex' }]);
+        const bytes = new Uint8Array([0x00, 0xFF, 0xD9, 0xFF]);
+        engine.corruptImageBytes(bytes);
+        assertEqual(Array.from(bytes).join(','), [0x00, 0xFF, 0xD8, 0xFF].join(','));
+    });
+
+    test('should write captured bytes back through dest references', () => {
+        engine.setRules([{ sourceChars: '[00-0F] ??', destChars: '$2 $1', syntax: 'hex' }]);
+        const bytes = new Uint8Array([0x01, 0xAA, 0x20, 0x05, 0xBB]);
+        engine.corruptImageBytes(bytes);
+        assertEqual(Array.from(bytes).join(','), [0xAA, 0x01, 0x20, 0xBB, 0x05].join(','));
+    });
+
+    test('should reject invalid patterns when the rule is created', () => {
+        assertThrows(() => engine.setRules([{ sourceChars: '[00-', destChars: '00', syntax: 'hex' }]), 'Unclosed byte range');
+        assertThrows(() => engine.setRules([{ sourceChars: 'a', destChars: 'b', syntax: 'regex' }]), 'Unknown rule syntax');
+    });
+});
+
+runner.suite('Rule Limits', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+        engine.setHeaderProtection(false);
+    });
+
+    function corrupt(text, limits) {
+        engine.setRules([{ sourceChars: 'a', destChars: 'b', ...limits }]);
+        const bytes = new TextEncoder().encode(text);
+        engine.corruptImageBytes(bytes);
+        return new TextDecoder().decode(bytes);
+    }
+
+    test('should only replace inside the byte window', () => {
+        assertEqual(corrupt('aaaaaaaa', { windowStart: 2, windowEnd: 5 }), 'aabbbaaa');
+    });
+
+    test('should not match across the end of the window', () => {
+        engine.setRules([{ sourceChars: 'aa', destChars: 'bb', windowEnd: 3 }]);
+        const bytes = new TextEncoder().encode('aaaa');
+        engine.corruptImageBytes(bytes);
+        assertEqual(new TextDecoder().decode(bytes), 'bbaa');
+    });
+
+    test('should replace every Nth match', () => {
+        assertEqual(corrupt('aaaaaaa', { every: 3 }), 'aabaaba');
+    });
+
+    test('should replace only matches K to M', () => {
+        assertEqual(corrupt('aaaaaaa', { firstMatch: 2, lastMatch: 4 }), 'abbbaaa');
+        assertEqual(corrupt('aaaaaaa', { firstMatch: 2, every: 2 }), 'aababab', 'Every counts from the first match');
+    });
+
+    test('should stop at the replacement cap', () => {
+        assertEqual(corrupt('aaaaa', { maxReplacements: 2 }), 'bbaaa');
+        assertEqual(corrupt('aaaaaaa', { every: 2, maxReplacements: 2 }), 'ababaaa');
+    });
+
+    test('should count matches the same way whatever is selected', () => {
+        // Overlapping "aa" matches are skipped, so only offsets 0, 2 and 4 count
+        engine.setRules([{ sourceChars: 'aa', destChars: 'xy', firstMatch: 2 }]);
+        const bytes = new TextEncoder().encode('aaaaaa');
+        engine.corruptImageBytes(bytes);
+        assertEqual(new TextDecoder().decode(bytes), 'aaxyxy');
+    });
+
+    test('should store the defaults when no limits are given', () => {
+        const [rule] = engine.rules;
+        assertEqual(rule.windowStart, 0);
+        assertEqual(rule.windowEnd, null);
+        assertEqual(rule.every, 1);
+        assertEqual(rule.maxReplacements, null);
+    });
+
+    test('should reject invalid limits', () => {
+        assertThrows(() => engine.setRules([{ sourceChars: 'a', destChars: 'b', windowStart: -1 }]), 'Window start');
+        assertThrows(() => engine.setRules([{ sourceChars: 'a', destChars: 'b', windowStart: 10, windowEnd: 10 }]), 'Window end');
+        assertThrows(() => engine.setRules([{ sourceChars: 'a', destChars: 'b', every: 0 }]), 'Every Nth');
+        assertThrows(() => engine.setRules([{ sourceChars: 'a', destChars: 'b', firstMatch: 0 }]), 'First match');
+        assertThrows(() => engine.setRules([{ sourceChars: 'a', destChars: 'b', firstMatch: 3, lastMatch: 2 }]), 'Last match');
+        assertThrows(() => engine.setRules([{ sourceChars: 'a', destChars: 'b', maxReplacements: 1.5 }]), 'Replacement cap');
+        assertEqual(engine.rules[0].sourceChars, 'a', 'Invalid chains should not be applied');
+    });
+});
+
+runner.suite('Splice Rules', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+        engine.setHeaderProtection(false);
+    });
+
+    function splice(text, rules) {
+        engine.setRules(rules);
+        return new TextDecoder().decode(engine.corruptImageBytes(new TextEncoder().encode(text)));
+    }
+
+    test('should grow the stream when dest is longer', () => {
+        assertEqual(splice('aXa', [{ sourceChars: 'a', destChars: 'xyz', splice: true }]), 'xyzXxyz');
+    });
+
+    test('should shrink the stream or delete matches', () => {
+        assertEqual(splice('abXab', [{ sourceChars: 'ab', destChars: 'c', splice: true }]), 'cXc');
+        assertEqual(splice('abXab', [{ sourceChars: '"b"', destChars: '', syntax: 'hex', splice: true }]), 'aXa');
+    });
+
+    test('should reject an empty hex dest without splice', () => {
+        assertThrows(() => engine.setRules([{ sourceChars: 'FF', destChars: '', syntax: 'hex' }]), 'Empty hex destination: turn splice on');
+        assertThrows(() => engine.setRules([{ sourceChars: 'FF', destChars: '  ', syntax: 'hex' }]), 'Empty hex destination');
+    });
+
+    test('should keep overwriting in place without splice', () => {
+        engine.setRules([{ sourceChars: 'a', destChars: 'xyz' }]);
+        const bytes = new TextEncoder().encode('aXa');
+        assertEqual(engine.corruptImageBytes(bytes), bytes, 'Same array back');
+        assertEqual(new TextDecoder().decode(bytes), 'xXx');
+    });
+
+    test('should apply limits to splices', () => {
+        assertEqual(splice('aaaa', [{ sourceChars: 'a', destChars: 'bb', splice: true, firstMatch: 2, maxReplacements: 2 }]), 'abbbba');
+    });
+
+    test('should move protected ranges with the bytes', () => {
+        // Bytes 3-4 are protected; the insertion at the start moves them to 4-5
+        engine.setHeaderProtection(true);
+        engine.setProtectionProfile('jpeg', [{ type: 'bytes', start: 3, end: 5 }]);
+        assertEqual(splice('baaaa', [
+            { sourceChars: 'b', destChars: 'bb', splice: true },
+            { sourceChars: 'a', destChars: 'c' }
+        ]), 'bbccaa');
+    });
+
+    test('should fix BMP lengths after a splice', () => {
+        engine.setCorruptionMode('bmp');
+        engine.setRules([{ sourceChars: '00', destChars: '00 00', syntax: 'hex', splice: true, windowStart: 60, maxReplacements: 3 }]);
+        const bmp = engine.encodeImage(new ImageData(4, 4), 'bmp');
+        const output = engine.corruptImageBytes(bmp.slice());
+        const view = new DataView(output.buffer);
+        assertEqual(output.length, bmp.length + 3);
+        assertEqual(view.getUint32(2, true), output.length);
+        assertEqual(view.getUint32(10, true), 54, 'Pixel data did not move');
+        assertEqual(view.getUint32(34, true), output.length - 54);
+    });
+
+    test('should map offsets through edits', () => {
+        const edits = [{ offset: 2, removed: 2, inserted: 5 }, { offset: 10, removed: 3, inserted: 0 }];
+        assertEqual(engine.mapSpliceOffset(edits, 2), 2, 'Start of an edit stays');
+        assertEqual(engine.mapSpliceOffset(edits, 4), 7, 'After the first edit');
+        assertEqual(engine.mapSpliceOffset(edits, 11), 13, 'Inside a deletion');
+        assertEqual(engine.mapSpliceOffset(edits, 20), 20);
+    });
+});
+
+runner.suite('Frame Reports', ({ test, beforeEach }) => {
+    let engine;
+
+    // Flat gray frame: its JPEG scan is full of repeated bytes
+    function createFrame() {
+        const imageData = new ImageData(16, 16);
+        imageData.data.fill(128);
+        return imageData;
+    }
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+        engine.setCorruptionMode('jpeg');
+        engine.setActive(true);
+    });
+
+    test('should report sizes, matches and changed offsets', async () => {
+        engine.setRules([
+            { sourceChars: '??', destChars: '00', syntax: 'hex', target: 'scan', maxReplacements: 3 },
+            { sourceChars: 'ZZZ', destChars: 'YYY' }
+        ]);
+        const { imageData, report } = await engine.processFrame(createFrame());
+        assertEqual(imageData.width, 16);
+        assert(report.encodedSize > 0, 'Encoded size should be set');
+        assertEqual(report.corruptedSize, report.encodedSize);
+        assertEqual(report.rules[0].matches, 3);
+        assertEqual(report.rules[1].matches, 0, 'A rule that matches nothing shows 0');
+        assertEqual(report.matches, 3);
+        assert(report.changedBytes <= 3, 'Only replaced bytes can change');
+        assertEqual(report.changedOffsets.length, report.changedBytes);
+        assertEqual(report.decoder, 'js');
+        assert(Number.isInteger(report.jpegErrors), 'Damaged restart intervals are counted');
+        assertEqual(engine.lastReport, report);
+    });
+
+    test('should report timings', async () => {
+        const { report } = await engine.processFrame(createFrame());
+        for (const key of ['encode', 'corrupt', 'decode', 'total']) {
+            assert(report.timings[key] >= 0, `${key} time should be measured`);
+        }
+        assert(report.timings.total >= report.timings.encode, 'Total covers every step');
+    });
+
+    test('should report the fallback and why it ran', async () => {
+        engine.setHeaderProtection(false);
+        engine.setRules([{ sourceChars: 'FF D8', destChars: '00 00', syntax: 'hex', windowEnd: 2 }]);
+        const { imageData, report } = await engine.processFrame(createFrame());
+        assertEqual(imageData.width, 16);
+        assertEqual(report.decoder, 'fallback');
+        assert(report.decodeError.includes('SOI'), 'The decoder error is kept');
+        assertEqual(report.changedOffsets.join(','), '0,1');
+    });
+
+    test('should report nothing changed while the glitch is off', async () => {
+        engine.setActive(false);
+        const { report } = await engine.processFrame(createFrame());
+        assertEqual(report.active, false);
+        assertEqual(report.matches, 0);
+        assertEqual(report.changedBytes, 0);
+    });
+});
+
+runner.suite('Rule Targets', ({ test, beforeEach }) => {
+    let engine;
+
+    // SOI, APP0 with payload "aa", SOS header, scan data "aa", EOI
+    const createJpeg = () => new Uint8Array([
+        0xFF, 0xD8,
+        0xFF, 0xE0, 0x00, 0x04, 0x61, 0x61,
+        0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00,
+        0x61, 0x61,
+        0xFF, 0xD9
+    ]);
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+        engine.setHeaderProtection(false);
+    });
+
+    test('should list JPEG structures as targets', () => {
+        const targets = engine.getRuleTargets('jpeg');
+        assert(targets.includes('scan'), 'Should offer scan data');
+        assert(targets.includes('dqt'), 'Should offer quantization tables');
+        assertEqual(engine.getRuleTargets('bmp').join(','), 'all');
+    });
+
+    test('should confine a rule to its target segment', () => {
+        engine.setRules([{ sourceChars: 'a', destChars: 'b', target: 'scan' }]);
+        const jpeg = createJpeg();
+        engine.corruptImageBytes(jpeg);
+        assertEqual(jpeg[6], 0x61, 'APP0 payload should be untouched');
+        assertEqual(jpeg[18], 0x62, 'Scan data should be replaced');
+        assertEqual(jpeg[19], 0x62, 'Scan data should be replaced');
+    });
+
+    test('should let different rules target different segments', () => {
+        engine.setRules([
+            { sourceChars: 'a', destChars: 'c', target: 'app' },
+            { sourceChars: 'a', destChars: 'd', target: 'scan' }
+        ]);
+        const jpeg = createJpeg();
+        engine.corruptImageBytes(jpeg);
+        assertEqual(jpeg[6], 0x63);
+        assertEqual(jpeg[18], 0x64);
+    });
+
+    test('should reject targets the format does not have', () => {
+        engine.setCorruptionMode('bmp');
+        engine.setRules([{ sourceChars: 'a', destChars: 'b', target: 'scan' }]);
+        assertThrows(() => engine.corruptImageBytes(new Uint8Array(100)), 'Unknown rule target');
+    });
+});
+
 runner.suite('Format Support', ({ test, beforeEach }) => {
     let engine;
 
@@ -163,6 +515,26 @@ runner.suite('Format Support', ({ test, beforeEach }) => {
         }
     });
 
+    test('should support BMP format in every browser', async () => {
+        engine.setCorruptionMode('bmp');
+        engine.setHeaderProtection(true);
+        engine.setReplacementChars('\x00', '\x7F');
+        const imageData = new ImageData(16, 8);
+
+        // Encoded and decoded in JS, so no canvas or browser BMP support is needed
+        const result = await engine.corruptImageStream(imageData, 'bmp');
+        assertEqual(result.width, 16);
+        assertEqual(result.height, 8);
+        assertEqual(result.data[0], 127, 'Black pixels after the protected header should be corrupted');
+    });
+
+    test('should validate BMP options', () => {
+        engine.setBmpOptions({ variant: 'rle8' });
+        assertEqual(engine.bmpOptions.variant, 'rle8');
+        assertEqual(engine.bmpOptions.topDown, false);
+        assertThrows(() => engine.setBmpOptions({ variant: '4' }), 'Unknown BMP variant');
+    });
+
     test('should throw error for unsupported format', async () => {
         const imageData = new ImageData(100, 100);
         
@@ -252,4 +624,273 @@ runner.suite('Deterministic Behavior', ({ test, beforeEach }) => {
             assertEqual(engine1.sourceBytes[i], engine2.sourceBytes[i]);
         }
     });
+});
+
+runner.suite('Generations', ({ test, beforeEach }) => {
+    let engine;
+
+    function createFrame() {
+        const imageData = new ImageData(16, 16);
+        for (let i = 0; i < imageData.data.length; i += 4) {
+            imageData.data.set([i & 0xFF, (i >> 2) & 0xFF, 0x80, 255], i);
+        }
+        return imageData;
+    }
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+        engine.setCorruptionMode('bmp');
+        engine.setActive(true);
+        engine.setRules([{ type: 'bitflip', params: { density: 0.05 }, seed: 3 }]);
+    });
+
+    test('should feed each decoded generation into the next', async () => {
+        const once = await engine.applyEffect(await engine.applyEffect(createFrame()));
+        engine.setGenerations({ count: 2 });
+        const twice = await engine.applyEffect(createFrame());
+        assertEqual(twice.data.join(','), once.data.join(','));
+    });
+
+    test('should cycle through the format sequence', async () => {
+        engine.setGenerations({ count: 3, formats: ['jpeg', 'bmp'] });
+        const { report } = await engine.processFrame(createFrame());
+        assertEqual(report.generations.map(generation => generation.format).join(','), 'jpeg,bmp,jpeg');
+        assertEqual(report.format, 'jpeg', 'Top-level fields describe the last generation');
+        assertEqual(report.decoder, 'js');
+        const matches = report.generations.reduce((total, generation) => total + generation.matches, 0);
+        assertEqual(report.matches, matches, 'Matches add up over generations');
+    });
+
+    test('should skip rules aimed at structures a generation format lacks', async () => {
+        engine.setCorruptionMode('jpeg');
+        engine.setRules([{ sourceChars: '??', destChars: '00', syntax: 'hex', target: 'scan', maxReplacements: 2 }]);
+        engine.setGenerations({ count: 2, formats: ['jpeg', 'tiff'] });
+        const { report } = await engine.processFrame(createFrame());
+        assertEqual(report.generations[0].matches, 2);
+        assertEqual(report.generations[1].matches, 0);
+    });
+
+    test('should give the same output on every run', async () => {
+        engine.setGenerations({ count: 4, formats: ['jpeg', 'raw', 'gif'] });
+        const other = new GlitchEngine(createMockCanvas());
+        other.setActive(true);
+        other.applySettings(engine.getSettings());
+        const first = await engine.applyEffect(createFrame());
+        const second = await other.applyEffect(createFrame());
+        assertEqual(first.data.join(','), second.data.join(','));
+    });
+
+    test('should reject invalid settings and keep the previous ones', () => {
+        engine.setGenerations({ count: 2, formats: ['webp'] });
+        assertThrows(() => engine.setGenerations({ count: 0 }), 'Generations must be an integer from 1 to 16');
+        assertThrows(() => engine.setGenerations({ count: 17 }), 'Generations must be');
+        assertThrows(() => engine.setGenerations({ count: 1.5 }), 'Generations must be');
+        assertThrows(() => engine.setGenerations({ formats: ['jpeg', 'avif'] }), 'Unknown generation format: avif');
+        assertEqual(engine.generations.count, 2);
+        assertEqual(engine.generations.formats.join(','), 'webp');
+    });
+});
+
+runner.suite('Tiles', ({ test, beforeEach }) => {
+    let engine;
+
+    function createFrame() {
+        const imageData = new ImageData(16, 8);
+        for (let i = 0; i < imageData.data.length; i += 4) {
+            imageData.data.set([i & 0xFF, (i >> 2) & 0xFF, 0x80, 255], i);
+        }
+        return imageData;
+    }
+
+    // The same tile corrupted by an untiled engine with the given changes
+    async function corruptAlone(x, y, width, height, configure = () => {}) {
+        const other = new GlitchEngine(createMockCanvas());
+        other.applySettings({ ...engine.getSettings(), tiles: { ...engine.tiles, columns: 1, rows: 1 } });
+        configure(other);
+        return await other.applyEffect(GlitchEngine.cropImageData(createFrame(), x, y, width, height));
+    }
+
+    function tilePixels(imageData, x, y, width, height) {
+        return GlitchEngine.cropImageData(imageData, x, y, width, height).data.join(',');
+    }
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+        engine.setCorruptionMode('bmp');
+        engine.setActive(true);
+        engine.setRules([{ type: 'bitflip', params: { density: 0.05 }, seed: 3 }]);
+    });
+
+    test('should corrupt every tile as a frame of its own', async () => {
+        engine.setTiles({ columns: 2, rows: 2 });
+        const { imageData, report } = await engine.processFrame(createFrame());
+        assertEqual(imageData.width, 16);
+        assertEqual(report.format, 'tiles');
+        assertEqual(report.tiles.length, 4);
+        assertEqual(tilePixels(imageData, 8, 4, 8, 4), (await corruptAlone(8, 4, 8, 4)).data.join(','));
+        const matches = report.tiles.reduce((total, tile) => total + tile.matches, 0);
+        assertEqual(report.matches, matches, 'Matches add up over tiles');
+        assertEqual(report.rules[0].matches, matches);
+    });
+
+    test('should cycle through the tile formats', async () => {
+        engine.setTiles({ columns: 3, rows: 1, formats: ['jpeg', 'raw'] });
+        const { report } = await engine.processFrame(createFrame());
+        assertEqual(report.tiles.map(tile => tile.format).join(','), 'jpeg,raw,jpeg');
+        assertEqual(report.tiles.map(tile => tile.width).join(','), '5,5,6');
+        assertEqual(report.decoder, 'js');
+    });
+
+    test('should give each tile one rule in turn', async () => {
+        engine.setRules([
+            { type: 'bitflip', params: { density: 0.05 }, seed: 3 },
+            { type: 'shift', params: { density: 0.05 }, seed: 4, enabled: false },
+            { type: 'rotate', params: { density: 0.05 }, seed: 5 }
+        ]);
+        engine.setTiles({ columns: 2, rows: 1, rules: 'cycle' });
+        const { imageData, report } = await engine.processFrame(createFrame());
+        assertEqual(report.rules[0].matches, report.tiles[0].matches);
+        assertEqual(report.rules[1].matches, 0, 'Disabled rules stay off');
+        assertEqual(report.rules[2].matches, report.tiles[1].matches);
+        const alone = await corruptAlone(8, 0, 8, 8, other => other.rules[0].enabled = false);
+        assertEqual(tilePixels(imageData, 8, 0, 8, 8), alone.data.join(','));
+    });
+
+    test('should offset operator seeds by the tile index', async () => {
+        engine.setTiles({ columns: 2, rows: 1, varySeeds: true });
+        const result = await engine.applyEffect(createFrame());
+        const alone = await corruptAlone(8, 0, 8, 8, other => other.rules[0].seed = 4);
+        assertEqual(tilePixels(result, 8, 0, 8, 8), alone.data.join(','));
+    });
+
+    test('should keep a failing tile clean and finish the others', async () => {
+        engine.setTiles({ columns: 2, rows: 1 });
+        const createTileEngine = engine.createTileEngine.bind(engine);
+        engine.createTileEngine = (settings, index) => {
+            if (index === 0) throw new Error('broken tile');
+            return createTileEngine(settings, index);
+        };
+        const { imageData, report } = await engine.processFrame(createFrame());
+        assertEqual(report.tiles[0].error, 'broken tile');
+        assertEqual(report.tiles[1].error, null);
+        assertEqual(report.decodeError, 'tile 0,0: broken tile');
+        assertEqual(tilePixels(imageData, 0, 0, 8, 8), tilePixels(createFrame(), 0, 0, 8, 8));
+        assertEqual(tilePixels(imageData, 8, 0, 8, 8), (await corruptAlone(8, 0, 8, 8)).data.join(','));
+    });
+
+    test('should never cut tiles narrower than a pixel', async () => {
+        engine.setTiles({ columns: 8, rows: 8 });
+        const { report } = await engine.processFrame(new ImageData(4, 2));
+        assertEqual(report.tiles.length, 8);
+    });
+
+    test('should copy the grid with the other settings', async () => {
+        engine.setTiles({ columns: 2, rows: 2, formats: ['gif', 'bmp'], varySeeds: true });
+        const other = new GlitchEngine(createMockCanvas());
+        other.applySettings(engine.getSettings());
+        const first = await engine.applyEffect(createFrame());
+        const second = await other.applyEffect(createFrame());
+        assertEqual(first.data.join(','), second.data.join(','));
+    });
+
+    test('should reject invalid settings and keep the previous ones', () => {
+        engine.setTiles({ columns: 2, formats: ['png'] });
+        assertThrows(() => engine.setTiles({ columns: 0 }), 'Tile columns must be an integer from 1 to 8');
+        assertThrows(() => engine.setTiles({ rows: 9 }), 'Tile rows must be');
+        assertThrows(() => engine.setTiles({ formats: ['video'] }), 'Unknown tile format: video');
+        assertThrows(() => engine.setTiles({ rules: 'random' }), 'Unknown tile rule set: random');
+        assertEqual(engine.tiles.columns, 2);
+        assertEqual(engine.tiles.formats.join(','), 'png');
+    });
+});
+
+// Browser decoding stubbed out: bitmaps arrive after a delay, readBitmap fills the frame with their value
+function stubBrowserDecode(engine, delays) {
+    const bitmaps = [];
+    engine.loadBitmap = () => {
+        const bitmap = { value: 7, closed: false, close() { this.closed = true; } };
+        const delay = delays[bitmaps.length % delays.length];
+        bitmaps.push(bitmap);
+        return new Promise(resolve => setTimeout(() => resolve(bitmap), delay));
+    };
+    engine.readBitmap = (bitmap, width, height) => {
+        const imageData = new ImageData(width, height);
+        imageData.data.fill(bitmap.value);
+        return imageData;
+    };
+    return bitmaps;
+}
+
+runner.suite('Browser Decode Path', ({ test, beforeEach }) => {
+    let engine;
+    const bytes = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 1, 2, 3, 4, 5, 6]);
+
+    beforeEach(() => {
+        engine = new GlitchEngine(createMockCanvas());
+    });
+
+    test('should wait for slow decodes instead of falling back', async () => {
+        // Used to fall back to raw bytes after 50ms
+        const bitmaps = stubBrowserDecode(engine, [0, 80, 150]);
+        const results = [];
+        for (let run = 0; run < 3; run++) {
+            const report = {};
+            const result = await engine.decodeImage(bytes, 'png', new ImageData(4, 4), report);
+            assertEqual(report.decoder, 'browser');
+            results.push(Array.from(result.data).join(','));
+        }
+        assertEqual(results[1], results[0]);
+        assertEqual(results[2], results[0]);
+        assert(bitmaps.every(bitmap => bitmap.closed), 'Bitmaps are released after reading');
+    });
+
+    test('should fall back the same way whenever the browser rejects the bytes', async () => {
+        engine.loadBitmap = () => Promise.reject(new Error('Browser could not decode the image'));
+        const expected = Array.from(engine.useCorruptedBytes(bytes, new ImageData(4, 4)).data).join(',');
+        for (let run = 0; run < 3; run++) {
+            const report = {};
+            const result = await engine.decodeImage(bytes, 'webp', new ImageData(4, 4), report);
+            assertEqual(report.decoder, 'fallback');
+            assertEqual(report.decodeError, 'Browser could not decode the image');
+            assertEqual(Array.from(result.data).join(','), expected);
+        }
+    });
+
+    test('should only time out when a timeout is set', async () => {
+        const bitmaps = stubBrowserDecode(engine, [100]);
+        engine.setDecodeTimeout(20);
+        const report = {};
+        await engine.decodeImage(bytes, 'png', new ImageData(4, 4), report);
+        assertEqual(report.decoder, 'fallback');
+        assertEqual(report.decodeError, 'Browser decode timed out after 20ms');
+
+        await new Promise(resolve => setTimeout(resolve, 120));
+        assert(bitmaps[0].closed, 'A bitmap that arrives late is released');
+    });
+
+    test('should validate the timeout', () => {
+        assertThrows(() => engine.setDecodeTimeout(0), 'Decode timeout must be');
+        assertThrows(() => engine.setDecodeTimeout(12.5), 'Decode timeout must be');
+        engine.setDecodeTimeout(250);
+        engine.setDecodeTimeout(null);
+        assertEqual(engine.decodeTimeout, null);
+    });
+
+    test('should decode real PNG frames identically every run', async () => {
+        if (typeof createImageBitmap !== 'function') {
+            skip('createImageBitmap not available in test environment');
+        }
+        const frame = new ImageData(32, 32);
+        for (let i = 0; i < frame.data.length; i += 4) {
+            frame.data.set([i & 0xFF, (i >> 8) & 0xFF, 0x61, 255], i);
+        }
+        const png = await engine.encodeImage(frame, 'png');
+        png[png.length - 20] ^= 0xFF; // Damaged so the browser has more work to do
+        const results = [];
+        for (let run = 0; run < 5; run++) {
+            const result = await engine.decodeImage(png, 'png', frame, {});
+            results.push(Array.from(result.data).join(','));
+        }
+        results.forEach(result => assertEqual(result, results[0]));
+    });
 });
\ No newline at end of file
@@ -0,0 +1,197 @@
+import { JpegDecoder } from '../js/jpeg-decoder.js';
+import { JpegEncoder } from '../js/jpeg-encoder.js';
+import { JpegParser } from '../js/jpeg-parser.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// 40x24 gradient: 5x3 MCUs at 4:4:4, each a different color
+function createTestImage() {
+    const imageData = new ImageData(40, 24);
+    for (let y = 0; y < 24; y++) {
+        for (let x = 0; x < 40; x++) {
+            imageData.data.set([x * 6, y * 10, 128, 255], (y * 40 + x) * 4);
+        }
+    }
+    return imageData;
+}
+
+function pixelAt(imageData, x, y) {
+    const i = (y * imageData.width + x) * 4;
+    return Array.from(imageData.data.slice(i, i + 4));
+}
+
+function meanError(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.data.length; i++) {
+        if (i % 4 !== 3) total += Math.abs(a.data[i] - b.data[i]);
+    }
+    return total / (a.width * a.height * 3);
+}
+
+// Offsets of every RSTn marker in the scan
+function restartMarkers(bytes) {
+    const scan = JpegParser.parse(bytes).find(segment => segment.name === 'SCAN');
+    const markers = [];
+    for (let i = scan.dataStart; i < scan.dataEnd - 1; i++) {
+        if (bytes[i] === 0xFF && JpegParser.isRestart(bytes[i + 1])) markers.push(i);
+    }
+    return markers;
+}
+
+function cut(bytes, start, end) {
+    const result = new Uint8Array(bytes.length - (end - start));
+    result.set(bytes.subarray(0, start));
+    result.set(bytes.subarray(end), start);
+    return result;
+}
+
+runner.suite('JpegDecoder Round Trip', ({ test }) => {
+    test('should decode every subsampling, baseline and progressive', () => {
+        const original = createTestImage();
+        for (const subsampling of JpegEncoder.SUBSAMPLINGS) {
+            for (const progressive of [false, true]) {
+                const bytes = JpegEncoder.encode(original, { subsampling, progressive, restartInterval: 2 });
+                const { frame, errors, missingUnits } = JpegDecoder.read(bytes);
+                const decoded = JpegDecoder.render(frame);
+                assertEqual(errors, 0, `${subsampling} ${progressive} errors`);
+                assertEqual(missingUnits, 0, `${subsampling} ${progressive} missing units`);
+                assert(meanError(decoded, original) < 4, `${subsampling} ${progressive} should match the source`);
+            }
+        }
+    });
+
+    test('should reject streams without SOI or frame header', () => {
+        assertThrows(() => JpegDecoder.decode(new Uint8Array([0x89, 0x50, 0x4E, 0x47])), 'missing SOI');
+        assertThrows(() => JpegDecoder.decode(new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9])), 'no frame header');
+    });
+
+    test('should reject frames with two components', () => {
+        // Used to crash in render() with a TypeError
+        const bytes = JpegEncoder.encode(createTestImage(), { subsampling: '422', restartInterval: 1 });
+        const sof = JpegParser.parse(bytes).find(segment => segment.name === 'SOF0');
+        bytes[sof.offset + 9] = 2;
+        assertThrows(() => JpegDecoder.decode(bytes), 'Unsupported JPEG component count: 2');
+    });
+
+    test('should reject a frame header too short for its fields', () => {
+        // A corrupted length left SOF with no component count - render() used to crash on it
+        const bytes = JpegEncoder.encode(createTestImage(), { subsampling: '422', restartInterval: 1 });
+        const sof = JpegParser.parse(bytes).find(segment => segment.name === 'SOF0');
+        bytes[sof.offset + 2] = 0;
+        bytes[sof.offset + 3] = 5;
+        assertThrows(() => JpegDecoder.decode(bytes), 'Truncated JPEG frame header: 3 bytes');
+    });
+
+    test('should skip a scan with more selectors than its header holds', () => {
+        const bytes = JpegEncoder.encode(createTestImage(), { subsampling: '422', restartInterval: 1 });
+        const scan = JpegParser.parse(bytes).find(segment => segment.name === 'SOS');
+        bytes[scan.offset + 4] = 40;
+        const { errors } = JpegDecoder.read(bytes);
+        assert(errors > 0, 'The scan counts as an error');
+    });
+
+    test('should reject arithmetic-coded frames', () => {
+        const bytes = JpegEncoder.encode(createTestImage());
+        const sof = JpegParser.parse(bytes).find(segment => segment.name === 'SOF0');
+        bytes[sof.offset + 1] = 0xC9;
+        assertThrows(() => JpegDecoder.decode(bytes), 'Unsupported JPEG frame type: SOF9');
+    });
+});
+
+runner.suite('JpegDecoder Corruption Tolerance', ({ test }) => {
+    const encode = () => JpegEncoder.encode(createTestImage(), { subsampling: '444', restartInterval: 1 });
+
+    test('should resync on the next restart marker', () => {
+        // Drop the data of MCU 3; decoding hits RST3 early and carries on after it
+        const bytes = encode();
+        const markers = restartMarkers(bytes);
+        const damaged = cut(bytes, markers[2] + 2, markers[3]);
+        const { frame, errors, missingUnits } = JpegDecoder.read(damaged);
+        assertEqual(errors, 1);
+        assertEqual(missingUnits, 1);
+
+        const decoded = JpegDecoder.render(frame);
+        const clean = JpegDecoder.decode(bytes);
+        assertEqual(pixelAt(decoded, 36, 4).join(','), pixelAt(clean, 36, 4).join(','), 'MCU 4 should be intact');
+        assertEqual(pixelAt(decoded, 4, 20).join(','), pixelAt(clean, 4, 20).join(','), 'Later rows should be intact');
+    });
+
+    test('should count lost intervals from the restart marker number', () => {
+        // Drop MCUs 3 and 4 along with RST3 - the next marker is RST4, so two units are missing
+        const bytes = encode();
+        const markers = restartMarkers(bytes);
+        const { missingUnits } = JpegDecoder.read(cut(bytes, markers[2] + 2, markers[4]));
+        assertEqual(missingUnits, 2);
+    });
+
+    test('should leave missing units gray', () => {
+        const bytes = encode();
+        const markers = restartMarkers(bytes);
+        const decoded = JpegDecoder.decode(cut(bytes, markers[2] + 2, markers[3]), { fill: 'gray' });
+        pixelAt(decoded, 28, 4).slice(0, 3).forEach(value => assert(Math.abs(value - 128) <= 1, `Expected gray, got ${value}`));
+    });
+
+    test('should repeat the last good MCU', () => {
+        const bytes = encode();
+        const markers = restartMarkers(bytes);
+        const decoded = JpegDecoder.decode(cut(bytes, markers[2] + 2, markers[3]), { fill: 'repeat' });
+        // MCU 3 (x 24-31) takes the coefficients of MCU 2 (x 16-23)
+        for (let x = 0; x < 8; x++) {
+            assertEqual(pixelAt(decoded, 24 + x, 5).join(','), pixelAt(decoded, 16 + x, 5).join(','));
+        }
+    });
+
+    test('should fill the rest of a truncated scan', () => {
+        const bytes = JpegEncoder.encode(createTestImage());
+        const { frame, missingUnits } = JpegDecoder.read(bytes.slice(0, Math.floor(bytes.length * 0.9)));
+        assert(missingUnits > 0, 'Truncated scans should have missing units');
+        assertEqual(JpegDecoder.render(frame).width, 40);
+    });
+
+    test('should survive random byte damage', () => {
+        let seed = 11;
+        const random = () => (seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF) / 0x7FFFFFFF;
+        for (let n = 0; n < 40; n++) {
+            const bytes = JpegEncoder.encode(createTestImage(), { progressive: n % 2 === 0, restartInterval: n % 3 });
+            // Damage only the entropy-coded data so the headers stay readable
+            const scan = JpegParser.parse(bytes).find(segment => segment.name === 'SCAN');
+            for (let k = 0; k < 8; k++) {
+                bytes[scan.dataStart + Math.floor(random() * (scan.dataEnd - scan.dataStart))] = Math.floor(random() * 256);
+            }
+            assertEqual(JpegDecoder.decode(bytes).height, 24);
+        }
+    });
+});
+
+runner.suite('JPEG Decoding', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('jpeg');
+        engine.setActive(true);
+    });
+
+    test('should decode corrupted JPEG frames without the browser', async () => {
+        engine.setRules([{ sourceChars: '00', destChars: 'FF', syntax: 'hex' }]);
+        engine.setJpegOptions({ restartInterval: 1, fill: 'repeat' });
+        const result = await engine.applyEffect(createTestImage());
+        assertEqual(result.width, 40);
+        assertEqual(result.height, 24);
+    });
+
+    test('should decode frames with bytes spliced out of the scan', async () => {
+        engine.setRules([{ sourceChars: '00', destChars: '', syntax: 'hex', target: 'scan', splice: true }]);
+        const result = await engine.applyEffect(createTestImage());
+        assertEqual(result.width, 40);
+    });
+
+    test('should reject an unknown fill', () => {
+        assertThrows(() => engine.setJpegOptions({ fill: 'smear' }), 'Unknown JPEG missing data fill');
+        assertEqual(engine.jpegOptions.fill, 'gray');
+    });
+});
\ No newline at end of file
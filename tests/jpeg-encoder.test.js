@@ -0,0 +1,134 @@
+import { JpegEncoder } from '../js/jpeg-encoder.js';
+import { JpegParser } from '../js/jpeg-parser.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// 40x24 gradient: wide enough for several MCUs in every subsampling mode
+function createTestImage() {
+    const imageData = new ImageData(40, 24);
+    for (let y = 0; y < 24; y++) {
+        for (let x = 0; x < 40; x++) {
+            imageData.data.set([x * 6, y * 10, 128, 255], (y * 40 + x) * 4);
+        }
+    }
+    return imageData;
+}
+
+function segmentNames(bytes) {
+    return JpegParser.parse(bytes).map(segment => segment.name);
+}
+
+function findSegment(bytes, name) {
+    return JpegParser.parse(bytes).find(segment => segment.name === name);
+}
+
+runner.suite('JpegEncoder Structure', ({ test }) => {
+    test('should write a baseline JFIF file', () => {
+        const names = segmentNames(JpegEncoder.encode(createTestImage()));
+        assertEqual(names.join(','), 'SOI,APP0,DQT,SOF0,DHT,SOS,SCAN,EOI');
+    });
+
+    test('should write a DC scan and four AC bands when progressive', () => {
+        const names = segmentNames(JpegEncoder.encode(createTestImage(), { progressive: true }));
+        assert(names.includes('SOF2'), 'Progressive frames use SOF2');
+        assertEqual(names.filter(name => name === 'SOS').length, 5);
+    });
+
+    test('should write DRI and restart markers', () => {
+        const bytes = JpegEncoder.encode(createTestImage(), { restartInterval: 2, subsampling: '444' });
+        const dri = findSegment(bytes, 'DRI');
+        assertEqual((bytes[dri.dataStart] << 8) | bytes[dri.dataStart + 1], 2);
+
+        // 5x3 MCUs at 4:4:4, a marker after every second one
+        const scan = findSegment(bytes, 'SCAN');
+        let markers = 0;
+        for (let i = scan.dataStart; i < scan.dataEnd - 1; i++) {
+            if (bytes[i] === 0xFF && JpegParser.isRestart(bytes[i + 1])) markers++;
+        }
+        assertEqual(markers, 7);
+    });
+
+    test('should record the sampling factors of each subsampling mode', () => {
+        const expected = { '444': 0x11, '422': 0x21, '420': 0x22 };
+        for (const subsampling of JpegEncoder.SUBSAMPLINGS) {
+            const bytes = JpegEncoder.encode(createTestImage(), { subsampling });
+            const sof = findSegment(bytes, 'SOF0');
+            // precision, height, width, count, then id + sampling + table per component
+            assertEqual(bytes[sof.dataStart + 7], expected[subsampling], `${subsampling} luma sampling`);
+            assertEqual(bytes[sof.dataStart + 10], 0x11, `${subsampling} chroma sampling`);
+        }
+    });
+
+    test('should reject an unknown subsampling', () => {
+        assertThrows(() => JpegEncoder.encode(createTestImage(), { subsampling: '411' }), 'Unknown JPEG subsampling');
+    });
+});
+
+runner.suite('JpegEncoder Tables', ({ test }) => {
+    test('should scale the standard tables like IJG quality', () => {
+        const { luma } = JpegEncoder.STANDARD_TABLES;
+        assertEqual(JpegEncoder.scaleTable(luma, 50).join(','), luma.join(','));
+        assert(JpegEncoder.scaleTable(luma, 100).every(value => value === 1), 'Quality 100 should be all ones');
+        assertEqual(JpegEncoder.scaleTable(luma, 1)[0], 255, 'Values are capped to 8 bits');
+    });
+
+    test('should write custom tables verbatim in zigzag order', () => {
+        const luma = Array.from({ length: 64 }, (_, i) => i + 1);
+        const bytes = JpegEncoder.encode(createTestImage(), { quality: 10, quantTables: { luma } });
+        const dqt = findSegment(bytes, 'DQT');
+        assertEqual(bytes[dqt.dataStart], 0);
+        for (let k = 0; k < 64; k++) {
+            assertEqual(bytes[dqt.dataStart + 1 + k], luma[JpegEncoder.ZIGZAG[k]]);
+        }
+        // The chroma table still follows quality
+        const chroma = JpegEncoder.scaleTable(JpegEncoder.STANDARD_TABLES.chroma, 10);
+        assertEqual(bytes[dqt.dataStart + 66], chroma[0]);
+    });
+
+    test('should build canonical Huffman codes', () => {
+        const codes = JpegEncoder.buildCodes({ counts: [0, 2, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], symbols: [5, 6, 7] });
+        assertEqual(codes.get(5).join(','), '0,2');
+        assertEqual(codes.get(6).join(','), '1,2');
+        assertEqual(codes.get(7).join(','), '4,3');
+    });
+
+    test('should validate custom tables', () => {
+        assertThrows(() => JpegEncoder.validateQuantTable([1, 2, 3]), 'needs 64 values');
+        assertThrows(() => JpegEncoder.validateQuantTable(new Array(64).fill(256)), 'at 1: 256');
+    });
+});
+
+runner.suite('JPEG Encoder Options', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+    });
+
+    test('should encode JPEG mode with the engine options', () => {
+        engine.setJpegOptions({ progressive: true, restartInterval: 4 });
+        const names = segmentNames(engine.encodeImage(createTestImage(), 'jpeg'));
+        assert(names.includes('SOF2'), 'Should be progressive');
+        assert(names.includes('DRI'), 'Should carry a restart interval');
+    });
+
+    test('should keep earlier options when setting others', () => {
+        engine.setJpegOptions({ quality: 40 });
+        engine.setJpegOptions({ subsampling: '444' });
+        assertEqual(engine.jpegOptions.quality, 40);
+        assertEqual(engine.jpegOptions.subsampling, '444');
+    });
+
+    test('should reject invalid options', () => {
+        assertThrows(() => engine.setJpegOptions({ quality: 0 }), 'quality');
+        assertThrows(() => engine.setJpegOptions({ quality: 50.5 }), 'quality');
+        assertThrows(() => engine.setJpegOptions({ restartInterval: -1 }), 'restart interval');
+        assertThrows(() => engine.setJpegOptions({ subsampling: '411' }), 'subsampling');
+        assertThrows(() => engine.setJpegOptions({ quantTables: { luma: [1] } }), 'needs 64 values');
+        assertEqual(engine.jpegOptions.quality, 95, 'Invalid options should not be applied');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+import { JpegParser } from '../js/jpeg-parser.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// Minimal hand-built JPEG: just enough structure for the parser, not decodable
+function createTestJpeg() {
+    return new Uint8Array([
+        0xFF, 0xD8,                                     // SOI
+        0xFF, 0xE0, 0x00, 0x04, 0x4A, 0x46,             // APP0, 2 payload bytes
+        0xFF, 0xDB, 0x00, 0x43, 0x00,                   // DQT, 8-bit table 0
+        ...new Array(64).fill(0x10),
+        0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x10, 0x00, 0x10, 0x01, 0x01, 0x11, 0x00, // SOF0, 16x16 gray
+        0xFF, 0xC4, 0x00, 0x15, 0x00,                   // DHT, DC table 0
+        0x01, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+        0x03, 0x04,                                     // two symbols
+        0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00, // SOS
+        0x12, 0xFF, 0x00, 0x34, 0xFF, 0xD0, 0x56,       // scan data with stuffing and RST0
+        0xFF, 0xD9                                      // EOI
+    ]);
+}
+
+runner.suite('JpegParser Segments', ({ test }) => {
+    test('should find every marker segment in order', () => {
+        const segments = JpegParser.parse(createTestJpeg());
+        const names = segments.map(segment => segment.name).join(',');
+        assertEqual(names, 'SOI,APP0,DQT,SOF0,DHT,SOS,SCAN,EOI');
+    });
+
+    test('should record offsets and payload bounds', () => {
+        const bytes = createTestJpeg();
+        const segments = JpegParser.parse(bytes);
+        const dqt = segments.find(segment => segment.name === 'DQT');
+        assertEqual(dqt.offset, 8);
+        assertEqual(dqt.dataStart, 12);
+        assertEqual(dqt.dataEnd, 12 + 65);
+        assertEqual(bytes[dqt.offset], 0xFF);
+    });
+
+    test('should keep stuffing and restart markers inside the scan', () => {
+        const bytes = createTestJpeg();
+        const scan = JpegParser.parse(bytes).find(segment => segment.name === 'SCAN');
+        assertEqual(scan.length, 7);
+        assertEqual(bytes[scan.dataEnd], 0xFF);
+        assertEqual(bytes[scan.dataEnd + 1], 0xD9);
+    });
+
+    test('should reject data without an SOI marker', () => {
+        assertThrows(() => JpegParser.parse(new Uint8Array([0x89, 0x50])), 'missing SOI');
+    });
+
+    test('should name markers', () => {
+        assertEqual(JpegParser.markerName(0xC2), 'SOF2');
+        assertEqual(JpegParser.markerName(0xE1), 'APP1');
+        assertEqual(JpegParser.markerName(0xD3), 'RST3');
+    });
+});
+
+runner.suite('JpegParser Masks', ({ test }) => {
+    const bytes = createTestJpeg();
+    const segments = JpegParser.parse(bytes);
+    const maskedOffsets = (target) => {
+        const mask = JpegParser.buildMask(bytes, segments, target);
+        return Array.from(mask).map((bit, i) => (bit ? i : -1)).filter(i => i >= 0);
+    };
+
+    test('should expose only entropy-coded bytes for scan', () => {
+        const scan = segments.find(segment => segment.name === 'SCAN');
+        const offsets = maskedOffsets('scan').map(i => i - scan.dataStart);
+        // 0x12, 0x34, 0x56 - never the FF00 pair or the RST0 marker
+        assertEqual(offsets.join(','), '0,3,6');
+    });
+
+    test('should expose quantization values but not the table id', () => {
+        const offsets = maskedOffsets('dqt');
+        assertEqual(offsets.length, 64);
+        assertEqual(offsets[0], 13);
+    });
+
+    test('should expose Huffman symbols but not the code counts', () => {
+        const offsets = maskedOffsets('dht');
+        assertEqual(offsets.length, 2);
+        assertEqual(bytes[offsets[0]], 0x03);
+        assertEqual(bytes[offsets[1]], 0x04);
+    });
+
+    test('should expose the SOF payload without marker or length', () => {
+        const sof = segments.find(segment => segment.name === 'SOF0');
+        const offsets = maskedOffsets('sof');
+        assertEqual(offsets[0], sof.offset + 4);
+        assertEqual(offsets.length, 9);
+    });
+
+    test('should throw for unknown targets', () => {
+        assertThrows(() => JpegParser.buildMask(bytes, segments, 'exif'), 'Unknown JPEG target');
+    });
+});
\ No newline at end of file
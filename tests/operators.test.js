@@ -0,0 +1,192 @@
+import { ByteOperators } from '../js/operators.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// 0, 1, 2 ... 255, 0, 1 ... so every segment is easy to recognise
+function createBytes(length = 1024) {
+    return Uint8Array.from({ length }, (_, i) => i & 0xFF);
+}
+
+function operatorRule(type, params = {}, seed = 1, limits = {}) {
+    return { type, seed, params: ByteOperators.normalize(type, params), windowStart: 0, windowEnd: null, ...limits };
+}
+
+function changedOffsets(before, after) {
+    const offsets = [];
+    before.forEach((value, i) => { if (after[i] !== value) offsets.push(i); });
+    return offsets;
+}
+
+runner.suite('ByteOperators Determinism', ({ test }) => {
+    test('should give the same output for the same seed', () => {
+        for (const type of ByteOperators.TYPES) {
+            const a = createBytes();
+            const b = createBytes();
+            ByteOperators.apply(a, operatorRule(type, type === 'bitflip' ? { density: 0.05 } : {}, 42));
+            ByteOperators.apply(b, operatorRule(type, type === 'bitflip' ? { density: 0.05 } : {}, 42));
+            assertEqual(a.join(','), b.join(','), `${type} should be reproducible`);
+        }
+    });
+
+    test('should give a different output for another seed', () => {
+        const a = createBytes();
+        const b = createBytes();
+        ByteOperators.apply(a, operatorRule('bitflip', { density: 0.05 }, 1));
+        ByteOperators.apply(b, operatorRule('bitflip', { density: 0.05 }, 2));
+        assert(a.join(',') !== b.join(','), 'Seeds should pick different bytes');
+    });
+
+    test('should draw a repeatable sequence', () => {
+        const a = ByteOperators.createRandom(7);
+        const b = ByteOperators.createRandom(7);
+        for (let i = 0; i < 10; i++) {
+            const value = a();
+            assertEqual(value, b());
+            assert(value >= 0 && value < 1, 'Values should be in [0, 1)');
+        }
+    });
+});
+
+runner.suite('ByteOperators Steps', ({ test }) => {
+    test('should flip the chosen bit at roughly the given density', () => {
+        const before = createBytes(10000);
+        const after = before.slice();
+        const count = ByteOperators.apply(after, operatorRule('bitflip', { bit: 3, density: 0.1 }));
+        const changed = changedOffsets(before, after);
+        assertEqual(changed.length, count);
+        assert(count > 800 && count < 1200, `Expected about 1000 flips, got ${count}`);
+        changed.forEach(i => assertEqual(before[i] ^ after[i], 8));
+    });
+
+    test('should rotate and shift every byte at density 1', () => {
+        const rotated = new Uint8Array([0x81, 0x40]);
+        ByteOperators.apply(rotated, operatorRule('rotate', { amount: 1, density: 1 }));
+        assertEqual(Array.from(rotated).join(','), [0x03, 0x80].join(','));
+
+        const shifted = new Uint8Array([0x00, 0xFF]);
+        ByteOperators.apply(shifted, operatorRule('shift', { amount: -1, density: 1 }));
+        assertEqual(Array.from(shifted).join(','), [0xFF, 0xFE].join(','));
+    });
+
+    test('should duplicate a segment over the bytes after it', () => {
+        const bytes = createBytes(200);
+        ByteOperators.apply(bytes, operatorRule('duplicate', { length: 10, repeats: 2 }));
+        const changed = changedOffsets(createBytes(200), bytes);
+        assertEqual(changed.length, 20);
+        const start = changed[0] - 10;
+        for (let i = 0; i < 20; i++) {
+            assertEqual(bytes[changed[0] + i], bytes[start + (i % 10)]);
+        }
+    });
+
+    test('should reverse a segment', () => {
+        const bytes = createBytes(200);
+        ByteOperators.apply(bytes, operatorRule('reverse', { length: 10 }));
+        const changed = changedOffsets(createBytes(200), bytes);
+        assertEqual(changed.length, 10);
+        assertEqual(bytes[changed[0]], changed[9]);
+        assertEqual(bytes[changed[9]], changed[0]);
+    });
+
+    test('should swap two segments that do not overlap', () => {
+        const bytes = createBytes(200);
+        ByteOperators.apply(bytes, operatorRule('swap', { length: 10 }));
+        const changed = changedOffsets(createBytes(200), bytes);
+        assertEqual(changed.length, 20);
+        const [a, b] = [changed[0], changed[10]];
+        assertEqual(bytes[a], b);
+        assertEqual(bytes[b], a);
+    });
+
+    test('should stay inside the window and the allowed bytes', () => {
+        const mask = new Uint8Array(1024).fill(1);
+        mask.fill(0, 100, 200);
+        for (const type of ByteOperators.TYPES) {
+            const bytes = createBytes();
+            ByteOperators.apply(bytes, operatorRule(type, { count: 20, density: 1 }, 3, { windowStart: 50, windowEnd: 500 }), mask);
+            changedOffsets(createBytes(), bytes).forEach(i => {
+                assert(i >= 50 && i < 500, `${type} changed ${i} outside the window`);
+                assert(i < 100 || i >= 200, `${type} changed protected byte ${i}`);
+            });
+        }
+    });
+
+    test('should skip segments that do not fit', () => {
+        const bytes = createBytes(8);
+        assertEqual(ByteOperators.apply(bytes, operatorRule('reverse', { length: 64 })), 0);
+        assertEqual(bytes.join(','), createBytes(8).join(','));
+    });
+});
+
+runner.suite('ByteOperators Validation', ({ test }) => {
+    test('should fill in defaults and drop unknown parameters', () => {
+        const params = ByteOperators.normalize('swap', { length: 4, bit: 2 });
+        assertEqual(JSON.stringify(params), JSON.stringify({ length: 4, count: 1 }));
+    });
+
+    test('should reject invalid parameters', () => {
+        assertThrows(() => ByteOperators.normalize('melt'), 'Unknown byte operator');
+        assertThrows(() => ByteOperators.normalize('bitflip', { bit: 8 }), 'bit must be an integer from 0 to 7');
+        assertThrows(() => ByteOperators.normalize('bitflip', { density: 0 }), 'density');
+        assertThrows(() => ByteOperators.normalize('rotate', { amount: 8 }), 'amount');
+        assertThrows(() => ByteOperators.normalize('shift', { amount: 0 }), 'must not be 0');
+        assertThrows(() => ByteOperators.normalize('reverse', { length: 0 }), 'length');
+        assertThrows(() => ByteOperators.normalizeSeed(-1), 'seed');
+    });
+});
+
+runner.suite('Operator Rules', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setHeaderProtection(false);
+    });
+
+    test('should run operators in the chain next to replacement', () => {
+        engine.setRules([
+            { sourceChars: 'a', destChars: 'b' },
+            { type: 'shift', params: { amount: 1, density: 1 }, seed: 5 }
+        ]);
+        const bytes = new TextEncoder().encode('abc');
+        engine.corruptImageBytes(bytes);
+        assertEqual(new TextDecoder().decode(bytes), 'ccd');
+    });
+
+    test('should be reproducible across engines', () => {
+        const run = () => {
+            const other = new GlitchEngine({ getContext: () => ({}) });
+            other.setRules([{ type: 'bitflip', params: { density: 0.1 }, seed: 99 }]);
+            const bytes = createBytes();
+            other.corruptImageBytes(bytes);
+            return bytes.join(',');
+        };
+        assertEqual(run(), run());
+    });
+
+    test('should leave protected bytes alone', () => {
+        engine.setHeaderProtection(true);
+        engine.setRules([{ type: 'bitflip', params: { density: 1 } }]);
+        const bytes = createBytes(100);
+        engine.corruptImageBytes(bytes);
+        assertEqual(changedOffsets(createBytes(100), bytes)[0], 50, 'JPEG protects the first 50 bytes');
+    });
+
+    test('should keep seed and parameters on update', () => {
+        engine.setRules([{ type: 'reverse', params: { length: 8 }, seed: 12 }]);
+        engine.setRuleEnabled(0, false);
+        engine.updateRule(0, { windowStart: 4 });
+        assertEqual(engine.rules[0].seed, 12);
+        assertEqual(engine.rules[0].params.length, 8);
+        assertEqual(engine.rules[0].enabled, false);
+    });
+
+    test('should reject invalid operator rules', () => {
+        assertThrows(() => engine.setRules([{ type: 'melt' }]), 'Unknown byte operator');
+        assertThrows(() => engine.setRules([{ type: 'bitflip', seed: 1.5 }]), 'seed');
+    });
+});
@@ -0,0 +1,83 @@
+import { BytePattern, PatternSyntaxError } from '../js/pattern.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+runner.suite('BytePattern Parsing', ({ test }) => {
+    test('should parse raw hex bytes with or without spaces', () => {
+        const spaced = BytePattern.parseSource('FF D9');
+        const packed = BytePattern.parseSource('ffd9');
+        assertEqual(spaced.length, 2);
+        assertEqual(packed.length, 2);
+        assertEqual(spaced[0].min, 0xFF);
+        assertEqual(packed[1].max, 0xD9);
+        assertEqual(spaced[0].capture, false);
+    });
+
+    test('should parse wildcards and ranges as captures', () => {
+        const matchers = BytePattern.parseSource('FF ?? [00-1F]');
+        assertEqual(matchers.length, 3);
+        assertEqual(matchers[1].min, 0x00);
+        assertEqual(matchers[1].max, 0xFF);
+        assertEqual(matchers[2].max, 0x1F);
+        assertEqual(BytePattern.countCaptures(matchers), 2);
+    });
+
+    test('should parse quoted UTF-8 text', () => {
+        const matchers = BytePattern.parseSource('"ab" 00');
+        assertEqual(matchers.length, 3);
+        assertEqual(matchers[0].min, 97);
+        assertEqual(matchers[2].min, 0);
+    });
+
+    test('should report syntax errors with their position', () => {
+        const cases = ['FF ?', 'F', '[00-1F', '[20-10]', '"abc', 'GG'];
+        for (const pattern of cases) {
+            try {
+                BytePattern.parseSource(pattern);
+                throw new Error(`Should reject "${pattern}"`);
+            } catch (error) {
+                assert(error instanceof PatternSyntaxError, `"${pattern}" should raise PatternSyntaxError`);
+                assert(typeof error.position === 'number', 'Error should carry a position');
+            }
+        }
+    });
+
+    test('should parse dest capture references', () => {
+        const tokens = BytePattern.parseDest('$2 00 $1', 2);
+        assertEqual(tokens.length, 3);
+        assertEqual(tokens[0].capture, 1);
+        assertEqual(tokens[1].value, 0);
+    });
+
+    test('should reject captures the source does not provide', () => {
+        assertThrows(() => BytePattern.parseDest('$3', 2), 'refers to a capture');
+        assertThrows(() => BytePattern.parseDest('??', 1), 'only allowed in the source');
+    });
+});
+
+runner.suite('BytePattern Matching', ({ test }) => {
+    test('should match and capture bytes', () => {
+        const matchers = BytePattern.parseSource('FF [C0-CF] ??');
+        const bytes = new Uint8Array([0x00, 0xFF, 0xC4, 0x12]);
+        assertEqual(BytePattern.matchAt(bytes, 0, matchers), null);
+
+        const captures = BytePattern.matchAt(bytes, 1, matchers);
+        assertEqual(captures.length, 2);
+        assertEqual(captures[0], 0xC4);
+        assertEqual(captures[1], 0x12);
+    });
+
+    test('should render dest tokens with captured bytes', () => {
+        const tokens = BytePattern.parseDest('$2 $1 00', 2);
+        const output = BytePattern.render(tokens, [0xAA, 0xBB]);
+        assertEqual(output.join(','), [0xBB, 0xAA, 0x00].join(','));
+    });
+
+    test('should describe patterns for display', () => {
+        assertEqual(BytePattern.describeSource(BytePattern.parseSource('ff??[00-1f]')), 'FF ?? 00-1F');
+        assertEqual(BytePattern.describeDest(BytePattern.parseDest('0a $1', 1)), '0A $1');
+    });
+});
\ No newline at end of file
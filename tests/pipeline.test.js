@@ -0,0 +1,128 @@
+import { GlitchPipeline } from '../js/pipeline.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+function createTestImage() {
+    const imageData = new ImageData(8, 8);
+    for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data.set([i & 0xFF, 0x61, 0x80, 255], i);
+    }
+    return imageData;
+}
+
+// Stands in for the pipeline worker: records messages, replies on demand
+function createFakeWorker() {
+    return {
+        sent: [],
+        terminated: false,
+        postMessage(message, transfer) {
+            this.sent.push({ message, transfer });
+        },
+        terminate() {
+            this.terminated = true;
+        }
+    };
+}
+
+function configureEngine(engine) {
+    engine.setCorruptionMode('bmp');
+    engine.setActive(true);
+    engine.setHeaderProtection(false);
+    engine.setBmpOptions({ variant: '32' });
+    engine.setRules([
+        { sourceChars: 'a', destChars: 'z', maxReplacements: 5 },
+        { type: 'bitflip', seed: 7, params: { density: 0.1 } },
+        { sourceChars: '80 ??', destChars: '$1', syntax: 'hex', splice: true, enabled: false }
+    ]);
+}
+
+runner.suite('Engine Settings Snapshot', ({ test }) => {
+    test('should survive structured cloning', () => {
+        const engine = new GlitchEngine({ getContext: () => ({}) });
+        configureEngine(engine);
+        const settings = structuredClone(engine.getSettings());
+        assertEqual(settings.rules.length, 3);
+        assertEqual(settings.rules[1].params.density, 0.1);
+        assertEqual(settings.rules[0].sourcePattern, undefined, 'Compiled patterns are not sent');
+    });
+
+    test('should make another engine produce the same frame', async () => {
+        const source = new GlitchEngine({ getContext: () => ({}) });
+        const copy = new GlitchEngine({ getContext: () => ({}) });
+        configureEngine(source);
+        copy.applySettings(structuredClone(source.getSettings()));
+
+        assertEqual(copy.corruptionMode, 'bmp');
+        assertEqual(copy.bmpOptions.variant, '32');
+        assertEqual(copy.rules[2].enabled, false);
+        const a = await source.processFrame(createTestImage());
+        const b = await copy.processFrame(createTestImage());
+        assert(a.report.changedBytes > 0, 'The rules should change something');
+        assertEqual(Array.from(b.imageData.data).join(','), Array.from(a.imageData.data).join(','));
+    });
+});
+
+runner.suite('GlitchPipeline', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        configureEngine(engine);
+    });
+
+    test('should process on the main thread without a worker', async () => {
+        const pipeline = new GlitchPipeline(engine, { worker: null });
+        assertEqual(pipeline.usesWorker, false);
+        const { imageData, report } = await pipeline.processFrame(createTestImage());
+        assertEqual(imageData.width, 8);
+        assertEqual(report.format, 'bmp');
+    });
+
+    test('should transfer the frame and send the settings', () => {
+        const worker = createFakeWorker();
+        const pipeline = new GlitchPipeline(engine, { worker });
+        const frame = createTestImage();
+        pipeline.processFrame(frame);
+
+        const [{ message, transfer }] = worker.sent;
+        assertEqual(message.frame, frame);
+        assertEqual(transfer[0], frame.data.buffer, 'Pixels are transferred, not copied');
+        assertEqual(JSON.stringify(message.settings), JSON.stringify(engine.getSettings()));
+    });
+
+    test('should resolve each frame from its reply', async () => {
+        const worker = createFakeWorker();
+        const pipeline = new GlitchPipeline(engine, { worker });
+        const first = pipeline.processFrame(createTestImage());
+        const second = pipeline.processFrame(createTestImage());
+        const [a, b] = worker.sent.map(({ message }) => message.id);
+
+        const report = { format: 'bmp' };
+        worker.onmessage({ data: { id: b, imageData: new ImageData(2, 2), report } });
+        worker.onmessage({ data: { id: a, error: 'Unknown raw pixel layout' } });
+        assertEqual((await second).imageData.width, 2);
+        assertEqual(engine.lastReport, report);
+        let message = null;
+        await first.catch(error => { message = error.message; });
+        assertEqual(message, 'Unknown raw pixel layout');
+    });
+
+    test('should fall back to the main thread when the worker fails', async () => {
+        const worker = createFakeWorker();
+        const pipeline = new GlitchPipeline(engine, { worker });
+        const lost = pipeline.processFrame(createTestImage());
+        worker.onerror({ message: 'Failed to load module script' });
+
+        let failed = false;
+        await lost.catch(() => { failed = true; });
+        assert(failed, 'Frames sent to the broken worker are rejected');
+        assert(worker.terminated, 'The worker is terminated');
+        assertEqual(pipeline.usesWorker, false);
+        const { imageData } = await pipeline.processFrame(createTestImage());
+        assertEqual(imageData.height, 8);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,182 @@
+import { PngStream } from '../js/png-stream.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// Build a 4x2 RGB PNG with the given scanlines, split over two IDAT chunks
+async function createTestPng(scanlines, interlace = 0) {
+    const ihdr = new Uint8Array(13);
+    PngStream.writeUint32(ihdr, 0, 4);
+    PngStream.writeUint32(ihdr, 4, 2);
+    ihdr.set([8, 2, 0, 0, interlace], 8);
+
+    const compressed = await PngStream.deflate(scanlines);
+    const half = Math.floor(compressed.length / 2);
+    const parts = [
+        new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        PngStream.createChunk('IHDR', ihdr),
+        PngStream.createChunk('IDAT', compressed.subarray(0, half)),
+        PngStream.createChunk('IDAT', compressed.subarray(half)),
+        PngStream.createChunk('IEND', new Uint8Array(0))
+    ];
+    const png = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        png.set(part, offset);
+        offset += part.length;
+    }
+    return png;
+}
+
+// Two scanlines of 1 filter byte + 4 RGB pixels
+function createScanlines() {
+    const scanlines = new Uint8Array(2 * 13);
+    scanlines[0] = 0;
+    scanlines[13] = 1;
+    for (let i = 1; i < 13; i++) {
+        scanlines[i] = 0x61;
+        scanlines[13 + i] = 0x61;
+    }
+    return scanlines;
+}
+
+function assertValidCrcs(png) {
+    for (const chunk of PngStream.parseChunks(png)) {
+        const stored = PngStream.readUint32(png, chunk.dataEnd);
+        assertEqual(stored, PngStream.crc32(png, chunk.offset + 4, chunk.dataEnd), `${chunk.type} CRC should match`);
+    }
+}
+
+runner.suite('PngStream Chunks', ({ test }) => {
+    test('should compute the standard CRC-32', () => {
+        // CRC of the empty IEND chunk type is a well known constant
+        assertEqual(PngStream.crc32(new TextEncoder().encode('IEND')), 0xAE426082);
+    });
+
+    test('should parse chunks and the IHDR header', async () => {
+        const png = await createTestPng(createScanlines());
+        const chunks = PngStream.parseChunks(png);
+        assertEqual(chunks.map(chunk => chunk.type).join(','), 'IHDR,IDAT,IDAT,IEND');
+
+        const header = PngStream.readHeader(png, chunks);
+        assertEqual(header.width, 4);
+        assertEqual(header.height, 2);
+        assertEqual(header.bitsPerPixel, 24);
+    });
+
+    test('should reject data without the PNG signature', () => {
+        assertThrows(() => PngStream.parseChunks(new Uint8Array([0xFF, 0xD8, 0xFF])), 'bad signature');
+    });
+
+    test('should inflate split IDAT chunks back to the scanlines', async () => {
+        const png = await createTestPng(createScanlines());
+        const chunks = PngStream.parseChunks(png);
+        const scanlines = await PngStream.inflate(PngStream.joinData(png, chunks, 'IDAT'));
+        assertEqual(Array.from(scanlines).join(','), Array.from(createScanlines()).join(','));
+    });
+
+    test('should rebuild with a single IDAT and valid CRCs', async () => {
+        const png = await createTestPng(createScanlines());
+        const chunks = PngStream.parseChunks(png);
+        const rebuilt = PngStream.rebuild(png, chunks, await PngStream.deflate(new Uint8Array(26)));
+        assertEqual(PngStream.parseChunks(rebuilt).map(chunk => chunk.type).join(','), 'IHDR,IDAT,IEND');
+        assertValidCrcs(rebuilt);
+    });
+});
+
+runner.suite('PngStream Scanlines', ({ test }) => {
+    const header = { width: 4, height: 2, bitsPerPixel: 24, interlace: 0 };
+
+    test('should locate filter bytes of every scanline', () => {
+        assertEqual(PngStream.scanlineOffsets(header).join(','), '0,13');
+    });
+
+    test('should locate filter bytes of Adam7 passes', () => {
+        // 4x2 interlaced: passes 1, 2(empty width), 3(empty), 4, 5(empty), 6, 7
+        const offsets = PngStream.scanlineOffsets({ ...header, interlace: 1 });
+        assertEqual(offsets.length, 4);
+        assertEqual(offsets[0], 0);
+    });
+
+    test('should build filter and pixel masks', () => {
+        const filter = PngStream.buildMask(26, header, 'filter');
+        const pixels = PngStream.buildMask(26, header, 'pixels');
+        assertEqual(filter.reduce((sum, bit) => sum + bit, 0), 2);
+        assertEqual(pixels.reduce((sum, bit) => sum + bit, 0), 24);
+        assertEqual(filter[13], 1);
+        assertEqual(pixels[13], 0);
+    });
+
+    test('should compute the inflated data length from the header', () => {
+        assertEqual(PngStream.dataLength(header), 26);
+        // Adam7 passes 1, 4, 6 and 7 are 1, 1, 2 and 4 pixels wide
+        assertEqual(PngStream.dataLength({ ...header, interlace: 1 }), 4 + 4 + 7 + 13);
+    });
+
+    test('should cut or pad spliced data to the header', () => {
+        assertEqual(PngStream.fitData(new Uint8Array(30).fill(1), header).length, 26);
+        const padded = PngStream.fitData(new Uint8Array(20).fill(1), header);
+        assertEqual(padded.length, 26);
+        assertEqual(padded[25], 0);
+    });
+
+    test('should fold invalid filter types back into range', () => {
+        const scanlines = createScanlines();
+        scanlines[0] = 7;
+        scanlines[13] = 4;
+        assertEqual(PngStream.repairFilterTypes(scanlines, header), 1);
+        assertEqual(scanlines[0], 2);
+        assertEqual(scanlines[13], 4);
+    });
+});
+
+runner.suite('PNG Scanline Corruption', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('png');
+        engine.setActive(true);
+    });
+
+    test('should corrupt pixels and keep the file structurally valid', async () => {
+        const png = await createTestPng(createScanlines());
+        engine.setRules([{ sourceChars: 'a', destChars: 'b', target: 'pixels' }]);
+        const corrupted = await engine.corruptPngStream(png);
+        assertValidCrcs(corrupted);
+
+        const chunks = PngStream.parseChunks(corrupted);
+        const scanlines = await PngStream.inflate(PngStream.joinData(corrupted, chunks, 'IDAT'));
+        assertEqual(scanlines[1], 0x62);
+        assertEqual(scanlines[13], 1, 'Filter byte should be untouched');
+    });
+
+    test('should only touch filter bytes with the filter target', async () => {
+        const png = await createTestPng(createScanlines());
+        engine.setRules([{ sourceChars: '01', destChars: '04', syntax: 'hex', target: 'filter' }]);
+        const corrupted = await engine.corruptPngStream(png);
+
+        const chunks = PngStream.parseChunks(corrupted);
+        const scanlines = await PngStream.inflate(PngStream.joinData(corrupted, chunks, 'IDAT'));
+        assertEqual(scanlines[13], 4);
+        assertEqual(scanlines[1], 0x61);
+    });
+
+    test('should repair filter types only when headers are protected', async () => {
+        const png = await createTestPng(createScanlines());
+        engine.setRules([{ sourceChars: '01', destChars: '09', syntax: 'hex', target: 'filter' }]);
+
+        engine.setHeaderProtection(true);
+        const protectedPng = await engine.corruptPngStream(png);
+        let scanlines = await PngStream.inflate(PngStream.joinData(protectedPng, PngStream.parseChunks(protectedPng), 'IDAT'));
+        assertEqual(scanlines[13], 4);
+
+        engine.setHeaderProtection(false);
+        const rawPng = await engine.corruptPngStream(png);
+        scanlines = await PngStream.inflate(PngStream.joinData(rawPng, PngStream.parseChunks(rawPng), 'IDAT'));
+        assertEqual(scanlines[13], 9);
+    });
+});
\ No newline at end of file
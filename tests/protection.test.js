@@ -0,0 +1,174 @@
+import { ProtectionProfile } from '../js/protection.js';
+import { GlitchEngine } from '../js/glitch.js';
+import { JpegEncoder } from '../js/jpeg-encoder.js';
+import { JpegParser } from '../js/jpeg-parser.js';
+import { BmpCodec } from '../js/bmp-codec.js';
+import { GifCodec } from '../js/gif-codec.js';
+import { TiffCodec } from '../js/tiff-codec.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+function createTestImage() {
+    const imageData = new ImageData(16, 16);
+    for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data.set([i & 0xFF, 0x61, 0x80, 255], i);
+    }
+    return imageData;
+}
+
+function protectedOffsets(mask) {
+    const offsets = [];
+    mask.forEach((value, i) => { if (value) offsets.push(i); });
+    return offsets;
+}
+
+runner.suite('ProtectionProfile Syntax', ({ test }) => {
+    test('should parse offsets, percentages and structures', () => {
+        const entries = ProtectionProfile.parse('0-50\n10% - 25.5%, ifd', 'tiff');
+        assertEqual(JSON.stringify(entries), JSON.stringify([
+            { type: 'bytes', start: 0, end: 50 },
+            { type: 'percent', start: 10, end: 25.5 },
+            { type: 'structure', name: 'ifd' }
+        ]));
+    });
+
+    test('should round trip through text', () => {
+        const text = '0-50\n0%-30%\nmarkers';
+        assertEqual(ProtectionProfile.stringify(ProtectionProfile.parse(text, 'jpeg')), text);
+        assertEqual(ProtectionProfile.parse('  \n', 'jpeg').length, 0);
+    });
+
+    test('should report the failing entry', () => {
+        assertThrows(() => ProtectionProfile.parse('0-50, 50-10', 'jpeg'), 'must end after it starts: 50-10 (entry 2)');
+        assertThrows(() => ProtectionProfile.parse('0%-150%', 'jpeg'), 'out of bounds');
+        assertThrows(() => ProtectionProfile.parse('0x10-0x20', 'jpeg'), 'Invalid protected range "0x10-0x20" (entry 1)');
+        assertThrows(() => ProtectionProfile.parse('ifd', 'jpeg'), 'Unknown jpeg structure: ifd');
+    });
+
+    test('should validate stored profiles', () => {
+        assertThrows(() => ProtectionProfile.validate('0-50', 'jpeg'), 'list of ranges');
+        assertThrows(() => ProtectionProfile.validate([{ type: 'bytes', start: 1.5, end: 4 }], 'jpeg'), 'out of bounds');
+        assertThrows(() => ProtectionProfile.validate([{ type: 'regex' }], 'jpeg'), 'Unknown protected range type');
+        assertThrows(() => ProtectionProfile.validate([], 'avif'), 'Unknown format');
+    });
+});
+
+runner.suite('ProtectionProfile Masks', ({ test }) => {
+    test('should reproduce the old fixed protection by default', () => {
+        const defaults = ProtectionProfile.defaults();
+        const bytes = new Uint8Array(1000);
+        // BMP protected max(30 bytes, 20%) of the file
+        const bmp = ProtectionProfile.buildMask(bytes, 'bmp', defaults.bmp);
+        assertEqual(protectedOffsets(bmp).length, 200);
+        assertEqual(ProtectionProfile.buildMask(bytes.subarray(0, 100), 'bmp', defaults.bmp)[29], 1);
+        assertEqual(ProtectionProfile.buildMask(bytes, 'png', defaults.png), null, 'PNG protects nothing by default');
+    });
+
+    test('should clamp ranges to the stream', () => {
+        const mask = ProtectionProfile.buildMask(new Uint8Array(10), 'jpeg', ProtectionProfile.parse('5-500', 'jpeg'));
+        assertEqual(protectedOffsets(mask).join(','), '5,6,7,8,9');
+    });
+
+    test('should protect every JPEG marker segment or just the restart markers', () => {
+        const bytes = JpegEncoder.encode(createTestImage(), { restartInterval: 1 });
+        const scan = JpegParser.parse(bytes).find(segment => segment.name === 'SCAN');
+
+        const markers = ProtectionProfile.buildMask(bytes, 'jpeg', ProtectionProfile.parse('markers', 'jpeg'));
+        assertEqual(markers[scan.dataStart - 1], 1, 'SOS header is protected');
+        assertEqual(markers[scan.dataStart], 0, 'Scan data is not');
+        assertEqual(markers[bytes.length - 1], 1, 'EOI is protected');
+
+        const restart = ProtectionProfile.buildMask(bytes, 'jpeg', ProtectionProfile.parse('restart', 'jpeg'));
+        const offsets = protectedOffsets(restart);
+        assert(offsets.length > 0 && offsets.length % 2 === 0, 'Restart markers are two bytes each');
+        offsets.filter((_, i) => i % 2 === 0).forEach(offset => {
+            assertEqual(bytes[offset], 0xFF);
+            assert(JpegParser.isRestart(bytes[offset + 1]), 'Only RSTn markers are protected');
+        });
+    });
+
+    test('should protect GIF sub-block sizes', () => {
+        const bytes = GifCodec.encode(createTestImage());
+        const layout = GifCodec.parse(bytes);
+        const mask = ProtectionProfile.buildMask(bytes, 'gif', ProtectionProfile.parse('block-sizes', 'gif'), layout);
+        const { blocks } = layout.images[0];
+        assertEqual(mask[blocks[0].start - 1], 1);
+        assertEqual(mask[blocks[0].start], 0);
+        assertEqual(bytes[blocks[blocks.length - 1].end], 0, 'Terminator follows the last block');
+        assertEqual(mask[blocks[blocks.length - 1].end], 1);
+    });
+
+    test('should protect the BMP file and info headers', () => {
+        const bytes = BmpCodec.encode(createTestImage());
+        const file = ProtectionProfile.buildMask(bytes, 'bmp', ProtectionProfile.parse('file-header', 'bmp'));
+        const info = ProtectionProfile.buildMask(bytes, 'bmp', ProtectionProfile.parse('info-header', 'bmp'));
+        assertEqual(protectedOffsets(file).length, 14);
+        assertEqual(protectedOffsets(info)[0], 14);
+        assertEqual(protectedOffsets(info).length, 40);
+    });
+});
+
+runner.suite('Header Protection Profiles', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setHeaderProtection(true);
+    });
+
+    test('should keep the previous profile when a new one is invalid', () => {
+        assertThrows(() => engine.setProtectionProfile('jpeg', [{ type: 'structure', name: 'ifd' }]), 'Unknown jpeg structure');
+        assertEqual(ProtectionProfile.stringify(engine.protectionProfiles.jpeg), '0-50');
+    });
+
+    test('should only corrupt outside the protected ranges', () => {
+        engine.setRules([{ sourceChars: 'a', destChars: 'b' }]);
+        engine.setProtectionProfile('jpeg', ProtectionProfile.parse('0-2, 50%-75%', 'jpeg'));
+        const bytes = new TextEncoder().encode('aaaaaaaa');
+        engine.corruptImageBytes(bytes);
+        assertEqual(new TextDecoder().decode(bytes), 'aabbaabb');
+    });
+
+    test('should skip matches that overlap a protected byte', () => {
+        engine.setRules([{ sourceChars: 'ab', destChars: 'xy' }]);
+        engine.setProtectionProfile('jpeg', ProtectionProfile.parse('1-2', 'jpeg'));
+        const bytes = new TextEncoder().encode('abab');
+        engine.corruptImageBytes(bytes);
+        assertEqual(new TextDecoder().decode(bytes), 'abxy');
+    });
+
+    test('should combine protection with rule targets', () => {
+        engine.setCorruptionMode('tiff');
+        engine.setRules([{ sourceChars: '??', destChars: '00', syntax: 'hex', target: 'strips' }]);
+        engine.setProtectionProfile('tiff', ProtectionProfile.parse('header, ifd, 0%-100%', 'tiff'));
+        const bytes = TiffCodec.encode(createTestImage());
+        const corrupted = bytes.slice();
+        engine.corruptImageBytes(corrupted, TiffCodec.parse(corrupted));
+        assertEqual(corrupted.join(','), bytes.join(','), 'Everything is protected');
+    });
+
+    test('should drop the IFD from the profile when it is exposed', () => {
+        engine.setCorruptionMode('tiff');
+        const bytes = TiffCodec.encode(createTestImage());
+        const layout = TiffCodec.parse(bytes);
+        assertEqual(engine.buildProtectionMask(bytes, layout)[8], 1);
+        engine.setTiffOptions({ exposeIfd: true });
+        const mask = engine.buildProtectionMask(bytes, layout);
+        assertEqual(mask[7], 1, 'Header stays protected');
+        assertEqual(mask[8], 0);
+    });
+
+    test('should ignore the profile when protection is off', () => {
+        engine.setHeaderProtection(false);
+        assertEqual(engine.buildProtectionMask(new Uint8Array(100)), null);
+    });
+
+    test('should reset a profile to its default', () => {
+        engine.setProtectionProfile('gif', []);
+        engine.resetProtectionProfile('gif');
+        assertEqual(ProtectionProfile.stringify(engine.protectionProfiles.gif), '0-13');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { RawPixels } from '../js/raw-pixels.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// 5x3 so YUV has odd edges; every channel differs per pixel
+function createTestImage() {
+    const imageData = new ImageData(5, 3);
+    for (let i = 0; i < 15; i++) {
+        imageData.data.set([i * 16, 255 - i * 16, 64 + i * 8, 255], i * 4);
+    }
+    return imageData;
+}
+
+function maxError(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.data.length; i++) {
+        max = Math.max(max, Math.abs(a.data[i] - b.data[i]));
+    }
+    return max;
+}
+
+runner.suite('RawPixels Layouts', ({ test }) => {
+    test('should round trip interleaved and planar layouts exactly', () => {
+        const image = createTestImage();
+        for (const layout of ['rgba', 'planar']) {
+            const bytes = RawPixels.pack(image, layout);
+            assertEqual(maxError(RawPixels.unpack(bytes, 5, 3, layout), image), 0, layout);
+        }
+    });
+
+    test('should lay planar bytes out one channel at a time', () => {
+        const bytes = RawPixels.pack(createTestImage(), 'planar');
+        assertEqual(bytes.length, 45);
+        assertEqual(bytes[1], 16, 'Second red');
+        assertEqual(bytes[15], 255, 'First green');
+        assertEqual(bytes[30], 64, 'First blue');
+    });
+
+    test('should size YUV 4:2:0 planes with rounded-up chroma', () => {
+        const bytes = RawPixels.pack(createTestImage(), 'yuv420');
+        assertEqual(bytes.length, 15 + 3 * 2 * 2);
+    });
+
+    test('should convert gray through YUV without a color cast', () => {
+        const image = new ImageData(4, 4);
+        for (let i = 0; i < 16; i++) image.data.set([200, 200, 200, 255], i * 4);
+        const bytes = RawPixels.pack(image, 'yuv420');
+        assertEqual(bytes[0], 200);
+        assertEqual(bytes[16], 128, 'Neutral U');
+        assertEqual(bytes[20], 128, 'Neutral V');
+        assert(maxError(RawPixels.unpack(bytes, 4, 4, 'yuv420'), image) <= 1, 'Gray survives the round trip');
+    });
+
+    test('should read spliced-out bytes as black or neutral chroma', () => {
+        const image = new ImageData(2, 2);
+        image.data.fill(100);
+        const bytes = RawPixels.pack(image, 'yuv420').slice(0, 4);
+        const decoded = RawPixels.unpack(bytes, 2, 2, 'yuv420');
+        assertEqual(Array.from(decoded.data.slice(0, 4)).join(','), '100,100,100,255');
+        assertEqual(RawPixels.unpack(new Uint8Array(0), 1, 1, 'planar').data.join(','), '0,0,0,255');
+    });
+
+    test('should reject an unknown layout', () => {
+        assertThrows(() => RawPixels.pack(createTestImage(), 'nv12'), 'Unknown raw pixel layout: nv12');
+    });
+});
+
+runner.suite('RAW Mode', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('raw');
+        engine.setActive(true);
+    });
+
+    test('should run rules directly on pixel memory', async () => {
+        engine.setRules([{ sourceChars: '10', destChars: '00', syntax: 'hex' }]);
+        const image = createTestImage();
+        const result = await engine.applyEffect(image);
+        assertEqual(result.data[4], 0, 'Red 16 became 0');
+        assertEqual(result.data[5], 239, 'Other channels are untouched');
+        assertEqual(image.data[4], 16, 'The input frame is not modified');
+    });
+
+    test('should corrupt the chosen layout', async () => {
+        // In planar memory bytes 15-29 are green
+        engine.setRawOptions({ layout: 'planar' });
+        engine.setHeaderProtection(false);
+        engine.setRules([{ sourceChars: '??', destChars: '00', syntax: 'hex', windowStart: 15, windowEnd: 30 }]);
+        const { imageData, report } = await engine.processFrame(createTestImage());
+        for (let i = 0; i < 15; i++) {
+            assertEqual(imageData.data[i * 4 + 1], 0);
+            assertEqual(imageData.data[i * 4], i * 16);
+        }
+        assertEqual(report.encodedSize, 45);
+        assertEqual(report.decoder, 'js');
+    });
+
+    test('should survive splices that change the size', async () => {
+        engine.setRawOptions({ layout: 'yuv420' });
+        engine.setRules([{ sourceChars: '??', destChars: '', syntax: 'hex', splice: true, maxReplacements: 7 }]);
+        const { imageData, report } = await engine.processFrame(createTestImage());
+        assertEqual(imageData.width, 5);
+        assertEqual(report.corruptedSize, report.encodedSize - 7);
+    });
+
+    test('should keep the previous layout when a new one is invalid', () => {
+        assertThrows(() => engine.setRawOptions({ layout: 'nv12' }), 'Unknown raw pixel layout');
+        assertEqual(engine.rawOptions.layout, 'rgba');
+    });
+});
\ No newline at end of file
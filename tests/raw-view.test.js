@@ -0,0 +1,99 @@
+import { RawView } from '../js/raw-view.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+function pixelAt(imageData, x, y) {
+    const i = (y * imageData.width + x) * 4;
+    return Array.from(imageData.data.slice(i, i + 4)).join(',');
+}
+
+runner.suite('RawView Renderers', ({ test }) => {
+    const bytes = Uint8Array.from({ length: 64 }, (_, i) => i);
+
+    test('should keep the one-byte RGB smear by default', () => {
+        const view = RawView.render(bytes, 4, 2);
+        assertEqual(pixelAt(view, 0, 0), '0,1,2,255');
+        assertEqual(pixelAt(view, 1, 0), '1,2,3,255');
+        assertEqual(pixelAt(view, 0, 1), '4,5,6,255');
+    });
+
+    test('should step a whole pixel for RGB, RGBA and gray', () => {
+        assertEqual(pixelAt(RawView.render(bytes, 4, 2, { renderer: 'rgb' }), 1, 0), '3,4,5,255');
+        assertEqual(pixelAt(RawView.render(bytes, 4, 2, { renderer: 'gray' }), 3, 1), '7,7,7,255');
+        // Alpha 7 darkens 4,5,6 over black
+        assertEqual(pixelAt(RawView.render(bytes, 4, 2, { renderer: 'rgba' }), 1, 0), '0,0,0,255');
+        const opaque = new Uint8Array([200, 100, 50, 255]);
+        assertEqual(pixelAt(RawView.render(opaque, 1, 1, { renderer: 'rgba' }), 0, 0), '200,100,50,255');
+    });
+
+    test('should expand little-endian RGB565', () => {
+        const red = new Uint8Array([0x00, 0xF8]);
+        const green = new Uint8Array([0xE0, 0x07]);
+        assertEqual(pixelAt(RawView.render(red, 1, 1, { renderer: 'rgb565' }), 0, 0), '255,0,0,255');
+        assertEqual(pixelAt(RawView.render(green, 1, 1, { renderer: 'rgb565' }), 0, 0), '0,255,0,255');
+    });
+
+    test('should read planar data one plane per channel', () => {
+        // 4x2 frame: R plane 0-7, G plane 8-15, B plane 16-23
+        const view = RawView.render(bytes, 4, 2, { renderer: 'planar' });
+        assertEqual(pixelAt(view, 0, 0), '0,8,16,255');
+        assertEqual(pixelAt(view, 3, 1), '7,15,23,255');
+    });
+
+    test('should honour row width and offset', () => {
+        const view = RawView.render(bytes, 4, 2, { renderer: 'gray', rowWidth: 2, offset: 10 });
+        assertEqual(pixelAt(view, 1, 0), '11,11,11,255');
+        assertEqual(pixelAt(view, 0, 1), '12,12,12,255', 'Rows are two pixels wide');
+        assertEqual(pixelAt(view, 2, 0), '0,0,0,255', 'Columns past the row width stay black');
+
+        const wide = RawView.render(bytes, 2, 2, { renderer: 'gray', rowWidth: 8 });
+        assertEqual(pixelAt(wide, 0, 1), '8,8,8,255', 'Wider rows are cropped');
+    });
+
+    test('should wrap around short streams', () => {
+        const view = RawView.render(new Uint8Array([1, 2, 3]), 4, 1, { renderer: 'gray' });
+        assertEqual(pixelAt(view, 3, 0), '1,1,1,255');
+        assertEqual(pixelAt(RawView.render(new Uint8Array(0), 2, 2), 1, 1), '0,0,0,255');
+    });
+
+    test('should reject bad settings', () => {
+        assertThrows(() => RawView.validate({ renderer: 'cmyk', rowWidth: 0, offset: 0 }), 'Unknown raw renderer');
+        assertThrows(() => RawView.validate({ renderer: 'rgb', rowWidth: -1, offset: 0 }), 'row width');
+        assertThrows(() => RawView.validate({ renderer: 'rgb', rowWidth: 0, offset: 1.5 }), 'offset');
+    });
+});
+
+runner.suite('Raw View Mode', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('bmp');
+    });
+
+    test('should keep the previous settings when new ones are invalid', () => {
+        assertThrows(() => engine.setRawView({ renderer: 'cmyk' }), 'Unknown raw renderer');
+        assertEqual(engine.rawView.renderer, 'smear');
+    });
+
+    test('should render undecodable frames with the chosen renderer', () => {
+        engine.setRawView({ renderer: 'gray', offset: 1 });
+        const view = engine.useCorruptedBytes(new Uint8Array([9, 8, 7]), new ImageData(2, 1));
+        assertEqual(pixelAt(view, 0, 0), '8,8,8,255');
+    });
+
+    test('should show the raw file even when it decodes', async () => {
+        engine.setRawView({ renderer: 'gray', always: true });
+        const frame = new ImageData(8, 8);
+        frame.data.fill(255);
+        const { imageData, report } = await engine.processFrame(frame);
+        assertEqual(report.decoder, 'raw');
+        // A BMP starts with "BM"
+        assertEqual(pixelAt(imageData, 0, 0), '66,66,66,255');
+        assertEqual(pixelAt(imageData, 1, 0), '77,77,77,255');
+    });
+});
\ No newline at end of file
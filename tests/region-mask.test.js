@@ -0,0 +1,161 @@
+import { RegionMask } from '../js/region-mask.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+function createFrame(width, height, value) {
+    const imageData = new ImageData(width, height);
+    for (let i = 0; i < imageData.data.length; i += 4) {
+        imageData.data.set([value, value, value, 255], i);
+    }
+    return imageData;
+}
+
+function maskWithoutFeather() {
+    const mask = new RegionMask();
+    mask.setFeather(0);
+    return mask;
+}
+
+runner.suite('RegionMask Shapes', ({ test }) => {
+    test('should be inactive until something is drawn', () => {
+        const mask = new RegionMask();
+        assertEqual(mask.active, false);
+        mask.addShape(RegionMask.rectFromCorners([0.5, 0.5], [0.25, 0.25]));
+        assertEqual(mask.active, true);
+        assertEqual(JSON.stringify(mask.shapes[0]), JSON.stringify({ type: 'rect', x: 0.25, y: 0.25, width: 0.25, height: 0.25 }));
+    });
+
+    test('should fill rectangles', () => {
+        const mask = maskWithoutFeather();
+        mask.addShape(RegionMask.rectFromCorners([0.25, 0], [0.75, 0.5]));
+        const alpha = mask.render(8, 4);
+        assertEqual(Array.from(alpha.subarray(0, 8)).join(','), '0,0,255,255,255,255,0,0');
+        assertEqual(alpha[2 * 8 + 3], 0, 'Below the rectangle');
+    });
+
+    test('should clamp dragged corners to the frame', () => {
+        const rect = RegionMask.rectFromCorners([1.5, -0.2], [0.5, 0.5]);
+        assertEqual(rect.x, 0.5);
+        assertEqual(rect.y, 0);
+        assertEqual(rect.width, 0.5);
+    });
+
+    test('should stamp strokes without gaps', () => {
+        const mask = maskWithoutFeather();
+        mask.addShape({ type: 'stroke', points: [[0.05, 0.5], [0.95, 0.5]], radius: 0.05 });
+        const alpha = mask.render(40, 40);
+        for (let x = 2; x < 38; x++) {
+            assertEqual(alpha[20 * 40 + x], 255, `Pixel ${x} on the stroke`);
+        }
+        assertEqual(alpha[10 * 40 + 20], 0, 'Above the stroke');
+    });
+
+    test('should scale a mask image to the frame', () => {
+        const mask = maskWithoutFeather();
+        mask.setImage({ width: 2, height: 1, data: new Uint8Array([0, 200]) });
+        assertEqual(Array.from(mask.render(4, 2)).join(','), '0,0,200,200,0,0,200,200');
+    });
+
+    test('should turn pixels into a grayscale mask weighted by alpha', () => {
+        const pixels = new ImageData(2, 1);
+        pixels.data.set([255, 255, 255, 255, 255, 255, 255, 0]);
+        const image = RegionMask.imageFromPixels(pixels);
+        assertEqual(Array.from(image.data).join(','), '255,0');
+        assertEqual(JSON.stringify(RegionMask.imageSize(640, 480)), JSON.stringify({ width: 160, height: 120 }));
+    });
+
+    test('should undo and clear', () => {
+        const mask = new RegionMask();
+        mask.addShape(RegionMask.rectFromCorners([0, 0], [1, 1]));
+        mask.addShape(RegionMask.rectFromCorners([0, 0], [0.5, 0.5]));
+        mask.removeLastShape();
+        assertEqual(mask.shapes.length, 1);
+        mask.setImage({ width: 1, height: 1, data: new Uint8Array([255]) });
+        mask.clear();
+        assertEqual(mask.active, false);
+    });
+
+    test('should reject invalid shapes and settings', () => {
+        const mask = new RegionMask();
+        assertThrows(() => mask.addShape({ type: 'rect', x: 0.8, y: 0, width: 0.5, height: 0.1 }), 'within the frame');
+        assertThrows(() => mask.addShape({ type: 'stroke', points: [], radius: 0.1 }), 'at least one point');
+        assertThrows(() => mask.addShape({ type: 'stroke', points: [[0, 0]], radius: 0 }), 'radius must be above 0');
+        assertThrows(() => mask.addShape({ type: 'circle' }), 'Unknown mask shape: circle');
+        assertThrows(() => mask.setFeather(0.5), 'Mask feather must be from 0 to 0.25');
+        assertThrows(() => mask.setImage({ width: 200, height: 1, data: new Uint8Array(200) }), 'Mask images must be 1 to 160');
+        assertThrows(() => mask.replaceLastShape(RegionMask.rectFromCorners([0, 0], [1, 1])), 'No mask shape to replace');
+        assertEqual(mask.active, false);
+    });
+});
+
+runner.suite('RegionMask Blending', ({ test }) => {
+    test('should feather the edge into a ramp', () => {
+        const mask = new RegionMask();
+        mask.setFeather(0.1);
+        mask.addShape(RegionMask.rectFromCorners([0.5, 0], [1, 1]));
+        const alpha = mask.render(40, 40);
+        const row = Array.from(alpha.subarray(20 * 40, 21 * 40));
+        assertEqual(row[0], 0);
+        assertEqual(row[39], 255);
+        for (let x = 1; x < 40; x++) {
+            assert(row[x] >= row[x - 1], 'The ramp only rises');
+        }
+        assert(row[20] > 0 && row[20] < 255, 'The edge is blended');
+    });
+
+    test('should show the corrupted frame only inside the mask', () => {
+        const mask = new RegionMask();
+        mask.setFeather(0);
+        mask.addShape(RegionMask.rectFromCorners([0, 0], [0.5, 1]));
+        mask.setImage({ width: 1, height: 1, data: new Uint8Array([128]) });
+        const result = mask.apply(createFrame(4, 1, 0), createFrame(4, 1, 200));
+        assertEqual(result.data[0], 200, 'Masked');
+        assertEqual(result.data[8], 100, 'Half masked by the image');
+        assertEqual(result.data[11], 255);
+    });
+
+    test('should render again only after a change', () => {
+        const mask = new RegionMask();
+        mask.addShape(RegionMask.rectFromCorners([0, 0], [0.5, 0.5]));
+        const alpha = mask.render(16, 16);
+        assertEqual(mask.render(16, 16), alpha);
+        mask.replaceLastShape(RegionMask.rectFromCorners([0, 0], [1, 0.5]));
+        assert(mask.render(16, 16) !== alpha, 'A changed shape renders again');
+        assert(mask.render(8, 8) !== mask.render(16, 16), 'So does another frame size');
+    });
+
+    test('should dim the unmasked area in the preview', () => {
+        const mask = maskWithoutFeather();
+        mask.addShape(RegionMask.rectFromCorners([0, 0], [0.5, 1]));
+        const preview = mask.preview(createFrame(2, 1, 200));
+        assertEqual(preview.data[0], 200);
+        assertEqual(preview.data[4], 100);
+    });
+});
+
+runner.suite('RegionMask Settings', ({ test }) => {
+    test('should round trip through JSON', () => {
+        const mask = new RegionMask();
+        mask.setFeather(0.05);
+        mask.addShape(RegionMask.rectFromCorners([0.1, 0.1], [0.4, 0.6]));
+        mask.addShape({ type: 'stroke', points: [[0.2, 0.2], [0.8, 0.3]], radius: 0.03 });
+        mask.setImage({ width: 3, height: 2, data: new Uint8Array([0, 50, 100, 150, 200, 255]) });
+
+        const restored = new RegionMask();
+        restored.restore(JSON.parse(JSON.stringify(mask)));
+        assertEqual(restored.feather, 0.05);
+        assertEqual(JSON.stringify(restored.shapes), JSON.stringify(mask.shapes));
+        assertEqual(Array.from(restored.image.data).join(','), '0,50,100,150,200,255');
+        assertEqual(Array.from(restored.render(12, 8)).join(','), Array.from(mask.render(12, 8)).join(','));
+    });
+
+    test('should leave the mask alone when the saved one is invalid', () => {
+        const mask = new RegionMask();
+        mask.addShape(RegionMask.rectFromCorners([0, 0], [1, 1]));
+        assertThrows(() => mask.restore({ shapes: [{ type: 'rect', x: 2 }] }), 'within the frame');
+        assertEqual(mask.shapes.length, 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,114 @@
+import { FrameScheduler } from '../js/scheduler.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// Runs frames back to back, each taking latency ms; returns the clock afterwards
+function runFrames(scheduler, count, latency, now = 0) {
+    for (let i = 0; i < count; i++) {
+        now = Math.max(now, scheduler.lastStart + scheduler.interval);
+        assert(scheduler.shouldStart(now), 'A frame should be due');
+        scheduler.start(now);
+        now += latency;
+        scheduler.finish(now);
+    }
+    return now;
+}
+
+runner.suite('FrameScheduler Timing', ({ test }) => {
+    test('should start frames at the target rate', () => {
+        const scheduler = new FrameScheduler({ targetFps: 10 });
+        assert(scheduler.shouldStart(0), 'The first frame starts at once');
+        scheduler.start(0);
+        assertEqual(scheduler.shouldStart(50), false, 'Busy');
+        scheduler.finish(20);
+        assertEqual(scheduler.shouldStart(60), false, 'Not due before 100ms');
+        assert(scheduler.shouldStart(100), 'Due after one interval');
+    });
+
+    test('should skip frames instead of queueing them', () => {
+        const scheduler = new FrameScheduler({ targetFps: 10, adaptive: false });
+        scheduler.start(0);
+        scheduler.finish(350);
+        assertEqual(scheduler.skipped, 3);
+        assert(scheduler.shouldStart(351), 'The next frame starts right away');
+    });
+
+    test('should free the scheduler when a frame fails', () => {
+        const scheduler = new FrameScheduler();
+        scheduler.start(0);
+        scheduler.cancel();
+        assertEqual(scheduler.busy, false);
+        assertEqual(scheduler.latency, null, 'Failed frames are not measured');
+    });
+
+    test('should count frames per second and average latency', () => {
+        const scheduler = new FrameScheduler({ targetFps: 10 });
+        const now = runFrames(scheduler, 12, 40);
+        const stats = scheduler.stats(now);
+        assertEqual(stats.fps, 10);
+        assertEqual(Math.round(stats.latency), 40);
+        assertEqual(stats.scale, 1);
+    });
+
+    test('should reject target rates out of range', () => {
+        assertThrows(() => new FrameScheduler({ targetFps: 0 }), 'Target frame rate must be at least 1');
+        const scheduler = new FrameScheduler();
+        assertThrows(() => scheduler.setTargetFps(Infinity), 'at least 1');
+        assertEqual(scheduler.targetFps, 10);
+    });
+
+    test('should take rates above the camera frame rate', () => {
+        const scheduler = new FrameScheduler({ targetFps: 120 });
+        assertEqual(scheduler.targetFps, 120);
+    });
+});
+
+runner.suite('FrameScheduler Adaptive Resolution', ({ test }) => {
+    test('should lower the resolution when frames are too slow', () => {
+        const scheduler = new FrameScheduler({ targetFps: 10 });
+        runFrames(scheduler, 5, 300);
+        assertEqual(scheduler.scale, 0.75);
+        runFrames(scheduler, 20, 300, 10000);
+        assertEqual(scheduler.scale, 0.25, 'Keeps stepping down while frames are too slow');
+        const { width, height } = scheduler.frameSize(640, 480);
+        assertEqual(width, 160);
+        assertEqual(height, 120);
+    });
+
+    test('should not change size for a single slow frame', () => {
+        const scheduler = new FrameScheduler({ targetFps: 10 });
+        const now = runFrames(scheduler, 4, 20);
+        runFrames(scheduler, 1, 400, now);
+        assertEqual(scheduler.scale, 1);
+    });
+
+    test('should step back up once the larger size fits', () => {
+        const scheduler = new FrameScheduler({ targetFps: 10 });
+        const now = runFrames(scheduler, 5, 300);
+        assertEqual(scheduler.scale, 0.75);
+        // 20ms at 0.75 estimates about 36ms at full size - well inside 100ms
+        runFrames(scheduler, 30, 20, now);
+        assertEqual(scheduler.scale, 1);
+    });
+
+    test('should not flip between sizes at the edge of the budget', () => {
+        // 70ms at 0.75 would be about 124ms at full size - over the 100ms interval
+        const scheduler = new FrameScheduler({ targetFps: 10 });
+        const now = runFrames(scheduler, 5, 130);
+        assertEqual(scheduler.scale, 0.75);
+        runFrames(scheduler, 40, 70, now);
+        assertEqual(scheduler.scale, 0.75);
+    });
+
+    test('should keep full resolution when adaptation is off', () => {
+        const scheduler = new FrameScheduler({ targetFps: 10 });
+        runFrames(scheduler, 5, 300);
+        scheduler.setAdaptive(false);
+        assertEqual(scheduler.scale, 1);
+        runFrames(scheduler, 20, 300, 5000);
+        assertEqual(scheduler.scale, 1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+import { TiffCodec } from '../js/tiff-codec.js';
+import { GlitchEngine } from '../js/glitch.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+// 6x3 test image: left half red, right half blue, bottom row white
+function createTestImage() {
+    const imageData = new ImageData(6, 3);
+    for (let y = 0; y < 3; y++) {
+        for (let x = 0; x < 6; x++) {
+            const i = (y * 6 + x) * 4;
+            const color = y === 2 ? [255, 255, 255] : (x < 3 ? [255, 0, 0] : [0, 0, 255]);
+            imageData.data.set([...color, 255], i);
+        }
+    }
+    return imageData;
+}
+
+function pixelAt(imageData, x, y) {
+    const i = (y * imageData.width + x) * 4;
+    return Array.from(imageData.data.slice(i, i + 4)).join(',');
+}
+
+// Deterministic bytes with both noisy and flat stretches
+function createSamples(length) {
+    const samples = new Uint8Array(length);
+    let seed = 7;
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+        samples[i] = i % 2000 < 1000 ? (seed >> 16) & 0xFF : 0x61;
+    }
+    return samples;
+}
+
+runner.suite('TiffCodec Encoding', ({ test }) => {
+    test('should write a little-endian header and IFD', () => {
+        const bytes = TiffCodec.encode(createTestImage());
+        assertEqual(String.fromCharCode(bytes[0], bytes[1]), 'II');
+        assertEqual(bytes[2], 42);
+        const layout = TiffCodec.parse(bytes);
+        assertEqual(layout.width, 6);
+        assertEqual(layout.height, 3);
+        assertEqual(layout.samplesPerPixel, 3);
+        assertEqual(layout.compression, 1);
+        assertEqual(layout.ifd.start, 8);
+    });
+
+    test('should place every strip after the IFD', () => {
+        const layout = TiffCodec.parse(TiffCodec.encode(createTestImage()));
+        assert(layout.dataStart >= layout.ifd.end, 'Strips should follow the IFD');
+        layout.valueRanges.forEach(range => assert(range.end <= layout.dataStart, 'Tag values should precede the strips'));
+    });
+
+    test('should round trip every compression', () => {
+        for (const compression of TiffCodec.COMPRESSIONS) {
+            const decoded = TiffCodec.decode(TiffCodec.encode(createTestImage(), { compression }));
+            assertEqual(pixelAt(decoded, 0, 0), '255,0,0,255', `${compression} red`);
+            assertEqual(pixelAt(decoded, 5, 1), '0,0,255,255', `${compression} blue`);
+            assertEqual(pixelAt(decoded, 2, 2), '255,255,255,255', `${compression} white`);
+        }
+    });
+
+    test('should reject an unknown compression', () => {
+        assertThrows(() => TiffCodec.encode(createTestImage(), { compression: 'jpeg' }), 'Unknown TIFF compression');
+    });
+
+    test('should round trip LZW across width switches and table resets', () => {
+        const samples = createSamples(30000);
+        const decoded = TiffCodec.lzwDecode(TiffCodec.lzwEncode(samples), samples.length);
+        assertEqual(decoded.join(','), samples.join(','));
+    });
+
+    test('should round trip PackBits without crossing rows', () => {
+        const samples = createSamples(3000);
+        const encoded = TiffCodec.packBitsEncode(samples, 300);
+        assertEqual(TiffCodec.packBitsDecode(encoded, samples.length).join(','), samples.join(','));
+        // A flat row of 4 bytes is one run: header -3 then the value
+        assertEqual(Array.from(TiffCodec.packBitsEncode(new Uint8Array([9, 9, 9, 9]), 4)).join(','), '253,9');
+    });
+});
+
+runner.suite('TiffCodec Tolerant Decoding', ({ test }) => {
+    test('should leave rows of a truncated strip black', () => {
+        const bytes = TiffCodec.encode(createTestImage());
+        const layout = TiffCodec.parse(bytes);
+        const decoded = TiffCodec.decode(bytes.slice(0, layout.dataStart + 18));
+        assertEqual(pixelAt(decoded, 0, 0), '255,0,0,255');
+        assertEqual(pixelAt(decoded, 0, 2), '0,0,0,255');
+    });
+
+    test('should survive broken PackBits headers', () => {
+        const bytes = TiffCodec.encode(createTestImage(), { compression: 'packbits' });
+        const layout = TiffCodec.parse(bytes);
+        bytes.fill(0x80, layout.strips[0].start + 2, layout.strips[0].end);
+        const decoded = TiffCodec.decode(bytes);
+        assertEqual(decoded.width, 6);
+    });
+
+    test('should reject an unknown byte order', () => {
+        assertThrows(() => TiffCodec.decode(new Uint8Array([0x42, 0x4D, 0, 0, 0, 0, 0, 0])), 'bad byte order');
+    });
+
+    test('should reject an unsupported compression tag', () => {
+        const bytes = TiffCodec.encode(createTestImage());
+        // Compression is the fourth IFD entry; its SHORT value sits inline
+        bytes[10 + 3 * 12 + 8] = 7;
+        assertThrows(() => TiffCodec.decode(bytes), 'Unsupported TIFF compression');
+    });
+});
+
+runner.suite('TIFF Corruption', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('tiff');
+        engine.setActive(true);
+    });
+
+    test('should expose IFD and strip targets', () => {
+        assertEqual(engine.getRuleTargets().join(','), 'all,ifd,strips');
+    });
+
+    test('should mask IFD entries and strip data separately', () => {
+        const bytes = TiffCodec.encode(createTestImage());
+        const layout = TiffCodec.parse(bytes);
+        const ifd = TiffCodec.buildMask(bytes, layout, 'ifd');
+        const strips = TiffCodec.buildMask(bytes, layout, 'strips');
+        assertEqual(ifd[8], 1);
+        assertEqual(ifd[layout.dataStart], 0);
+        assertEqual(strips[layout.dataStart], 1);
+        assertEqual(strips[8], 0);
+    });
+
+    test('should protect the IFD unless it is exposed', async () => {
+        engine.setRules([{ sourceChars: '00', destChars: '01', syntax: 'hex' }]);
+        engine.setHeaderProtection(true);
+        const bytes = TiffCodec.encode(createTestImage());
+        const layout = TiffCodec.parse(bytes);
+
+        let corrupted = bytes.slice();
+        engine.corruptImageBytes(corrupted, layout);
+        assertEqual(corrupted.subarray(0, layout.dataStart).join(','), bytes.subarray(0, layout.dataStart).join(','));
+
+        engine.setTiffOptions({ exposeIfd: true });
+        const result = await engine.applyEffect(createTestImage());
+        assertEqual(result.width, 6);
+    });
+
+    test('should reject an unknown compression option', () => {
+        assertThrows(() => engine.setTiffOptions({ compression: 'zip' }), 'Unknown TIFF compression');
+    });
+
+    test('should corrupt LZW strips through the full pipeline', async () => {
+        engine.setTiffOptions({ compression: 'lzw' });
+        engine.setRules([{ sourceChars: '00', destChars: 'FF', syntax: 'hex', target: 'strips' }]);
+        const result = await engine.applyEffect(createTestImage());
+        assertEqual(result.width, 6);
+        assertEqual(result.height, 3);
+    });
+});
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { UIController } from '../js/ui.js';
 import { GlitchEngine } from '../js/glitch.js';
 import { CameraController } from '../js/camera.js';
+import { RegionMask } from '../js/region-mask.js';
 
 // Create test runner if not exists
 if (!window.runner) {
@@ -18,6 +19,7 @@ function createMockElement(type = 'div', properties = {}) {
             classes: new Set(),
             add: function(className) { this.classes.add(className); },
             remove: function(className) { this.classes.delete(className); },
+            toggle: function(className, force) { force ? this.classes.add(className) : this.classes.delete(className); },
             contains: function(className) { return this.classes.has(className); }
         },
         addEventListener: () => {},
@@ -32,9 +34,68 @@ function createMockDocument() {
     const elements = {
         'camera-toggle': createMockElement('button'),
         'glitch-toggle': createMockElement('input', { type: 'checkbox', checked: true }),
+        'diagnostics-toggle': createMockElement('input', { type: 'checkbox' }),
+        'diagnostics-overlay': createMockElement('pre'),
         'header-protection': createMockElement('input', { type: 'checkbox', checked: true }),
-        'source-chars': createMockElement('input', { value: 'a' }),
-        'dest-chars': createMockElement('input', { value: 'b' }),
+        'protection-profile': createMockElement('textarea'),
+        'protection-profile-label': createMockElement('label'),
+        'protection-profile-hint': createMockElement('span'),
+        'protection-reset': createMockElement('button'),
+        'splice-fixups': createMockElement('input', { type: 'checkbox', checked: true }),
+        'target-fps': createMockElement('input', { type: 'range', value: '15', max: '60' }),
+        'target-fps-value': createMockElement('span'),
+        'adaptive-resolution': createMockElement('input', { type: 'checkbox', checked: true }),
+        'frame-stats': createMockElement('span'),
+        'feedback-mode': createMockElement('select', { value: 'off' }),
+        'feedback-decay': createMockElement('input', { type: 'range', value: '50' }),
+        'feedback-decay-value': createMockElement('span'),
+        'mask-tool': createMockElement('select', { value: 'none' }),
+        'mask-brush': createMockElement('input', { type: 'range', value: '5' }),
+        'mask-brush-value': createMockElement('span'),
+        'mask-feather': createMockElement('input', { type: 'range', value: '2' }),
+        'mask-feather-value': createMockElement('span'),
+        'mask-image': createMockElement('input', { type: 'file', files: [] }),
+        'mask-undo': createMockElement('button'),
+        'mask-clear': createMockElement('button'),
+        'mask-hint': createMockElement('span'),
+        'rule-list': createMockElement('div'),
+        'rule-template': createMockElement('template'),
+        'add-rule': createMockElement('button'),
+        'jpeg-quality': createMockElement('input', { type: 'range', value: '95' }),
+        'jpeg-quality-value': createMockElement('span'),
+        'jpeg-subsampling': createMockElement('select', { value: '420' }),
+        'jpeg-restart': createMockElement('input', { type: 'number', value: '0' }),
+        'jpeg-progressive': createMockElement('input', { type: 'checkbox' }),
+        'jpeg-fill': createMockElement('select', { value: 'gray' }),
+        'jpeg-quant-luma': createMockElement('textarea'),
+        'jpeg-quant-luma-hint': createMockElement('span'),
+        'jpeg-quant-chroma': createMockElement('textarea'),
+        'jpeg-quant-chroma-hint': createMockElement('span'),
+        'bmp-variant': createMockElement('select', { value: '24' }),
+        'bmp-top-down': createMockElement('input', { type: 'checkbox' }),
+        'tiff-compression': createMockElement('select', { value: 'none' }),
+        'tiff-expose-ifd': createMockElement('input', { type: 'checkbox' }),
+        'raw-layout': createMockElement('select', { value: 'rgba' }),
+        'raw-renderer': createMockElement('select', { value: 'smear' }),
+        'raw-row-width': createMockElement('input', { type: 'number', value: '0' }),
+        'raw-offset': createMockElement('input', { type: 'number', value: '0' }),
+        'raw-always': createMockElement('input', { type: 'checkbox' }),
+        'video-codec': createMockElement('select', { value: 'vp8' }),
+        'video-keyframes': createMockElement('select', { value: 'drop' }),
+        'video-keyframe-interval': createMockElement('input', { type: 'number', value: '60' }),
+        'video-repeat': createMockElement('input', { type: 'number', value: '1' }),
+        'video-keyframe-repeat': createMockElement('input', { type: 'number', value: '1' }),
+        'video-keyframe': createMockElement('button'),
+        'decode-timeout': createMockElement('input', { type: 'number', value: '0' }),
+        'generation-count': createMockElement('input', { type: 'number', value: '1' }),
+        'generation-formats': createMockElement('input', { type: 'text', value: '' }),
+        'generation-formats-hint': createMockElement('span'),
+        'tile-columns': createMockElement('input', { type: 'number', value: '1' }),
+        'tile-rows': createMockElement('input', { type: 'number', value: '1' }),
+        'tile-formats': createMockElement('input', { type: 'text', value: '' }),
+        'tile-rules': createMockElement('select', { value: 'chain' }),
+        'tile-vary-seeds': createMockElement('input', { type: 'checkbox' }),
+        'tile-hint': createMockElement('span'),
         'save-image': createMockElement('button'),
         'error-message': createMockElement('div'),
         'status-indicator': createMockElement('div'),
@@ -71,7 +132,21 @@ runner.suite('UIController Basic Functionality', ({ test }) => {
         const mockGlitch = {
             setActive: () => {},
             setReplacementChars: () => {},
+            setRules: () => {},
+            getRuleTargets: () => ['all'],
+            setJpegOptions: () => {},
+            setBmpOptions: () => {},
+            setTiffOptions: () => {},
             setHeaderProtection: () => {},
+            setSpliceFixups: () => {},
+            setRawOptions: () => {},
+            setRawView: () => {},
+            setDecodeTimeout: () => {},
+            setGenerations: () => {},
+            setTiles: () => {},
+            setProtectionProfile: () => {},
+            resetProtectionProfile: () => {},
+            protectionProfiles: {},
             setCorruptionMode: () => {}
         };
         
@@ -101,7 +176,21 @@ runner.suite('UIController Utility Functions', ({ test }) => {
         const mockGlitch = {
             setActive: () => {},
             setReplacementChars: () => {},
+            setRules: () => {},
+            getRuleTargets: () => ['all'],
+            setJpegOptions: () => {},
+            setBmpOptions: () => {},
+            setTiffOptions: () => {},
             setHeaderProtection: () => {},
+            setSpliceFixups: () => {},
+            setRawOptions: () => {},
+            setRawView: () => {},
+            setDecodeTimeout: () => {},
+            setGenerations: () => {},
+            setTiles: () => {},
+            setProtectionProfile: () => {},
+            resetProtectionProfile: () => {},
+            protectionProfiles: {},
             setCorruptionMode: () => {}
         };
         
@@ -162,7 +251,21 @@ runner.suite('UIController Error Handling', ({ test }) => {
         const mockGlitch = {
             setActive: () => {},
             setReplacementChars: () => {},
+            setRules: () => {},
+            getRuleTargets: () => ['all'],
+            setJpegOptions: () => {},
+            setBmpOptions: () => {},
+            setTiffOptions: () => {},
             setHeaderProtection: () => {},
+            setSpliceFixups: () => {},
+            setRawOptions: () => {},
+            setRawView: () => {},
+            setDecodeTimeout: () => {},
+            setGenerations: () => {},
+            setTiles: () => {},
+            setProtectionProfile: () => {},
+            resetProtectionProfile: () => {},
+            protectionProfiles: {},
             setCorruptionMode: () => {}
         };
         
@@ -267,4 +370,155 @@ runner.suite('UIController State Logic', ({ test }) => {
         assertEqual(toggleHeaderProtection(), true, 'First toggle should activate');
         assertEqual(toggleHeaderProtection(), false, 'Second toggle should deactivate');
     });
+});
+
+// Test live pattern validation used by the rule hints
+runner.suite('UIController Pattern Hints', ({ test }) => {
+    // Skip the constructor so no DOM is needed for the pure helpers
+    const ui = Object.create(UIController.prototype);
+
+    test('should describe text rules as UTF-8 bytes', () => {
+        const result = ui.validateRule({ sourceChars: 'あ', destChars: 'b', syntax: 'text' });
+        assertEqual(result.sourceHint, '3 bytes: [E3 81 82]');
+        assertEqual(result.destHint, '1 bytes: [62]');
+        assertEqual(result.sourceError, false);
+    });
+
+    test('should describe valid hex patterns', () => {
+        const result = ui.validateRule({ sourceChars: 'ff ?? [00-1f]', destChars: '$2 $1', syntax: 'hex' });
+        assertEqual(result.sourceHint, '3 bytes: [FF ?? 00-1F]');
+        assertEqual(result.destHint, '2 bytes: [$2 $1]');
+        assertEqual(result.sourceError || result.destError, false);
+    });
+
+    test('should point out syntax errors live', () => {
+        const result = ui.validateRule({ sourceChars: 'FF [00-1F', destChars: '$1', syntax: 'hex' });
+        assert(result.sourceError, 'Source should be flagged');
+        assert(result.sourceHint.includes('position 4'), 'Hint should include the error position');
+        assertEqual(result.destError, false, 'Dest should not inherit the source error');
+    });
+
+    test('should flag dest references beyond the source captures', () => {
+        const result = ui.validateRule({ sourceChars: 'FF ??', destChars: '$2', syntax: 'hex' });
+        assertEqual(result.sourceError, false);
+        assert(result.destError, 'Dest should be flagged');
+    });
+
+    test('should flag an empty hex dest unless the rule splices', () => {
+        const overwrite = ui.validateRule({ sourceChars: 'FF', destChars: '', syntax: 'hex' });
+        assert(overwrite.destError, 'Dest should be flagged');
+        assert(overwrite.destHint.includes('SPLICE'), overwrite.destHint);
+        const splice = ui.validateRule({ sourceChars: 'FF', destChars: '', syntax: 'hex', splice: true });
+        assertEqual(splice.destError, false);
+    });
+});
+
+// Test the text drawn by the diagnostics overlay
+runner.suite('UIController Diagnostics', ({ test }) => {
+    const ui = Object.create(UIController.prototype);
+    const report = {
+        format: 'jpeg',
+        width: 640,
+        height: 480,
+        active: true,
+        encodedSize: 1000,
+        corruptedSize: 1002,
+        rules: [{ enabled: true, matches: 8 }, { enabled: true, matches: 0 }, { enabled: false, matches: 0 }],
+        matches: 8,
+        changedBytes: 8,
+        changedOffsets: [10, 20, 30, 40, 50, 60, 70, 80],
+        decoder: 'js',
+        decodeError: null,
+        jpegErrors: 2,
+        missingUnits: 5,
+        timings: { encode: 12.4, corrupt: 0.6, decode: 30.2, total: 43.9 },
+        generations: [{ format: 'jpeg' }],
+        tiles: []
+    };
+
+    test('should show matches per rule', () => {
+        const lines = ui.formatReport(report);
+        assertEqual(lines[2], 'MATCHES 8 (R1 8 · R2 0 · R3 OFF)');
+    });
+
+    test('should mark rules that were skipped', () => {
+        const rules = [{ enabled: true, matches: 0, skipped: 'Truncated WebP chunk: 8' }, ...report.rules.slice(1)];
+        assertEqual(ui.formatReport({ ...report, rules })[2], 'MATCHES 8 (R1 SKIPPED · R2 0 · R3 OFF)');
+    });
+
+    test('should list the first changed offsets', () => {
+        assertEqual(ui.formatReport(report)[3], 'CHANGED 8 B @ 10 20 30 40 50 60 +2');
+    });
+
+    test('should show the decoder and its problems', () => {
+        assertEqual(ui.formatReport(report)[4], 'DECODE JS · 2 BROKEN · 5 MCUs FILLED');
+        const fallback = ui.formatReport({ ...report, decoder: 'fallback', decodeError: 'missing SOI', jpegErrors: null });
+        assertEqual(fallback[4], 'DECODE FALLBACK: missing SOI');
+    });
+
+    test('should round timings to milliseconds', () => {
+        assertEqual(ui.formatReport(report)[5], 'TIME ENC 12 · CORRUPT 1 · DEC 30 · TOTAL 44 ms');
+    });
+
+    test('should list the formats of every generation', () => {
+        assertEqual(ui.formatReport(report).length, 6, 'No generation line for a single pass');
+        const generations = [{ format: 'jpeg' }, { format: 'webp' }, { format: 'jpeg' }];
+        assertEqual(ui.formatReport({ ...report, generations })[1], 'GEN 3 JPEG→WEBP→JPEG');
+    });
+
+    test('should summarize the tile grid', () => {
+        const tiles = [
+            { column: 0, row: 0, format: 'jpeg', error: null },
+            { column: 1, row: 0, format: 'png', error: 'broken tile' },
+            { column: 0, row: 1, format: 'jpeg', error: null },
+            { column: 1, row: 1, format: 'png', error: null }
+        ];
+        assertEqual(ui.formatReport({ ...report, format: 'tiles', tiles })[1], 'TILES 2x2 JPEG/PNG · 1 FAILED');
+    });
+});
+
+// Test the frame rate line under the FRAME RATE controls
+runner.suite('UIController Frame Stats', ({ test }) => {
+    const ui = Object.create(UIController.prototype);
+
+    test('should show rate and latency', () => {
+        assertEqual(ui.formatFrameStats({ fps: 9.96, latency: 41.6, scale: 1, skipped: 0 }), '10.0 FPS · 42 ms');
+        assertEqual(ui.formatFrameStats({ fps: 0, latency: null, scale: 1, skipped: 0 }), '0.0 FPS · -- ms');
+    });
+
+    test('should show a lowered resolution and skipped frames', () => {
+        assertEqual(ui.formatFrameStats({ fps: 4, latency: 180, scale: 0.5, skipped: 12 }), '4.0 FPS · 180 ms · 50% RES · 12 SKIPPED');
+    });
+});
+
+// Test the mask summary under the REGION MASK controls
+runner.suite('UIController Region Mask', ({ test }) => {
+    const createUI = () => {
+        const ui = Object.create(UIController.prototype);
+        ui.elements = { maskHint: createMockElement('span') };
+        ui.regionMask = new RegionMask();
+        return ui;
+    };
+
+    test('should describe what the mask covers', () => {
+        const ui = createUI();
+        ui.updateMaskHint();
+        assertEqual(ui.elements.maskHint.textContent, 'WHOLE FRAME');
+        ui.regionMask.addShape(RegionMask.rectFromCorners([0, 0], [0.5, 0.5]));
+        ui.updateMaskHint();
+        assertEqual(ui.elements.maskHint.textContent, '1 SHAPE');
+        ui.regionMask.addShape(RegionMask.rectFromCorners([0.5, 0.5], [1, 1]));
+        ui.regionMask.setImage({ width: 1, height: 1, data: new Uint8Array([255]) });
+        ui.updateMaskHint();
+        assertEqual(ui.elements.maskHint.textContent, '2 SHAPES + IMAGE');
+    });
+
+    test('should turn a drag into a rectangle or a stroke', () => {
+        const ui = createUI();
+        ui.elements.maskBrush = createMockElement('input', { value: '4' });
+        ui.maskDrag = { tool: 'rect', points: [[0.75, 0.5], [0.25, 0.25]] };
+        assertEqual(JSON.stringify(ui.maskDragShape()), JSON.stringify({ type: 'rect', x: 0.25, y: 0.25, width: 0.5, height: 0.25 }));
+        ui.maskDrag = { tool: 'stroke', points: [[0.1, 0.1], [0.2, 0.1]] };
+        assertEqual(ui.maskDragShape().radius, 0.04);
+    });
 });
\ No newline at end of file
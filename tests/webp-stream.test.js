@@ -0,0 +1,211 @@
+import { WebpStream } from '../js/webp-stream.js';
+import { GlitchEngine } from '../js/glitch.js';
+import { ProtectionProfile } from '../js/protection.js';
+
+// Create test runner if not exists
+if (!window.runner) {
+    window.runner = new TestRunner();
+}
+
+function createChunk(fourcc, payload) {
+    const padding = payload.length & 1;
+    const chunk = new Uint8Array(8 + payload.length + padding);
+    for (let i = 0; i < 4; i++) chunk[i] = fourcc.charCodeAt(i);
+    WebpStream.writeUint32(chunk, 4, payload.length);
+    chunk.set(payload, 8);
+    return chunk;
+}
+
+// RIFF/WEBP file with VP8X, an odd-length ALPH chunk and a VP8 key frame
+function createTestWebp() {
+    const vp8x = new Uint8Array(10);
+    const alph = new Uint8Array([0x00, 0x61, 0x61]);
+    const vp8 = new Uint8Array([0x10, 0x02, 0x00, 0x9D, 0x01, 0x2A, 0x04, 0x00, 0x04, 0x00, 0x61, 0x61, 0x61, 0x61]);
+    const chunks = [createChunk('VP8X', vp8x), createChunk('ALPH', alph), createChunk('VP8 ', vp8)];
+    const body = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+    const webp = new Uint8Array(12 + body);
+    webp.set(new TextEncoder().encode('RIFF'), 0);
+    WebpStream.writeUint32(webp, 4, webp.length - 8);
+    webp.set(new TextEncoder().encode('WEBP'), 8);
+    let offset = 12;
+    for (const chunk of chunks) {
+        webp.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return webp;
+}
+
+runner.suite('WebpStream Parsing', ({ test }) => {
+    test('should find every chunk after the RIFF header', () => {
+        const parsed = WebpStream.parse(createTestWebp());
+        assertEqual(parsed.chunks.map(chunk => chunk.fourcc).join(','), 'VP8X,ALPH,VP8 ');
+        assertEqual(parsed.riffSize, createTestWebp().length - 8);
+    });
+
+    test('should skip the padding byte after odd-length chunks', () => {
+        const parsed = WebpStream.parse(createTestWebp());
+        const [, alph, vp8] = parsed.chunks;
+        assertEqual(alph.length, 3);
+        assertEqual(vp8.offset, alph.dataEnd + 1);
+    });
+
+    test('should locate the bitstream after each codec header', () => {
+        const parsed = WebpStream.parse(createTestWebp());
+        const [vp8x, alph, vp8] = parsed.chunks;
+        assertEqual(vp8x.bitstreamStart, vp8x.dataEnd, 'VP8X has no bitstream');
+        assertEqual(alph.bitstreamStart, alph.dataStart + 1);
+        assertEqual(vp8.bitstreamStart, vp8.dataStart + 10, 'Key frame header is 10 bytes');
+    });
+
+    test('should reject files without RIFF/WEBP header', () => {
+        assertThrows(() => WebpStream.parse(new Uint8Array(16)), 'missing RIFF/WEBP');
+    });
+
+    test('should map targets to chunks', () => {
+        const parsed = WebpStream.parse(createTestWebp());
+        assertEqual(WebpStream.findChunk(parsed, 'alph').fourcc, 'ALPH');
+        assertEqual(WebpStream.findChunk(parsed, 'vp8l'), null);
+        assertThrows(() => WebpStream.findChunk(parsed, 'exif'), 'Unknown WebP target');
+    });
+});
+
+runner.suite('WebpStream Size Fix-ups', ({ test }) => {
+    test('should fix chunk, padding and RIFF sizes when a bitstream grows', () => {
+        const webp = createTestWebp();
+        const alph = WebpStream.parse(webp).chunks[1];
+        const grown = WebpStream.replaceBitstream(webp, alph, new Uint8Array([1, 2, 3]));
+
+        const parsed = WebpStream.parse(grown);
+        assertEqual(parsed.chunks.length, 3);
+        assertEqual(parsed.chunks[1].length, 4);
+        assertEqual(parsed.riffSize, grown.length - 8);
+        assertEqual(parsed.chunks[2].fourcc, 'VP8 ', 'Following chunk should still be found');
+        assertEqual(grown[parsed.chunks[1].dataStart], 0x00, 'ALPH header byte should be kept');
+    });
+
+    test('should fix sizes when a bitstream shrinks', () => {
+        const webp = createTestWebp();
+        const vp8 = WebpStream.parse(webp).chunks[2];
+        const shrunk = WebpStream.replaceBitstream(webp, vp8, new Uint8Array([0x62]));
+
+        const parsed = WebpStream.parse(shrunk);
+        assertEqual(parsed.chunks[2].length, 11);
+        assertEqual(shrunk.length, webp.length - 2);
+        assertEqual(parsed.riffSize, shrunk.length - 8);
+    });
+});
+
+runner.suite('WebP Splicing', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('webp');
+        engine.setHeaderProtection(false);
+    });
+
+    test('should rebuild chunk, padding and RIFF sizes after a whole-file splice', () => {
+        // 'a' only occurs in the ALPH and VP8 payloads
+        engine.setRules([{ sourceChars: 'a', destChars: 'aa', splice: true }]);
+        const output = engine.corruptWebpStream(createTestWebp());
+        const [, alph, vp8] = WebpStream.parse(output).chunks;
+        assertEqual(alph.length, 5);
+        assertEqual(vp8.length, 18);
+        assertEqual(WebpStream.parse(output).riffSize, output.length - 8);
+        assertEqual(output[vp8.dataEnd - 1], 0x61);
+    });
+
+    test('should leave sizes alone without fix-ups', () => {
+        engine.setSpliceFixups(false);
+        engine.setRules([{ sourceChars: 'a', destChars: '', splice: true }]);
+        const webp = createTestWebp();
+        const output = engine.corruptWebpStream(webp);
+        assertEqual(output.length, webp.length - 6);
+        assertEqual(WebpStream.readUint32(output, 4), webp.length - 8, 'RIFF size is stale');
+    });
+
+    test('should always resize the chunk a targeted splice runs in', () => {
+        engine.setSpliceFixups(false);
+        engine.setRules([{ sourceChars: 'a', destChars: 'ab', splice: true, target: 'vp8' }]);
+        const output = engine.corruptWebpStream(createTestWebp());
+        assertEqual(WebpStream.parse(output).chunks[2].length, 18);
+    });
+
+    test('should skip a structure-protected rule after a splice broke the chunk sizes', () => {
+        engine.setSpliceFixups(false);
+        engine.setHeaderProtection(true);
+        engine.setProtectionProfile('webp', ProtectionProfile.parse('chunk-headers', 'webp'));
+        engine.setRules([
+            { sourceChars: 'a', destChars: '', splice: true },
+            { sourceChars: 'RIFF', destChars: 'XXXX' }
+        ]);
+        const webp = createTestWebp();
+        const report = engine.createReport({ width: 4, height: 4 });
+        const output = engine.corruptWebpStream(webp, report);
+        assertEqual(output.length, webp.length - 6, 'The splice still runs');
+        assertEqual(new TextDecoder().decode(output.subarray(0, 4)), 'RIFF', 'The rule that needs the profile is skipped');
+        assertEqual(report.rules[0].skipped, null);
+        assert(report.rules[1].skipped.includes('Truncated WebP chunk'), 'The skip is in the report');
+    });
+
+    test('should skip a splice whose container no longer parses', () => {
+        // The first rule makes the VP8 chunk claim more bytes than the file has
+        engine.setRules([
+            { sourceChars: '0E 00 00 00', destChars: 'FF 00 00 00', syntax: 'hex' },
+            { sourceChars: 'a', destChars: '', splice: true }
+        ]);
+        const webp = createTestWebp();
+        const report = engine.createReport({ width: 4, height: 4 });
+        const output = engine.corruptWebpStream(webp, report);
+        assertEqual(output.length, webp.length, 'Nothing is spliced');
+        assertEqual(report.rules[0].matches, 1);
+        assert(report.rules[1].skipped.includes('Truncated WebP chunk'), 'The skip is in the report');
+    });
+
+    test('should report a chunk target that no longer parses', () => {
+        engine.setRules([
+            { sourceChars: '0E 00 00 00', destChars: 'FF 00 00 00', syntax: 'hex' },
+            { sourceChars: 'a', destChars: 'b', target: 'vp8' }
+        ]);
+        const report = engine.createReport({ width: 4, height: 4 });
+        engine.corruptWebpStream(createTestWebp(), report);
+        assertEqual(report.rules[1].matches, 0);
+        assert(report.rules[1].skipped.includes('Truncated WebP chunk'), 'The skip is in the report');
+    });
+});
+
+runner.suite('WebP Chunk Corruption', ({ test, beforeEach }) => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GlitchEngine({ getContext: () => ({}) });
+        engine.setCorruptionMode('webp');
+        engine.setHeaderProtection(false);
+    });
+
+    test('should confine a rule to one chunk bitstream', () => {
+        engine.setRules([{ sourceChars: 'a', destChars: 'b', target: 'vp8' }]);
+        const webp = createTestWebp();
+        const output = engine.corruptWebpStream(webp);
+        const [, alph, vp8] = WebpStream.parse(output).chunks;
+
+        assertEqual(output[alph.bitstreamStart], 0x61, 'ALPH data should be untouched');
+        assertEqual(output[vp8.bitstreamStart], 0x62);
+        assertEqual(output[vp8.dataStart + 6], 0x04, 'VP8 frame header should be untouched');
+    });
+
+    test('should skip chunk targets the file does not have', () => {
+        engine.setRules([{ sourceChars: 'a', destChars: 'b', target: 'vp8l' }]);
+        const webp = createTestWebp();
+        const output = engine.corruptWebpStream(webp);
+        assertEqual(Array.from(output).join(','), Array.from(webp).join(','));
+    });
+
+    test('should not modify the input buffer', () => {
+        engine.setRules([{ sourceChars: 'a', destChars: 'b' }]);
+        const webp = createTestWebp();
+        engine.corruptWebpStream(webp);
+        assertEqual(webp[webp.length - 1], 0x61);
+    });
+});
\ No newline at end of file